@@ -1,25 +1,115 @@
 // backend/controllers/vericeipt.controller.js
 
+const path = require("path");
 const GeminiService = require("../services/geminiService");
-const SolanaService = require("../services/solanaService");
 const ProofStore = require("../services/proofStore");
+const CertificationBatcher = require("../services/certificationBatcher");
+const { DEFAULT_TENANT } = require("../middleware/auth");
+const { buildTransition, applyTransition } = require("../services/reviewWorkflow");
+const {
+  MERCHANT_POLICY_STATUSES,
+  buildMerchantEntry,
+  buildMerchantPolicy,
+} = require("../services/merchantRegistry");
+const { getExpensePolicy, validateExpensePolicy, evaluateExpensePolicy } = require("../services/policyEngine");
 
-const { createCanonicalText, computeHash } = require("../utils/receiptUtils");
+const {
+  CANONICAL_VERSIONS,
+  CANONICAL_VERSION,
+  createCanonicalText,
+  createCanonicalJson,
+  canonicalVersionOf,
+  normalizeCanonicalJson,
+  computeHash,
+  parseCanonicalItems,
+  formatCanonicalItems,
+  ADJUSTMENT_FIELDS,
+  normalizeReceiptType,
+} = require("../utils/receiptUtils");
+const { parseCanonicalTaxes, formatCanonicalTaxes } = require("../utils/taxUtils");
+const { minorUnits, normalizeCurrencyCode } = require("../utils/currencies");
+const { convertAmount } = require("../utils/fxRates");
+const { normalizeReceiptDate } = require("../utils/dateUtils");
+const { decodeImageBase64, computeDHash, isImageHash } = require("../utils/imageHash");
+const { detectMediaType, isDecodableImage, isBase64Payload } = require("../utils/receiptMedia");
+
+const DEFAULT_BLOCKED_VERDICTS = ["LIKELY_FAKE", "UNREADABLE"];
+
+// manual receipt fields by the type they must have (adjustments are amounts too)
+const MANUAL_TEXT_FIELDS = ["merchant", "merchant_address", "region", "date", "currency", "receipt_type"];
+const MANUAL_AMOUNT_FIELDS = ["subtotal", "tax", "total"];
+
+// line order of normalized canonical text; any other key follows as a sorted extra
+const KV1_KEYS = ["merchant", "date", "currency", "subtotal", "tax", "total"];
+const KV2_KEYS = ["format", ...KV1_KEYS, "type", ...ADJUSTMENT_FIELDS, "taxes", "items"];
 
 class VericeiptController {
-  constructor(geminiApiKey, solanaRpcUrl, solanaPrivateKey) {
-    this.geminiService = new GeminiService(geminiApiKey);
-    this.solanaService = new SolanaService(solanaRpcUrl, solanaPrivateKey);
+  /**
+   * @param {Object} extractionProvider - AI extraction provider (see services/providers)
+   * @param {Object} anchorService - Anchoring backend (see services/anchorService.js)
+   * @param {Object} options - { blockedVerdicts, certifyMode, batchSize, batchWaitMs, anchorDecisions, similarity, imageMaxDistance, reportingCurrency, fxMaxAgeDays, canonicalVersion }
+   */
+  constructor(extractionProvider, anchorService, options = {}) {
+    if (!anchorService) throw new Error("Anchor service is required");
+
+    this.geminiService = new GeminiService(extractionProvider);
+    this.anchorService = anchorService;
+
+    // Verdicts that /analyze-and-certify refuses to anchor
+    this.blockedVerdicts = (options.blockedVerdicts || DEFAULT_BLOCKED_VERDICTS).map((v) =>
+      String(v).trim().toUpperCase()
+    );
+
+    // "single" = one memo per receipt, "batch" = Merkle root memo per batch
+    this.certifyMode = options.certifyMode === "batch" ? "batch" : "single";
+    this.batcher =
+      this.certifyMode === "batch"
+        ? new CertificationBatcher(this.anchorService, {
+            maxBatchSize: options.batchSize,
+            maxWaitMs: options.batchWaitMs,
+          })
+        : null;
+
+    // Anchor approved / rejected review decisions unless the request says otherwise
+    this.anchorDecisions = options.anchorDecisions === true;
+
+    // Near-duplicate tuning (see services/similarityEngine.js); unset keys keep the defaults
+    this.similarityOptions = {};
+    for (const [key, value] of Object.entries(options.similarity || {})) {
+      if (value != null && value !== "" && Number.isFinite(Number(value))) this.similarityOptions[key] = Number(value);
+    }
+
+    // dHash bits two photos may differ by and still count as the same receipt
+    const imageMaxDistance = Number.parseInt(options.imageMaxDistance, 10);
+    this.imageMaxDistance = Number.isFinite(imageMaxDistance) ? imageMaxDistance : 10;
+
+    // Totals are also converted into this currency (utils/fxRates.js); null = no conversion
+    this.reportingCurrency = options.reportingCurrency ? normalizeCurrencyCode(options.reportingCurrency) : null;
+    const fxMaxAgeDays = Number.parseInt(options.fxMaxAgeDays, 10);
+    this.fxMaxAgeDays = Number.isFinite(fxMaxAgeDays) ? fxMaxAgeDays : undefined;
+
+    // Canonical form for new analyses: "v2" JSON (default) or "v1" key=value text
+    const canonicalVersion = String(options.canonicalVersion || CANONICAL_VERSION).trim().toLowerCase();
+    if (!CANONICAL_VERSIONS.includes(canonicalVersion)) {
+      throw new Error(`Unknown canonical version "${canonicalVersion}" (expected one of: ${CANONICAL_VERSIONS.join(", ")})`);
+    }
+    this.canonicalVersion = canonicalVersion;
   }
 
   /**
    * Canonicalize text to eliminate "false mismatches"
    * - merchant lower
    * - currency upper
-   * - numeric fields forced to 2dp where possible
+   * - subtotal / tax / total forced to 2dp where possible
+   * - kv1 (no format line): nothing else - the first release's keys in its order, any other
+   *   line (type, adjustments, taxes, items) sorted after them as certified
+   * - format=kv2: amounts (adjustments too) in the currency's minor units, date rewritten as
+   *   YYYY-MM-DD[ HH:mm][ ±HH:MM], tax components and line items reformatted and sorted
+   * v2 JSON texts are rebuilt and re-serialized with RFC 8785 instead.
    */
   _normalizeCanonicalText(text) {
     if (!text || typeof text !== "string") return text;
+    if (canonicalVersionOf(text) === "v2") return normalizeCanonicalJson(text);
 
     const map = {};
     for (const line of text.split("\n")) {
@@ -30,21 +120,36 @@ class VericeiptController {
       map[k] = v;
     }
 
+    // texts without a format line are kv1: the first release's rules, so old hashes still verify
+    const isKv2 = map.format === "kv2";
+    const digits = isKv2 ? minorUnits(map.currency) : 2;
+    const amountKeys = isKv2 ? ["subtotal", "tax", "total", ...ADJUSTMENT_FIELDS] : ["subtotal", "tax", "total"];
+
     const norm = (k, v) => {
       if (v == null) return "";
       if (k === "merchant") return String(v).trim().toLowerCase();
       if (k === "currency") return String(v).trim().toUpperCase();
-      if (["subtotal", "tax", "total"].includes(k)) {
+      if (k === "type" && isKv2) return normalizeReceiptType(v);
+      if (amountKeys.includes(k)) {
         const n = Number(String(v).trim());
-        if (Number.isFinite(n)) return n.toFixed(2);
+        if (Number.isFinite(n)) return n.toFixed(digits);
         return String(v).trim();
       }
+      if (k === "format") return String(v).trim().toLowerCase();
+      if (k === "date" && isKv2) {
+        return normalizeReceiptDate(v, { currency: map.currency })?.normalized || String(v).trim();
+      }
+      // kv1 taxes= / items= lines stay as certified; only kv2 entries are re-normalized
+      if (k === "taxes" && isKv2) return formatCanonicalTaxes(parseCanonicalTaxes(v, digits), digits);
+      if (k === "items" && isKv2) return formatCanonicalItems(parseCanonicalItems(v, digits), digits);
       return String(v).trim();
     };
 
-    const orderedKeys = ["merchant", "date", "currency", "subtotal", "tax", "total"];
+    const orderedKeys = isKv2 ? KV2_KEYS : KV1_KEYS;
     const out = [];
     for (const k of orderedKeys) {
+      // kv2 sales carry no type line (kv1 texts keep whatever type line they were certified with)
+      if (k === "type" && map[k] !== undefined && norm(k, map[k]) === "sale") continue;
       if (map[k] !== undefined) out.push(`${k}=${norm(k, map[k])}`);
     }
 
@@ -57,41 +162,427 @@ class VericeiptController {
     return out.join("\n");
   }
 
+  /**
+   * Validation message for a client-supplied canonicalText / canonicalVersion, or null if usable
+   */
+  _canonicalTextError(canonicalText, canonicalVersion) {
+    if (canonicalVersion != null && !CANONICAL_VERSIONS.includes(canonicalVersion)) {
+      return `Invalid canonicalVersion - must be one of: ${CANONICAL_VERSIONS.join(", ")}`;
+    }
+    if (canonicalText == null) return null;
+    if (typeof canonicalText !== "string") return "Invalid canonicalText - must be a string";
+    if (canonicalVersion && canonicalVersionOf(canonicalText) !== canonicalVersion) {
+      return `canonicalText is ${canonicalVersionOf(canonicalText)} but canonicalVersion is ${canonicalVersion}`;
+    }
+    if (canonicalVersionOf(canonicalText) === "v2") {
+      try {
+        normalizeCanonicalJson(canonicalText);
+      } catch (error) {
+        return `Invalid v2 canonicalText - ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Type errors in an analysis request body, or null if usable. Checked before
+   * _analysisInputFromBody so an object or number is never stored as "[object Object]".
+   */
+  _analysisInputError(body) {
+    const { imageBase64 } = body || {};
+    if (imageBase64 != null && (typeof imageBase64 !== "string" || !isBase64Payload(imageBase64))) {
+      return "imageBase64 must be a non-empty base64 string";
+    }
+    if (imageBase64 || body?.merchant == null) return null;
+
+    for (const field of MANUAL_TEXT_FIELDS) {
+      if (body[field] != null && typeof body[field] !== "string") return `${field} must be a string`;
+    }
+    for (const field of [...MANUAL_AMOUNT_FIELDS, ...ADJUSTMENT_FIELDS]) {
+      const value = body[field];
+      if (value != null && typeof value !== "string" && !(typeof value === "number" && Number.isFinite(value))) {
+        return `${field} must be a number or a string`;
+      }
+    }
+    for (const field of ["taxes", "items"]) {
+      const value = body[field];
+      if (value == null) continue;
+      if (!Array.isArray(value) || value.some((entry) => !entry || typeof entry !== "object" || Array.isArray(entry))) {
+        return `${field} must be an array of objects`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the analysis input out of a request body:
+   * base64 image string, manual field object, or null if neither was sent.
+   */
+  _analysisInputFromBody(body) {
+    const { imageBase64, merchant, merchant_address, region, date, currency, subtotal, tax, taxes, total, items } =
+      body || {};
+    if (imageBase64) return imageBase64;
+    if (merchant) {
+      const adjustments = Object.fromEntries(ADJUSTMENT_FIELDS.map((field) => [field, body[field]]));
+      const receipt_type = body.receipt_type;
+      return { merchant, merchant_address, region, date, currency, receipt_type, subtotal, tax, taxes, ...adjustments, total, items };
+    }
+    return null;
+  }
+
+  /**
+   * Build the normalized canonical text + hash for an analysis result
+   */
+  _canonicalize(analysis) {
+    const canonicalRaw = this.canonicalVersion === "v2" ? createCanonicalJson(analysis) : createCanonicalText(analysis);
+    const canonicalText = this._normalizeCanonicalText(canonicalRaw);
+    return { canonicalText, canonicalVersion: this.canonicalVersion, hash: computeHash(canonicalText) };
+  }
+
+  /**
+   * Compact analysis fields kept next to a stored proof (used by the Proof Vault)
+   */
+  _analysisSummary(analysis) {
+    return {
+      merchant: analysis.merchant,
+      merchant_id: analysis.merchant_id || null,
+      merchant_address: analysis.merchant_address || null,
+      category: analysis.category || null,
+      date: analysis.date,
+      currency: analysis.currency,
+      receipt_type: normalizeReceiptType(analysis.receipt_type),
+      subtotal: analysis.subtotal,
+      tax: analysis.tax,
+      taxes: analysis.taxes || [],
+      region: analysis.region || null,
+      tip: analysis.tip || 0,
+      discount: analysis.discount || 0,
+      deposit: analysis.deposit || 0,
+      rounding: analysis.rounding || 0,
+      total: analysis.total,
+      items: analysis.items || [],
+      verdict: analysis.verdict,
+      fraud_score: analysis.fraud_score,
+      confidence: analysis.confidence,
+      reasons: analysis.reasons || [],
+      findings: analysis.findings || [],
+      // AI score before local signals, for scoring calibration (scripts/calibrateScoring.js)
+      score_breakdown: analysis.score_breakdown || null,
+      trust_score: analysis.trust_score ?? null,
+      trust_checks: analysis.trust_checks || [],
+      final_risk: analysis.final_risk || null,
+    };
+  }
+
+  /**
+   * Total in the reporting currency at the receipt date's rate, with the rate and
+   * its source. total is null (with a reason) when the rate table has no usable rate.
+   */
+  _reporting(fields) {
+    if (!this.reportingCurrency) return null;
+    const from = normalizeCurrencyCode(fields.currency) || "CAD";
+    const converted = convertAmount(fields.total, from, this.reportingCurrency, fields.date, {
+      maxAgeDays: this.fxMaxAgeDays,
+    });
+    if (!converted) {
+      return {
+        currency: this.reportingCurrency,
+        total: null,
+        reason: `No ${from}/${this.reportingCurrency} rate for ${String(fields.date || "").slice(0, 10) || "an unknown date"}`,
+      };
+    }
+    const { amount, ...rate } = converted;
+    return { ...rate, total: amount, convertedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Registry merchant ID for a raw merchant name (its slug when no alias matches)
+   */
+  _merchantId(tenantId, merchant) {
+    return ProofStore.resolveMerchantId(tenantId, merchant)?.merchantId || null;
+  }
+
+  /**
+   * Merchant policy check (blocked / approved suppliers) for a raw merchant name
+   */
+  _merchantPolicy(tenantId, merchant) {
+    return ProofStore.checkMerchant(tenantId, merchant);
+  }
+
+  /**
+   * Expense rules in force for a tenant: its own, else the default rules file
+   *
+   * @returns {Object} { source: 'tenant' | 'default', policy (null when none), file, updatedAt, keyId (who set the tenant's rules) }
+   */
+  _expenseRules(tenantId) {
+    const own = ProofStore.getExpensePolicy(tenantId);
+    if (own) return { source: "tenant", policy: own.policy, file: null, updatedAt: own.updatedAt, keyId: own.keyId || null };
+    const { path: file, policy } = getExpensePolicy();
+    return { source: "default", policy, file: policy && file ? path.basename(file) : null, updatedAt: null, keyId: null };
+  }
+
+  /**
+   * Tenant's expense rules (services/policyEngine.js) for an analysis or proof fields; null when none are configured
+   */
+  _expensePolicy(tenantId, fields) {
+    return evaluateExpensePolicy(fields, this._expenseRules(tenantId).policy, { fxMaxAgeDays: this.fxMaxAgeDays });
+  }
+
+  /**
+   * Analysis with the registry merchant ID, the expense category sent with the
+   * request (it beats keyword matching) and the expense policy result
+   */
+  _enrichAnalysis(tenantId, extracted, body) {
+    const category = String(body?.category || "").trim().toLowerCase();
+    const analysis = {
+      ...extracted,
+      merchant_id: this._merchantId(tenantId, extracted.merchant),
+      ...(category ? { category } : {}),
+    };
+    return { ...analysis, policy: extracted.verdict === "UNREADABLE" ? null : this._expensePolicy(tenantId, analysis) };
+  }
+
+  /**
+   * Stored proofs of this tenant that look like the same expense under another hash
+   */
+  _possibleDuplicates(tenantId, hash, fields) {
+    return ProofStore.findSimilarProofs(tenantId, { ...fields, hash }, this.similarityOptions);
+  }
+
+  /**
+   * Refund check against the original sale (originalHash) or, when none is given,
+   * the sales it could belong to. Null for receipts that aren't refunds.
+   */
+  _refundCheck(tenantId, hash, fields, originalHash = null) {
+    if (normalizeReceiptType(fields.receipt_type ?? fields.type) !== "refund") return null;
+    return ProofStore.checkRefund(tenantId, { ...fields, hash }, originalHash);
+  }
+
+  /**
+   * 400 message for a malformed originalHash, null if absent or valid
+   */
+  _originalHashError(originalHash) {
+    if (originalHash == null || /^[a-f0-9]{64}$/i.test(originalHash)) return null;
+    return "Invalid originalHash - must be the 64-character hex hash of the original sale";
+  }
+
+  /**
+   * Perceptual hash of an uploaded photo. PDFs and photos sharp can't decode
+   * (HEIC) still get analyzed - they just aren't compared with earlier photos.
+   */
+  async _imageHash(imageBase64) {
+    if (!imageBase64) return null;
+    const buffer = decodeImageBase64(imageBase64);
+    if (!isDecodableImage(detectMediaType(buffer))) return null;
+    try {
+      return await computeDHash(buffer);
+    } catch (error) {
+      console.warn("⚠️ Could not compute image hash:", error.message);
+      return null;
+    }
+  }
+
+  _similarImages(tenantId, imageHash, excludeHash = null) {
+    return ProofStore.findSimilarImages(tenantId, imageHash, {
+      maxDistance: this.imageMaxDistance,
+      excludeHash,
+    });
+  }
+
+  /**
+   * Fields a certification is checked against: what the canonical text says (that is
+   * what gets hashed), with the analysis summary only filling fields the text doesn't
+   * carry - plain /certify calls often send nothing else, hash-only calls no text at all
+   */
+  _certifiedFields(canonicalText, analysisSummary) {
+    const { format, v, type, items, taxes, ...canonical } = ProofStore.parseCanonicalFields(canonicalText);
+    if (type) canonical.receipt_type = type;
+    // kv1 taxes= / items= lines are never re-parsed; the summary's lists stand in for them
+    if (format === "kv2") {
+      const digits = minorUnits(canonical.currency);
+      if (taxes) canonical.taxes = parseCanonicalTaxes(taxes, digits);
+      if (items) canonical.items = parseCanonicalItems(items, digits);
+    }
+    return { ...(analysisSummary || {}), ...canonical };
+  }
+
+  /**
+   * Anchor a hash with the configured backend and record it in the proof store.
+   * Shared by /certify and /analyze-and-certify.
+   */
+  async _certifyAndStore({
+    tenantId,
+    hash,
+    canonicalText,
+    canonicalVersion = null,
+    analysisSummary,
+    imageHash = null,
+    originalHash = null,
+    crossTenantCheck = false,
+  }) {
+    // the text decides; hash-only calls say which form they hashed (v1 unless told)
+    const version = canonicalText ? canonicalVersionOf(canonicalText) : canonicalVersion || "v1";
+
+    const fields = this._certifiedFields(canonicalText, analysisSummary);
+    // the registry ID follows the certified merchant, not an ID the client sent along with it
+    if (canonicalText || !fields.merchant_id) fields.merchant_id = this._merchantId(tenantId, fields.merchant);
+    // checked again here: the policy may have changed since /analyze, and /certify may skip it
+    const merchantPolicy = this._merchantPolicy(tenantId, fields.merchant);
+    // expense rules as they stand when the receipt is certified
+    const expensePolicy = this._expensePolicy(tenantId, fields);
+    const possibleDuplicates = this._possibleDuplicates(tenantId, hash, fields);
+    const similarImages = this._similarImages(tenantId, imageHash, hash);
+    // checked before storing so this refund doesn't count against its own sale
+    const refund = this._refundCheck(tenantId, hash, fields, originalHash);
+    const reporting = this._reporting(fields);
+
+    // 1) anchor (directly, or queued into the next Merkle batch)
+    const chain = this.batcher
+      ? await this.batcher.enqueue(hash, version)
+      : await this.anchorService.certifyHash(
+          hash,
+          {
+            source: "vericeipt-api",
+            certified_at: new Date().toISOString(),
+          },
+          version
+        );
+
+    // 2) store canonical text off-chain for forensics + duplicate detection
+    const storeResult = ProofStore.upsertProof({
+      tenantId,
+      hash,
+      txSignature: chain.txSignature,
+      canonicalText: canonicalText || null,
+      canonicalVersion: version,
+      analysisSummary: analysisSummary || {},
+      merchantId: fields.merchant_id,
+      merchantPolicy,
+      expensePolicy,
+      merkleProof: chain.merkleProof || null,
+      imageHash,
+      // only link to a sale that exists in this tenant
+      refundOf: refund?.original ? refund.originalHash : null,
+      reporting,
+      crossTenantCheck,
+    });
+
+    return {
+      txSignature: chain.txSignature,
+      chainHash: chain.chainHash,
+      timestamp: chain.timestamp,
+      explorerUrl: chain.explorerUrl,
+      walletAddress: chain.walletAddress,
+      canonicalVersion: version,
+      merchantId: fields.merchant_id,
+      merchantPolicy,
+      policy: expensePolicy,
+      batched: !!chain.merkleProof,
+      merkleRoot: chain.merkleRoot || null,
+      merkleProof: chain.merkleProof || null,
+
+      // WOW fields
+      duplicate: storeResult.duplicate,
+      firstSeenTx: storeResult.firstSeenTx,
+      firstSeenAt: storeResult.firstSeenAt,
+      seenCount: storeResult.seenCount,
+      ...(storeResult.crossTenant ? { crossTenant: storeResult.crossTenant } : {}),
+      possibleDuplicates,
+      imageHash: imageHash || null,
+      similarImages,
+      ...(refund ? { refund } : {}),
+      ...(reporting ? { reporting } : {}),
+
+      message: storeResult.duplicate
+        ? "⚠️ Certified, but this receipt hash was seen before (possible duplicate claim)"
+        : merchantPolicy?.status === "blocked"
+          ? `⚠️ Certified, but ${merchantPolicy.message}`
+          : expensePolicy && !expensePolicy.passed
+          ? `⚠️ Certified, but it breaks expense policy: ${expensePolicy.rules
+              .filter((r) => r.status === "failed" && r.severity === "issue")
+              .map((r) => r.id)
+              .join(", ")}`
+          : refund?.flags.length
+          ? `⚠️ Certified, but the refund needs a look: ${refund.flags.join("; ")}`
+          : possibleDuplicates.length || similarImages.length
+          ? `⚠️ Certified, but ${possibleDuplicates.length + similarImages.length} similar receipt(s) were certified before (possible duplicate claim)`
+          : chain.merkleProof
+          ? `✅ Receipt certified on ${this.anchorService.displayName} in a batch of ${chain.merkleProof.leafCount}`
+          : `✅ Receipt certified successfully on ${this.anchorService.displayName}`,
+    };
+  }
+
+  /**
+   * Tenant the request was authenticated as (see middleware/auth.js)
+   */
+  _tenantId(req) {
+    return req.auth?.tenantId || DEFAULT_TENANT;
+  }
+
+  /**
+   * Cross-tenant duplicate check is opt-in per request and limited to the fraud role.
+   * Returns null if allowed/not asked, or an error message.
+   */
+  _crossTenantDenied(req) {
+    if (req.body?.crossTenantCheck !== true) return null;
+    return req.auth?.roles?.includes("fraud") ? null : "crossTenantCheck requires the fraud role";
+  }
+
   // POST /analyze
   async analyzeReceipt(req, res) {
     try {
-      const { imageBase64, merchant, date, currency, subtotal, tax, total } = req.body;
+      const inputError = this._analysisInputError(req.body);
+      if (inputError) {
+        return res.status(400).json({ success: false, error: inputError });
+      }
+
+      const input = this._analysisInputFromBody(req.body);
 
-      if (!imageBase64 && !merchant) {
+      if (!input) {
         return res.status(400).json({
           success: false,
           error: "Either imageBase64 or manual receipt data is required",
         });
       }
 
-      let analysis;
-      if (imageBase64) {
-        analysis = await this.geminiService.analyzeReceipt(imageBase64);
-      } else {
-        const manualData = { merchant, date, currency, subtotal, tax, total };
-        analysis = await this.geminiService.analyzeReceipt(manualData);
+      const originalHashError = this._originalHashError(req.body.originalHash);
+      if (originalHashError) {
+        return res.status(400).json({ success: false, error: originalHashError });
       }
 
+      const tenantId = this._tenantId(req);
+      const extracted = await this.geminiService.analyzeReceipt(input, {
+        tenantId,
+        checkMerchant: (merchant) => this._merchantPolicy(tenantId, merchant),
+      });
+      // canonical merchant ID next to the raw extracted name
+      const analysis = this._enrichAnalysis(tenantId, extracted, req.body);
+
       // create canonical, normalize it, hash it
-      const canonicalRaw = createCanonicalText(analysis);
-      const canonicalText = this._normalizeCanonicalText(canonicalRaw);
-      const hash = computeHash(canonicalText);
+      const { canonicalText, canonicalVersion, hash } = this._canonicalize(analysis);
+      const possibleDuplicates = this._possibleDuplicates(tenantId, hash, analysis);
+      const imageHash = await this._imageHash(req.body.imageBase64);
+      const refund = this._refundCheck(tenantId, hash, analysis, req.body.originalHash);
+      const reporting = this._reporting(analysis);
 
       return res.json({
         success: true,
         ...analysis,
         canonicalText,
+        canonicalVersion,
         hash,
+        possibleDuplicates,
+        // pass imageHash to /certify to keep it with the proof
+        imageHash,
+        similarImages: this._similarImages(tenantId, imageHash),
+        ...(refund ? { refund } : {}),
+        ...(reporting ? { reporting } : {}),
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error("❌ Analysis error:", error);
-      return res.status(500).json({
+      // 415 / 422: unsupported or corrupt upload
+      if (!error.status) console.error("❌ Analysis error:", error);
+      return res.status(error.status || 500).json({
         success: false,
         error: error.message,
       });
@@ -101,7 +592,7 @@ class VericeiptController {
   // POST /certify
   async certifyReceipt(req, res) {
     try {
-      let { canonicalText, hash, analysisSummary } = req.body;
+      let { canonicalText, hash, canonicalVersion, analysisSummary, imageHash, originalHash } = req.body;
 
       if (!canonicalText && !hash) {
         return res.status(400).json({
@@ -110,6 +601,16 @@ class VericeiptController {
         });
       }
 
+      const canonicalTextError = this._canonicalTextError(canonicalText || null, canonicalVersion);
+      if (canonicalTextError) {
+        return res.status(400).json({ success: false, error: canonicalTextError });
+      }
+
+      const crossTenantDenied = this._crossTenantDenied(req);
+      if (crossTenantDenied) {
+        return res.status(403).json({ success: false, error: crossTenantDenied });
+      }
+
       // Normalize canonicalText before hashing/storing
       if (canonicalText) canonicalText = this._normalizeCanonicalText(canonicalText);
 
@@ -122,38 +623,30 @@ class VericeiptController {
         });
       }
 
-      // 1) certify on Solana
-      const chain = await this.solanaService.certifyHash(hash, {
-        source: "vericeipt-api",
-        certified_at: new Date().toISOString(),
-      });
+      if (imageHash != null && !isImageHash(imageHash)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid imageHash - must be the 16-character hex hash returned by /analyze",
+        });
+      }
+
+      const originalHashError = this._originalHashError(originalHash);
+      if (originalHashError) {
+        return res.status(400).json({ success: false, error: originalHashError });
+      }
 
-      // 2) store canonical text off-chain for forensics + duplicate detection
-      const storeResult = ProofStore.upsertProof({
+      const certification = await this._certifyAndStore({
+        tenantId: this._tenantId(req),
         hash,
-        txSignature: chain.txSignature,
-        canonicalText: canonicalText || null,
-        analysisSummary: analysisSummary || {},
+        canonicalText,
+        canonicalVersion,
+        analysisSummary,
+        imageHash,
+        originalHash,
+        crossTenantCheck: req.body.crossTenantCheck === true,
       });
 
-      return res.json({
-        success: true,
-        txSignature: chain.txSignature,
-        chainHash: chain.chainHash,
-        timestamp: chain.timestamp,
-        explorerUrl: chain.explorerUrl,
-        walletAddress: chain.walletAddress,
-
-        // WOW fields
-        duplicate: storeResult.duplicate,
-        firstSeenTx: storeResult.firstSeenTx,
-        firstSeenAt: storeResult.firstSeenAt,
-        seenCount: storeResult.seenCount,
-
-        message: storeResult.duplicate
-          ? "⚠️ Certified, but this receipt hash was seen before (possible duplicate claim)"
-          : "✅ Receipt certified successfully on Solana",
-      });
+      return res.json({ success: true, ...certification });
     } catch (error) {
       console.error("❌ Certification error:", error);
       return res.status(500).json({
@@ -166,7 +659,7 @@ class VericeiptController {
   // POST /verify
   async verifyReceipt(req, res) {
     try {
-      let { canonicalText, hash, txSignature } = req.body;
+      let { canonicalText, hash, txSignature, merkleProof } = req.body;
 
       if (!txSignature) {
         return res.status(400).json({
@@ -182,20 +675,41 @@ class VericeiptController {
         });
       }
 
+      const canonicalTextError = this._canonicalTextError(canonicalText || null);
+      if (canonicalTextError) {
+        return res.status(400).json({ success: false, error: canonicalTextError });
+      }
+
       // Normalize canonicalText BEFORE hashing so user formatting doesn't break verification
       if (canonicalText) canonicalText = this._normalizeCanonicalText(canonicalText);
 
       if (canonicalText && !hash) hash = computeHash(canonicalText);
 
-      const chainResult = await this.solanaService.verifyHash(txSignature, hash);
+      // Batched txs need the receipt's inclusion proof; fall back to the one we stored
+      const tenantId = this._tenantId(req);
+      const storedByTx = ProofStore.getByTx(tenantId, txSignature);
+      if (!merkleProof && Array.isArray(storedByTx?.hashes)) {
+        merkleProof = ProofStore.getProofBundleByTx(tenantId, txSignature, hash)?.merkleProof || null;
+      }
+      // the text decides which version of batch root the receipt can be in
+      if (canonicalText && merkleProof && typeof merkleProof === "object") {
+        merkleProof = { ...merkleProof, version: canonicalVersionOf(canonicalText) };
+      }
+
+      const chainResult = await this.anchorService.verifyHash(txSignature, hash, merkleProof);
 
       // Look up what was originally certified (for forensic diff)
-      const storedByTx = ProofStore.getByTx(txSignature);
       let chainCanonicalText = storedByTx?.canonicalText || null;
 
+      // Batched tx: the proof's leafIndex tells us which receipt was certified
+      if (!chainCanonicalText && Array.isArray(storedByTx?.hashes) && merkleProof) {
+        const certifiedHash = storedByTx.hashes[merkleProof.leafIndex];
+        if (certifiedHash) chainCanonicalText = ProofStore.getByHash(tenantId, certifiedHash)?.canonicalText || null;
+      }
+
       // If missing, try by chain hash
       if (!chainCanonicalText && chainResult.chainHash) {
-        const storedByHash = ProofStore.getByHash(chainResult.chainHash);
+        const storedByHash = ProofStore.getByHash(tenantId, chainResult.chainHash);
         chainCanonicalText = storedByHash?.canonicalText || null;
       }
 
@@ -205,12 +719,23 @@ class VericeiptController {
       // Ensure explorerUrl exists even if verifyHash returns an error path
       const explorerUrl =
         chainResult.explorerUrl ||
-        (this.solanaService._explorerTxUrl ? this.solanaService._explorerTxUrl(txSignature) : null);
+        (this.anchorService._explorerTxUrl ? this.anchorService._explorerTxUrl(txSignature) : null);
+
+      // v1 text can't match a v2 memo (or the other way round): say so instead of just "altered"
+      const canonicalVersion = canonicalText ? canonicalVersionOf(canonicalText) : null;
+      const versionMismatch =
+        !chainResult.verified && canonicalVersion && chainResult.memoVersion && chainResult.memoVersion !== canonicalVersion;
 
       return res.json({
         success: true,
         ...chainResult,
         explorerUrl,
+        canonicalVersion,
+        ...(versionMismatch
+          ? {
+              hint: `The transaction anchors a ${chainResult.memoVersion} receipt but ${canonicalVersion} canonical text was sent - verify with the ${chainResult.memoVersion} text from the proof bundle`,
+            }
+          : {}),
 
         // WOW fields for UI forensic replay
         chainCanonicalText,
@@ -229,17 +754,14 @@ class VericeiptController {
   // GET /health
   async healthCheck(req, res) {
     try {
-      const solanaHealth = await this.solanaService.healthCheck();
-      const geminiHealth = {
-        connected: !!this.geminiService.model,
-        model: "gemini-1.5-flash",
-      };
+      const anchorHealth = await this.anchorService.healthCheck();
+      const aiHealth = await this.geminiService.healthCheck();
 
       return res.json({
         success: true,
-        healthy: solanaHealth.connected && geminiHealth.connected,
+        healthy: anchorHealth.connected && aiHealth.connected,
         timestamp: new Date().toISOString(),
-        services: { gemini: geminiHealth, solana: solanaHealth },
+        services: { ai: aiHealth, anchor: anchorHealth },
       });
     } catch (error) {
       return res.status(503).json({
@@ -250,12 +772,334 @@ class VericeiptController {
     }
   }
 
-  // POST /analyze-and-certify (not used for demo)
+  // POST /analyze-and-certify
+  // One round trip: analyze -> canonicalize -> verdict gate -> certify -> store.
+  // Pass autoCertify: false to get the gate decision without anchoring anything.
   async analyzeAndCertify(req, res) {
-    return res.status(501).json({
-      success: false,
-      error: "Not used for the hackathon demo. Use /analyze then /certify.",
-    });
+    try {
+      const inputError = this._analysisInputError(req.body);
+      if (inputError) {
+        return res.status(400).json({ success: false, error: inputError });
+      }
+
+      const input = this._analysisInputFromBody(req.body);
+
+      if (!input) {
+        return res.status(400).json({
+          success: false,
+          error: "Either imageBase64 or manual receipt data is required",
+        });
+      }
+
+      const crossTenantDenied = this._crossTenantDenied(req);
+      if (crossTenantDenied) {
+        return res.status(403).json({ success: false, error: crossTenantDenied });
+      }
+
+      const originalHashError = this._originalHashError(req.body.originalHash);
+      if (originalHashError) {
+        return res.status(400).json({ success: false, error: originalHashError });
+      }
+
+      const tenantId = this._tenantId(req);
+      const extracted = await this.geminiService.analyzeReceipt(input, {
+        tenantId,
+        checkMerchant: (merchant) => this._merchantPolicy(tenantId, merchant),
+      });
+      const analysis = this._enrichAnalysis(tenantId, extracted, req.body);
+      const { canonicalText, canonicalVersion, hash } = this._canonicalize(analysis);
+      const imageHash = await this._imageHash(req.body.imageBase64);
+
+      const analysisResult = { ...analysis, canonicalText, canonicalVersion, hash, imageHash };
+      const timestamp = new Date().toISOString();
+
+      if (req.body.autoCertify === false) {
+        return res.json({
+          success: true,
+          analysis: analysisResult,
+          certification: { certified: false, reason: "autoCertify disabled" },
+          timestamp,
+        });
+      }
+
+      if (this.blockedVerdicts.includes(analysis.verdict)) {
+        return res.json({
+          success: true,
+          analysis: analysisResult,
+          certification: {
+            certified: false,
+            reason: `Verdict ${analysis.verdict} is not allowed to be certified`,
+            blockedVerdicts: this.blockedVerdicts,
+          },
+          timestamp,
+        });
+      }
+
+      const certification = await this._certifyAndStore({
+        tenantId,
+        hash,
+        canonicalText,
+        analysisSummary: this._analysisSummary(analysis),
+        imageHash,
+        originalHash: req.body.originalHash,
+        crossTenantCheck: req.body.crossTenantCheck === true,
+      });
+
+      return res.json({
+        success: true,
+        analysis: analysisResult,
+        certification: { certified: true, ...certification },
+        timestamp,
+      });
+    } catch (error) {
+      // 415 / 422: unsupported or corrupt upload
+      if (!error.status) console.error("❌ Analyze-and-certify error:", error);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  // GET /proofs/:hash/review
+  async getReview(req, res) {
+    try {
+      const review = ProofStore.getReview(this._tenantId(req), req.params.hash);
+      if (!review) {
+        return res.status(404).json({ success: false, error: "Proof not found" });
+      }
+      return res.json({ success: true, hash: req.params.hash.toLowerCase(), review });
+    } catch (error) {
+      console.error("❌ Review lookup error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * POST /proofs/:hash/review
+   * Body: { state, comment, reviewer?, anchor? }
+   */
+  async updateReview(req, res) {
+    try {
+      const tenantId = this._tenantId(req);
+      const proofHash = String(req.params.hash).toLowerCase();
+      const { state, comment, reviewer } = req.body || {};
+
+      const current = ProofStore.getReview(tenantId, proofHash);
+      if (!current) {
+        return res.status(404).json({ success: false, error: "Proof not found" });
+      }
+
+      const entry = buildTransition(current, {
+        proofHash,
+        to: state,
+        comment,
+        reviewer: reviewer ? String(reviewer).trim() : null,
+        keyId: req.auth?.keyId || null,
+        at: new Date().toISOString(),
+      });
+
+      // Anchor before saving so a stored decision always has its tx
+      const anchor = typeof req.body.anchor === "boolean" ? req.body.anchor : this.anchorDecisions;
+      if (entry.decisionHash && anchor) {
+        const chain = await this.anchorService.certifyDecision(entry.decisionHash, {
+          proofHash,
+          state: entry.to,
+        });
+        entry.anchor = {
+          txSignature: chain.txSignature,
+          timestamp: chain.timestamp,
+          explorerUrl: chain.explorerUrl,
+        };
+      }
+
+      const review = ProofStore.updateReview(tenantId, proofHash, (latest) => applyTransition(latest, entry));
+
+      return res.json({
+        success: true,
+        hash: proofHash,
+        review,
+        transition: entry,
+        message: entry.anchor
+          ? `Review ${entry.to} and anchored on ${this.anchorService.displayName}`
+          : `Review moved to ${entry.to}`,
+      });
+    } catch (error) {
+      if (!error.status) console.error("❌ Review update error:", error);
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+
+  // GET /merchants?policy=allowed,blocked
+  async listMerchants(req, res) {
+    try {
+      const policies = req.query.policy ? String(req.query.policy).split(",").map((p) => p.trim().toLowerCase()) : [];
+      const merchants = ProofStore.listMerchants(this._tenantId(req)).filter(
+        (m) => !policies.length || policies.includes(m.policy?.status || "none")
+      );
+      return res.json({ success: true, merchants, total: merchants.length });
+    } catch (error) {
+      console.error("❌ Merchant list error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // GET /merchants/resolve?name= - which merchant ID a printed name maps to
+  async resolveMerchant(req, res) {
+    try {
+      const name = String(req.query.name || "").trim();
+      if (!name) {
+        return res.status(400).json({ success: false, error: "name is required" });
+      }
+      const tenantId = this._tenantId(req);
+      const merchant = ProofStore.resolveMerchantId(tenantId, name);
+      const policy = this._merchantPolicy(tenantId, name);
+      return res.json({ success: true, query: name, merchant, policy });
+    } catch (error) {
+      console.error("❌ Merchant resolve error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // GET /merchants/:merchantId
+  async getMerchant(req, res) {
+    try {
+      const merchant = ProofStore.getMerchant(this._tenantId(req), req.params.merchantId);
+      if (!merchant) {
+        return res.status(404).json({ success: false, error: "Merchant not found" });
+      }
+      return res.json({ success: true, merchant });
+    } catch (error) {
+      console.error("❌ Merchant lookup error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * PUT /merchants/:merchantId - create or replace a registry entry
+   * Body: { name?, aliases? }
+   */
+  async putMerchant(req, res) {
+    try {
+      const { name, aliases } = req.body || {};
+      const { merchant, created } = ProofStore.saveMerchant(
+        this._tenantId(req),
+        req.params.merchantId,
+        (existing, others) =>
+          buildMerchantEntry(existing, { merchantId: req.params.merchantId, name, aliases }, others, new Date().toISOString())
+      );
+      return res.status(created ? 201 : 200).json({ success: true, created, merchant });
+    } catch (error) {
+      if (!error.status) console.error("❌ Merchant update error:", error);
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * PUT /merchants/:merchantId/policy - block a vendor or approve a supplier
+   * Body: { status: "allowed" | "blocked", reason? }; creates the registry entry if needed
+   */
+  async putMerchantPolicy(req, res) {
+    try {
+      const { status, reason } = req.body || {};
+      if (status == null) {
+        return res.status(400).json({
+          success: false,
+          error: `status is required (one of: ${MERCHANT_POLICY_STATUSES.join(", ")})`,
+        });
+      }
+      const { merchant } = ProofStore.saveMerchant(this._tenantId(req), req.params.merchantId, (existing, others) =>
+        buildMerchantPolicy(
+          existing,
+          { merchantId: req.params.merchantId, status, reason, keyId: req.auth?.keyId || null },
+          others,
+          new Date().toISOString()
+        )
+      );
+      return res.json({ success: true, merchant });
+    } catch (error) {
+      if (!error.status) console.error("❌ Merchant policy error:", error);
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+
+  // DELETE /merchants/:merchantId/policy - back to unlisted (the entry and its aliases stay)
+  async deleteMerchantPolicy(req, res) {
+    try {
+      const tenantId = this._tenantId(req);
+      if (!ProofStore.getMerchant(tenantId, req.params.merchantId)) {
+        return res.status(404).json({ success: false, error: "Merchant not found" });
+      }
+      const { merchant } = ProofStore.saveMerchant(tenantId, req.params.merchantId, (existing, others) =>
+        buildMerchantPolicy(existing, { merchantId: req.params.merchantId, status: null }, others, new Date().toISOString())
+      );
+      return res.json({ success: true, merchant });
+    } catch (error) {
+      if (!error.status) console.error("❌ Merchant policy error:", error);
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+
+  // GET /policy/rules - the caller's tenant's expense rules in force (policy is null when none are configured)
+  async getExpensePolicy(req, res) {
+    try {
+      const rules = this._expenseRules(this._tenantId(req));
+      return res.json({ success: true, configured: !!rules.policy, ...rules });
+    } catch (error) {
+      console.error("❌ Expense policy error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * PUT /policy/rules - replace the caller's tenant's expense rules
+   * Body: { name?, categories?, rules: [...] }; stored for this tenant only and used from the next analysis
+   */
+  async putExpensePolicy(req, res) {
+    try {
+      const tenantId = this._tenantId(req);
+      const policy = validateExpensePolicy(req.body);
+      const row = ProofStore.saveExpensePolicy(tenantId, policy, req.auth?.keyId || null);
+      return res.json({
+        success: true,
+        configured: true,
+        source: "tenant",
+        policy,
+        file: null,
+        updatedAt: row.updatedAt,
+        keyId: row.keyId,
+      });
+    } catch (error) {
+      if (!error.status) console.error("❌ Expense policy update error:", error);
+      return res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+
+  // DELETE /policy/rules - the caller's tenant goes back to the default rules file
+  async deleteExpensePolicy(req, res) {
+    try {
+      const tenantId = this._tenantId(req);
+      const removed = ProofStore.deleteExpensePolicy(tenantId);
+      const rules = this._expenseRules(tenantId);
+      return res.json({ success: true, removed, configured: !!rules.policy, ...rules });
+    } catch (error) {
+      console.error("❌ Expense policy reset error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  // DELETE /merchants/:merchantId (proofs keep the merchant ID they were stored with)
+  async deleteMerchant(req, res) {
+    try {
+      const deleted = ProofStore.deleteMerchant(this._tenantId(req), req.params.merchantId);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: "Merchant not found" });
+      }
+      return res.json({ success: true, deleted: true, merchantId: String(req.params.merchantId).trim().toLowerCase() });
+    } catch (error) {
+      console.error("❌ Merchant delete error:", error);
+      return res.status(500).json({ success: false, error: error.message });
+    }
   }
 }
 
@@ -0,0 +1,121 @@
+/**
+ * API key / bearer token authentication
+ *
+ * Keys come from API_KEYS ("key:tenant[:role|role],...") or API_KEYS_FILE
+ * (JSON array of { key, tenantId, roles }). Clients send either
+ * "x-api-key: <key>" or "Authorization: Bearer <key>".
+ *
+ * Each request gets req.auth = { tenantId, roles, keyId }.
+ * Roles: "fraud" (cross-tenant duplicate checks), "reviewer" (expense review
+ * decisions), "admin" (admin endpoints, also allowed wherever a role is required).
+ *
+ * With no keys configured auth is off and every request runs as the
+ * default tenant - fine for local dev, never for a shared deployment.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const DEFAULT_TENANT = "default";
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value), "utf8").digest();
+}
+
+function parseApiKeysEnv(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [key, tenantId, roles] = entry.split(":");
+      return { key, tenantId, roles: roles ? roles.split("|") : [] };
+    });
+}
+
+/**
+ * Loads configured API keys
+ *
+ * @param {Object} config - { apiKeys (env string), apiKeysFile (path) }
+ * @returns {Array<{ key, tenantId, roles }>}
+ */
+function loadApiKeys(config = {}) {
+  const keys = parseApiKeysEnv(config.apiKeys);
+
+  if (config.apiKeysFile) {
+    const fromFile = JSON.parse(fs.readFileSync(config.apiKeysFile, "utf8"));
+    if (!Array.isArray(fromFile)) throw new Error(`${config.apiKeysFile} must contain a JSON array`);
+    keys.push(...fromFile);
+  }
+
+  for (const k of keys) {
+    if (!k.key || !k.tenantId) throw new Error("Every API key needs a key and a tenantId");
+    if (!/^[A-Za-z0-9_-]+$/.test(k.tenantId)) throw new Error(`Invalid tenantId "${k.tenantId}"`);
+  }
+
+  return keys.map((k) => ({
+    keyHash: sha256(k.key),
+    // short fingerprint for logs / audit trails, never the key itself
+    keyId: sha256(k.key).toString("hex").slice(0, 12),
+    tenantId: k.tenantId,
+    roles: (k.roles || []).map((r) => String(r).trim().toLowerCase()).filter(Boolean),
+  }));
+}
+
+function _tokenFromRequest(req) {
+  const header = req.get("authorization") || "";
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  return (req.get("x-api-key") || "").trim() || null;
+}
+
+/**
+ * Express middleware factory
+ *
+ * @param {Array} apiKeys - From loadApiKeys
+ */
+function createAuthMiddleware(apiKeys) {
+  if (!apiKeys || apiKeys.length === 0) {
+    return (req, res, next) => {
+      req.auth = { tenantId: DEFAULT_TENANT, roles: ["admin"], keyId: null };
+      next();
+    };
+  }
+
+  return (req, res, next) => {
+    const token = _tokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({ success: false, error: "API key required" });
+    }
+
+    // hash both sides so timingSafeEqual always compares equal-length buffers
+    const tokenHash = sha256(token);
+    const match = apiKeys.find((k) => crypto.timingSafeEqual(k.keyHash, tokenHash));
+    if (!match) {
+      return res.status(401).json({ success: false, error: "Invalid API key" });
+    }
+
+    req.auth = { tenantId: match.tenantId, roles: match.roles, keyId: match.keyId };
+    next();
+  };
+}
+
+/**
+ * Guards a route behind a role (admins pass every role check)
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const roles = req.auth?.roles || [];
+    if (!roles.includes(role) && !roles.includes("admin")) {
+      return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  loadApiKeys,
+  createAuthMiddleware,
+  requireRole,
+};
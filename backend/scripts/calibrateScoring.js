@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Fits fraud scoring weights and verdict thresholds from reviewed proofs
+ *
+ *   npm run calibrate -- [--tenant acme] [--write] [--min-samples 20] [--min-code-count 3]
+ *
+ * Rejected claims count as fraud, approved ones as legitimate; proofs still in
+ * review are ignored. Reads the proof store the server uses (PROOF_STORE,
+ * PROOF_DB_PATH) and starts from the current model (SCORING_CONFIG_PATH).
+ * Prints the fitted model, or with --write saves it to the scoring file
+ * (under tenants.<id> when --tenant is given).
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const ProofStore = require("../services/proofStore");
+const { reviewOf } = require("../services/reviewWorkflow");
+const { loadScoringConfig, getScoringConfig, saveScoringConfig, fitScoringModel } = require("../services/scoringModel");
+
+const LABELS = { rejected: 1, approved: 0 };
+
+function parseArgs(argv) {
+  const args = { tenant: null, write: false, minSamples: undefined, minCodeCount: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--write") args.write = true;
+    else if (arg === "--tenant") args.tenant = argv[++i];
+    else if (arg === "--min-samples") args.minSamples = Number(argv[++i]);
+    else if (arg === "--min-code-count") args.minCodeCount = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (args.tenant === undefined || args.tenant === "") throw new Error("--tenant needs a tenant ID");
+  return args;
+}
+
+/**
+ * Calibration sample from a stored proof, or null when it has no final decision
+ */
+function sampleOf(row) {
+  const label = LABELS[reviewOf(row).state];
+  const summary = row.analysisSummary || {};
+  // proofs stored before score breakdowns only have the final score
+  const aiScore = summary.score_breakdown?.ai_score ?? summary.fraud_score;
+  if (label === undefined || !Number.isFinite(Number(aiScore))) return null;
+
+  const codes = (summary.findings || [])
+    .filter((f) => f.source !== "ai" && f.code !== "CLEAN_SCORE_CAP")
+    .map((f) => f.code);
+  return { aiScore: Number(aiScore), codes: [...new Set(codes)], label };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scoring = loadScoringConfig(process.env.SCORING_CONFIG_PATH);
+  ProofStore.initProofStore({
+    backend: (process.env.PROOF_STORE || "sqlite").trim().toLowerCase(),
+    dbPath: process.env.PROOF_DB_PATH,
+  });
+
+  const tenantId = args.tenant || "default";
+  const samples = ProofStore.getAllProofs(tenantId).map(sampleOf).filter(Boolean);
+  const { model, report } = fitScoringModel(samples, getScoringConfig(args.tenant), {
+    minSamples: args.minSamples,
+    minCodeCount: args.minCodeCount,
+  });
+
+  console.log(`📊 Calibrated on ${report.samples} reviewed proofs of ${tenantId} (${report.fraud} rejected, ${report.legitimate} approved)`);
+  console.log(`   training accuracy: ${(report.accuracy * 100).toFixed(1)}%`);
+  console.log(`   thresholds: ${JSON.stringify(model.thresholds)}`);
+  for (const { code, support, weight } of report.codes) {
+    console.log(`   ${code.padEnd(24)} ${String(weight).padStart(4)} pts (${support} proofs)`);
+  }
+  if (report.skippedCodes.length) {
+    console.log(`   too rare to fit (current weights kept): ${report.skippedCodes.join(", ")}`);
+  }
+
+  const current = fs.existsSync(scoring.path) ? JSON.parse(fs.readFileSync(scoring.path, "utf8")) : {};
+  const doc = args.tenant
+    ? { ...current, tenants: { ...current.tenants, [args.tenant]: model } }
+    : { ...model, ...(current.tenants ? { tenants: current.tenants } : {}) };
+
+  if (!args.write) {
+    console.log("");
+    console.log(JSON.stringify(doc, null, 2));
+    return;
+  }
+  const saved = saveScoringConfig(doc, scoring.path);
+  console.log(`✅ Wrote ${saved.path}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Calibration failed: ${error.message}`);
+  process.exit(1);
+}
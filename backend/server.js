@@ -6,7 +6,15 @@ const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 
 const VericeiptController = require("./controllers/vericeipt.controller");
+const { createAnchorService, requiredEnvForBackend } = require("./services/anchorService");
+const { createExtractionProvider, requiredEnvForProvider } = require("./services/providers");
 const ProofStore = require("./services/proofStore");
+const { loadApiKeys, createAuthMiddleware, requireRole } = require("./middleware/auth");
+const { loadTaxRates } = require("./utils/taxUtils");
+const { loadFxRates } = require("./utils/fxRates");
+const { loadExpensePolicy } = require("./services/policyEngine");
+const { loadScoringConfig } = require("./services/scoringModel");
+const { toCsv } = require("./utils/csv");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,35 +32,123 @@ const limiter = rateLimit({
 });
 app.use("/analyze", limiter);
 app.use("/certify", limiter);
+app.use("/analyze-and-certify", limiter);
 app.use("/verify", limiter);
 app.use("/proof", limiter);
 
-const requiredEnvVars = ["GEMINI_API_KEY", "SOLANA_RPC_URL"];
+// API_KEYS / API_KEYS_FILE map keys to tenants; "/" and "/health" stay public
+const apiKeys = loadApiKeys({ apiKeys: process.env.API_KEYS, apiKeysFile: process.env.API_KEYS_FILE });
+const auth = createAuthMiddleware(apiKeys);
+app.use(["/analyze", "/certify", "/analyze-and-certify", "/verify", "/proof", "/proofs", "/merchants", "/policy"], auth);
+if (apiKeys.length === 0) {
+  console.warn("⚠️  No API keys configured - auth is disabled and every request uses the default tenant");
+}
+
+// ANCHOR_BACKEND=local runs without Solana (file-backed hash-chained ledger)
+const anchorBackend = (process.env.ANCHOR_BACKEND || "solana").trim().toLowerCase();
+
+// AI_PROVIDER=local runs without Gemini (rule-based manual data, fixture-driven images)
+const aiProvider = (process.env.AI_PROVIDER || "gemini").trim().toLowerCase();
+
+const requiredEnvVars = [...requiredEnvForProvider(aiProvider), ...requiredEnvForBackend(anchorBackend)];
 const missingEnvVars = requiredEnvVars.filter((v) => !process.env[v]);
 if (missingEnvVars.length > 0) {
   console.error("Missing env vars:", missingEnvVars.join(", "));
   process.exit(1);
 }
 
+// Comma-separated verdicts that /analyze-and-certify refuses to anchor
+const blockedVerdicts = process.env.CERTIFY_BLOCKED_VERDICTS
+  ? process.env.CERTIFY_BLOCKED_VERDICTS.split(",").map((v) => v.trim()).filter(Boolean)
+  : undefined;
+
+// PROOF_STORE=sqlite (default, data/proofs.db) or memory; imports legacy data/proofs.json once
+const proofStoreBackend = (process.env.PROOF_STORE || "sqlite").trim().toLowerCase();
+ProofStore.initProofStore({ backend: proofStoreBackend, dbPath: process.env.PROOF_DB_PATH });
+
+// TAX_RATES_PATH swaps in another per-jurisdiction rate table (default data/taxRates.json)
+if (process.env.TAX_RATES_PATH) loadTaxRates(process.env.TAX_RATES_PATH);
+
+// FX_RATES_PATH: daily FX rates (CSV or JSON, default data/fxRates.csv) for REPORTING_CURRENCY totals
+if (process.env.FX_RATES_PATH) loadFxRates(process.env.FX_RATES_PATH);
+
+// EXPENSE_POLICY_PATH: default expense rules for tenants without their own (JSON or YAML, default data/expensePolicy.json if present)
+const expensePolicy = loadExpensePolicy(process.env.EXPENSE_POLICY_PATH).policy;
+
+// SCORING_CONFIG_PATH: fraud score weights / verdict thresholds (JSON, default data/scoring.json if present)
+const scoring = loadScoringConfig(process.env.SCORING_CONFIG_PATH);
+
+const anchorService = createAnchorService({
+  backend: anchorBackend,
+  solanaRpcUrl: process.env.SOLANA_RPC_URL,
+  solanaPrivateKey: process.env.SOLANA_PRIVATE_KEY,
+  ledgerPath: process.env.LEDGER_PATH,
+});
+
+const extractionProvider = createExtractionProvider({
+  provider: aiProvider,
+  geminiApiKey: process.env.GEMINI_API_KEY,
+  fixturesDir: process.env.AI_FIXTURES_DIR,
+});
+
 const controller = new VericeiptController(
-  process.env.GEMINI_API_KEY,
-  process.env.SOLANA_RPC_URL,
-  process.env.SOLANA_PRIVATE_KEY
+  extractionProvider,
+  anchorService,
+  {
+    blockedVerdicts,
+    // CERTIFY_MODE=batch anchors one Merkle root per batch instead of one memo per receipt
+    certifyMode: process.env.CERTIFY_MODE,
+    batchSize: process.env.CERTIFY_BATCH_SIZE,
+    batchWaitMs: process.env.CERTIFY_BATCH_WAIT_MS,
+    // REVIEW_ANCHOR_DECISIONS=true anchors approved / rejected decisions as DECISION memos
+    anchorDecisions: process.env.REVIEW_ANCHOR_DECISIONS === "true",
+    // near-duplicate detection: relative total tolerance, date window in days, minimum score (0..1)
+    similarity: {
+      totalTolerance: process.env.SIMILARITY_TOTAL_TOLERANCE,
+      dateWindowDays: process.env.SIMILARITY_DATE_WINDOW_DAYS,
+      minScore: process.env.SIMILARITY_MIN_SCORE,
+    },
+    // IMAGE_SIMILARITY_MAX_DISTANCE: dHash bits (of 64) two photos may differ by and still match
+    imageMaxDistance: process.env.IMAGE_SIMILARITY_MAX_DISTANCE,
+    // REPORTING_CURRENCY: totals are also stored converted into it; FX_MAX_AGE_DAYS: oldest usable rate (default 7)
+    reportingCurrency: process.env.REPORTING_CURRENCY,
+    fxMaxAgeDays: process.env.FX_MAX_AGE_DAYS,
+    // CANONICAL_VERSION: v2 (RFC 8785 JSON, default) or v1 (key=value text) for new analyses; /verify accepts both
+    canonicalVersion: process.env.CANONICAL_VERSION,
+  }
 );
 
-console.log("✅ Services initialized");
+console.log(
+  `✅ Services initialized (ai: ${aiProvider}, anchor: ${anchorBackend}, store: ${proofStoreBackend}, api keys: ${apiKeys.length}, certify mode: ${controller.certifyMode}, canonical: ${controller.canonicalVersion}, expense rules: ${expensePolicy ? expensePolicy.rules.length : "none"}, scoring: ${scoring.source})`
+);
 
 app.get("/", (req, res) => {
   res.json({
     name: "Vericeipt API",
     version: "1.0.0",
-    description: "AI receipt verification + Solana certification",
+    description: "AI receipt verification + blockchain certification",
+    ai: aiProvider,
+    anchor: anchorBackend,
     endpoints: {
       analyze: { method: "POST", path: "/analyze" },
       certify: { method: "POST", path: "/certify" },
+      analyzeAndCertify: { method: "POST", path: "/analyze-and-certify" },
       verify: { method: "POST", path: "/verify" },
       proof: { method: "GET", path: "/proof/:txSignature" },
       proofs: { method: "GET", path: "/proofs" },
+      proofsExport: { method: "GET", path: "/proofs/export" },
+      review: { method: "GET", path: "/proofs/:hash/review" },
+      reviewDecision: { method: "POST", path: "/proofs/:hash/review" },
+      merchants: { method: "GET", path: "/merchants" },
+      merchantResolve: { method: "GET", path: "/merchants/resolve?name=" },
+      merchant: { method: "GET", path: "/merchants/:merchantId" },
+      merchantSave: { method: "PUT", path: "/merchants/:merchantId" },
+      merchantDelete: { method: "DELETE", path: "/merchants/:merchantId" },
+      merchantPolicy: { method: "PUT", path: "/merchants/:merchantId/policy" },
+      merchantPolicyDelete: { method: "DELETE", path: "/merchants/:merchantId/policy" },
+      expensePolicy: { method: "GET", path: "/policy/rules" },
+      expensePolicySave: { method: "PUT", path: "/policy/rules" },
+      expensePolicyReset: { method: "DELETE", path: "/policy/rules" },
       health: { method: "GET", path: "/health" },
     },
   });
@@ -66,6 +162,10 @@ app.post("/certify", async (req, res) => {
   await controller.certifyReceipt(req, res);
 });
 
+app.post("/analyze-and-certify", async (req, res) => {
+  await controller.analyzeAndCertify(req, res);
+});
+
 app.post("/verify", async (req, res) => {
   await controller.verifyReceipt(req, res);
 });
@@ -77,9 +177,10 @@ app.get("/proof/:txSignature", async (req, res) => {
       return res.status(400).json({ success: false, error: "Invalid txSignature" });
     }
 
-    const bundle = ProofStore.getProofBundleByTx(txSignature);
-    const cluster = process.env.SOLANA_NETWORK || "devnet";
-    const explorerUrl = `https://explorer.solana.com/tx/${txSignature}?cluster=${cluster}`;
+    // ?hash= picks one receipt out of a batched tx
+    const hash = req.query.hash ? String(req.query.hash).trim() : null;
+    const bundle = ProofStore.getProofBundleByTx(req.auth.tenantId, txSignature, hash);
+    const explorerUrl = anchorService._explorerTxUrl(txSignature);
 
     if (!bundle) {
       return res.status(404).json({
@@ -98,16 +199,109 @@ app.get("/proof/:txSignature", async (req, res) => {
   }
 });
 
+// /proofs and /proofs/export filters
+function proofQuery(q) {
+  return {
+    sort: q.sort,
+    order: q.order,
+    from: q.from,
+    to: q.to,
+    merchant: q.merchant,
+    merchantId: q.merchantId,
+    currency: q.currency,
+    minTotal: q.minTotal,
+    maxTotal: q.maxTotal,
+    verdicts: q.verdict ? String(q.verdict).split(",") : [],
+    reviewStates: q.reviewState ? String(q.reviewState).split(",") : [],
+    receiptTypes: q.receiptType ? String(q.receiptType).split(",") : [],
+    duplicatesOnly: q.duplicates === "true" || q.duplicates === "1",
+    q: q.q,
+  };
+}
+
+// GET /proofs?cursor=&limit=&sort=&order=&from=&to=&merchant=&merchantId=&currency=&minTotal=&maxTotal=&verdict=&reviewState=&receiptType=&duplicates=&q=
 app.get("/proofs", async (req, res) => {
   try {
-    const all = ProofStore.getAllProofs();
-    return res.json({ success: true, proofs: all });
+    const result = ProofStore.queryProofs(req.auth.tenantId, {
+      ...proofQuery(req.query),
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+    });
+    return res.json({ success: true, ...result });
   } catch (error) {
     console.error("Proofs list error:", error);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
+// GET /proofs/export - every matching proof as CSV (same filters as /proofs, no paging)
+app.get("/proofs/export", async (req, res) => {
+  try {
+    const records = ProofStore.exportProofs(req.auth.tenantId, proofQuery(req.query));
+    const csv = toCsv(
+      ProofStore.EXPORT_COLUMNS,
+      records.map((record) => ProofStore.EXPORT_COLUMNS.map((column) => record[column]))
+    );
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="proofs.csv"');
+    return res.send(csv);
+  } catch (error) {
+    console.error("Proofs export error:", error);
+    return res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/proofs/:hash/review", async (req, res) => {
+  await controller.getReview(req, res);
+});
+
+app.post("/proofs/:hash/review", requireRole("reviewer"), async (req, res) => {
+  await controller.updateReview(req, res);
+});
+
+// merchant alias registry: anyone in the tenant can read, admins maintain it
+app.get("/merchants", async (req, res) => {
+  await controller.listMerchants(req, res);
+});
+
+app.get("/merchants/resolve", async (req, res) => {
+  await controller.resolveMerchant(req, res);
+});
+
+app.get("/merchants/:merchantId", async (req, res) => {
+  await controller.getMerchant(req, res);
+});
+
+app.put("/merchants/:merchantId", requireRole("admin"), async (req, res) => {
+  await controller.putMerchant(req, res);
+});
+
+app.delete("/merchants/:merchantId", requireRole("admin"), async (req, res) => {
+  await controller.deleteMerchant(req, res);
+});
+
+// allowlist / blocklist: blocked vendors fail validation, others warn once approved suppliers exist
+app.put("/merchants/:merchantId/policy", requireRole("admin"), async (req, res) => {
+  await controller.putMerchantPolicy(req, res);
+});
+
+app.delete("/merchants/:merchantId/policy", requireRole("admin"), async (req, res) => {
+  await controller.deleteMerchantPolicy(req, res);
+});
+
+// expense rules: each tenant's admins manage their own (default: the EXPENSE_POLICY_PATH file)
+app.get("/policy/rules", requireRole("admin"), async (req, res) => {
+  await controller.getExpensePolicy(req, res);
+});
+
+app.put("/policy/rules", requireRole("admin"), async (req, res) => {
+  await controller.putExpensePolicy(req, res);
+});
+
+app.delete("/policy/rules", requireRole("admin"), async (req, res) => {
+  await controller.deleteExpensePolicy(req, res);
+});
+
 app.get("/health", async (req, res) => {
   await controller.healthCheck(req, res);
 });
@@ -141,9 +335,13 @@ app.listen(PORT, () => {
   console.log("📚 Endpoints:");
   console.log(`   POST   /analyze`);
   console.log(`   POST   /certify`);
+  console.log(`   POST   /analyze-and-certify`);
   console.log(`   POST   /verify`);
   console.log(`   GET    /proof/:txSignature`);
   console.log(`   GET    /proofs`);
+  console.log(`   GET    /proofs/export`);
+  console.log(`   GET    /proofs/:hash/review`);
+  console.log(`   POST   /proofs/:hash/review`);
   console.log(`   GET    /health`);
   console.log("═══════════════════════════════════════════════════════");
   console.log("");
@@ -0,0 +1,184 @@
+/**
+ * Anchoring backends
+ *
+ * Every backend implements the same interface:
+ *   certifyHash(hash, metadata, version)            -> { txSignature, chainHash, timestamp, explorerUrl, walletAddress }
+ *   certifyMerkleRoot(root, metadata, version)      -> { txSignature, merkleRoot, timestamp, explorerUrl, walletAddress }
+ *   certifyDecision(decisionHash, metadata)         -> { txSignature, decisionHash, timestamp, explorerUrl, walletAddress }
+ *   verifyHash(txSignature, expectedHash, proof)    -> { verified, message, chainHash, localHash, ... }
+ *   getTransactionDetails(txSignature)              -> { signature, timestamp, ... } | null
+ *   healthCheck()                                   -> { connected, backend, ... }
+ *   _explorerTxUrl(txSignature)                     -> string | null
+ *
+ * ANCHOR_BACKEND selects the backend: "solana" (default) or "local".
+ */
+
+const path = require('path');
+const { parseMemo, MEMO_VERSIONS } = require('../utils/memo');
+const { verifyInclusionProof } = require('../utils/merkle');
+
+const ANCHOR_BACKENDS = ['solana', 'local'];
+
+/**
+ * Env vars each backend needs to start
+ */
+function requiredEnvForBackend(backend) {
+  return backend === 'local' ? [] : ['SOLANA_RPC_URL'];
+}
+
+/**
+ * Creates the configured anchoring backend
+ *
+ * @param {Object} config - { backend, solanaRpcUrl, solanaPrivateKey, ledgerPath }
+ * @returns {Object} Anchor service instance
+ */
+function createAnchorService(config = {}) {
+  const backend = String(config.backend || 'solana').trim().toLowerCase();
+
+  if (backend === 'local') {
+    const LocalLedgerService = require('./localLedgerService');
+    return new LocalLedgerService(
+      config.ledgerPath || path.join(__dirname, '..', 'data', 'ledger.json')
+    );
+  }
+
+  if (backend === 'solana') {
+    const SolanaService = require('./solanaService');
+    return new SolanaService(config.solanaRpcUrl, config.solanaPrivateKey);
+  }
+
+  throw new Error(`Unknown anchor backend "${backend}" (expected one of: ${ANCHOR_BACKENDS.join(', ')})`);
+}
+
+/**
+ * Compares an anchored memo with a locally computed hash.
+ * Shared by all backends so HASH / ROOT / DECISION memos verify the same way everywhere.
+ * v1 and v2 memos verify alike; the result's memoVersion says which one was anchored.
+ * A ROOT memo only covers receipts of its own version, so an inclusion proof
+ * that names another version fails.
+ *
+ * @param {string} memoData - Raw memo string read from the anchor
+ * @param {string} expectedHash - Local receipt hash
+ * @param {Object|null} merkleProof - Inclusion proof, required for ROOT memos ({ root, version, path, ... })
+ * @param {Object} context - Extra fields merged into the result (timestamp, explorerUrl, walletAddress)
+ * @returns {Object} Verification result
+ */
+function verifyMemo(memoData, expectedHash, merkleProof, context = {}) {
+  const localHash = String(expectedHash).toLowerCase();
+  const { walletAddress, ...shared } = context;
+  const memo = parseMemo(memoData);
+
+  if (!memo) {
+    return {
+      verified: false,
+      message: 'Invalid memo format - not a Vericeipt transaction',
+      chainHash: null,
+      localHash,
+      error: 'INVALID_MEMO_FORMAT',
+      memoFound: memoData,
+    };
+  }
+
+  if (!MEMO_VERSIONS.includes(memo.version)) {
+    return {
+      verified: false,
+      message: `Memo version ${memo.version} is not supported by this server`,
+      chainHash: null,
+      localHash,
+      memoVersion: memo.version,
+      error: 'UNSUPPORTED_MEMO_VERSION',
+      memoFound: memoData,
+    };
+  }
+
+  shared.memoVersion = memo.version;
+
+  if (memo.kind === 'ROOT') {
+    const merkleRoot = memo.value;
+
+    if (!merkleProof || !Array.isArray(merkleProof.path)) {
+      return {
+        verified: false,
+        message: 'This transaction certifies a batch - an inclusion proof is required',
+        chainHash: null,
+        localHash,
+        merkleRoot,
+        ...shared,
+        error: 'INCLUSION_PROOF_REQUIRED',
+      };
+    }
+
+    if (merkleProof.version && merkleProof.version !== memo.version) {
+      return {
+        verified: false,
+        message: `❌ VERIFICATION FAILED: The transaction anchors a batch of ${memo.version} receipts but this receipt is ${merkleProof.version}.`,
+        chainHash: null,
+        localHash,
+        merkleRoot,
+        merkleProof,
+        ...shared,
+        error: 'MEMO_VERSION_MISMATCH',
+      };
+    }
+
+    if (verifyInclusionProof(localHash, merkleProof, merkleRoot)) {
+      return {
+        verified: true,
+        message: '✅ VERIFIED: Receipt is included in the certified batch.',
+        chainHash: localHash,
+        localHash,
+        merkleRoot,
+        merkleProof,
+        ...shared,
+        walletAddress,
+      };
+    }
+
+    return {
+      verified: false,
+      message: '❌ VERIFICATION FAILED: Receipt is not part of the certified batch or has been altered.',
+      chainHash: null,
+      localHash,
+      merkleRoot,
+      merkleProof,
+      ...shared,
+      difference: 'Inclusion proof does not lead to the anchored Merkle root',
+    };
+  }
+
+  const chainHash = memo.value;
+  const isDecision = memo.kind === 'DECISION';
+
+  if (chainHash === localHash) {
+    return {
+      verified: true,
+      message: isDecision
+        ? '✅ VERIFIED: Review decision matches the anchored record.'
+        : '✅ VERIFIED: Receipt matches the certified fingerprint.',
+      ...(isDecision ? { kind: 'DECISION' } : {}),
+      chainHash,
+      localHash,
+      ...shared,
+      walletAddress,
+    };
+  }
+
+  return {
+    verified: false,
+    message: isDecision
+      ? '❌ VERIFICATION FAILED: Review decision has been altered or does not match the anchored record.'
+      : '❌ VERIFICATION FAILED: Receipt has been altered or does not match the certified version.',
+    ...(isDecision ? { kind: 'DECISION' } : {}),
+    chainHash,
+    localHash,
+    ...shared,
+    difference: 'Hashes do not match',
+  };
+}
+
+module.exports = {
+  ANCHOR_BACKENDS,
+  requiredEnvForBackend,
+  createAnchorService,
+  verifyMemo,
+};
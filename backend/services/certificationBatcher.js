@@ -0,0 +1,122 @@
+/**
+ * Certification Batcher
+ * Queues receipt hashes and anchors them together as one Merkle root memo.
+ *
+ * A batch is flushed when it reaches maxBatchSize or when the oldest queued
+ * hash has waited maxWaitMs. Every caller gets the shared transaction plus
+ * its own inclusion proof.
+ *
+ * The root memo is tagged with the canonical version of its receipts, so v1
+ * and v2 hashes queued in the same window are anchored as separate roots.
+ */
+
+const { buildMerkleTree, getInclusionPath } = require('../utils/merkle');
+const { MEMO_VERSIONS } = require('../utils/memo');
+
+class CertificationBatcher {
+  /**
+   * @param {Object} anchorService - Must implement certifyMerkleRoot(root, metadata)
+   * @param {Object} options - { maxBatchSize, maxWaitMs }
+   */
+  constructor(anchorService, options = {}) {
+    if (!anchorService || typeof anchorService.certifyMerkleRoot !== 'function') {
+      throw new Error('Batching requires an anchor service with certifyMerkleRoot');
+    }
+
+    this.anchorService = anchorService;
+    this.maxBatchSize = Math.max(1, Number(options.maxBatchSize) || 256);
+    this.maxWaitMs = Math.max(0, Number(options.maxWaitMs ?? 5000));
+
+    this.pending = []; // [{ hash, version, resolve, reject }]
+    this.timer = null;
+  }
+
+  /**
+   * Queues a hash for the next batch
+   *
+   * @param {string} hash - 64-char hex receipt hash
+   * @param {string} version - Canonical version the hash was computed from ('v1' or 'v2'), kept in its inclusion proof
+   * @returns {Promise<Object>} Chain result + merkleProof for this hash
+   */
+  enqueue(hash, version = 'v1') {
+    if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
+      return Promise.reject(new Error('Invalid hash format - must be 64-character hex string'));
+    }
+    if (!MEMO_VERSIONS.includes(version)) {
+      return Promise.reject(new Error(`Unsupported canonical version "${version}"`));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ hash: hash.toLowerCase(), version, resolve, reject });
+
+      if (this.pending.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+      }
+    });
+  }
+
+  /**
+   * Anchors everything queued so far, one root per canonical version. Safe to call with an empty queue.
+   *
+   * @returns {Promise<Array>} [{ root, version, size, txSignature }], null for a root that failed to anchor
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = this.pending.splice(0, this.pending.length);
+    const results = [];
+    // one memo at a time, like unbatched certification
+    for (const version of new Set(batch.map((entry) => entry.version))) {
+      results.push(await this._anchor(batch.filter((entry) => entry.version === version), version));
+    }
+    return results;
+  }
+
+  async _anchor(batch, version) {
+    // Same receipt queued twice in one window shares a single leaf
+    const leaves = [...new Set(batch.map((entry) => entry.hash))];
+
+    try {
+      const { root, levels } = buildMerkleTree(leaves);
+
+      console.log(`📦 Anchoring batch of ${leaves.length} ${version} receipt hash(es), root ${root}`);
+      const chain = await this.anchorService.certifyMerkleRoot(
+        root,
+        {
+          source: 'vericeipt-api',
+          batchSize: leaves.length,
+          certified_at: new Date().toISOString(),
+        },
+        version
+      );
+
+      for (const entry of batch) {
+        const leafIndex = leaves.indexOf(entry.hash);
+        entry.resolve({
+          ...chain,
+          chainHash: entry.hash,
+          merkleRoot: root,
+          merkleProof: {
+            root,
+            version,
+            leafIndex,
+            leafCount: leaves.length,
+            path: getInclusionPath(levels, leafIndex),
+          },
+        });
+      }
+
+      return { root, version, size: leaves.length, txSignature: chain.txSignature };
+    } catch (error) {
+      for (const entry of batch) entry.reject(error);
+      return null;
+    }
+  }
+}
+
+module.exports = CertificationBatcher;
@@ -0,0 +1,264 @@
+/**
+ * Local Ledger Service
+ * File-backed, hash-chained stand-in for Solana (ANCHOR_BACKEND=local).
+ *
+ * Each entry stores the same memo we would send on-chain and commits to the
+ * previous entry's hash, so editing or removing an old entry breaks every
+ * entry after it. Entry IDs are base58 strings shaped like Solana signatures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+
+const { formatHashMemo, formatRootMemo, formatDecisionMemo } = require('../utils/memo');
+const { verifyMemo } = require('./anchorService');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class LocalLedgerService {
+  constructor(ledgerPath) {
+    if (!ledgerPath) {
+      throw new Error('Local ledger path is required');
+    }
+
+    this.backend = 'local';
+    this.displayName = 'the local ledger';
+    this.ledgerPath = ledgerPath;
+
+    const ledger = this._readLedger();
+    console.log(`✅ Local ledger initialized: ${ledgerPath} (${ledger.entries.length} entries)`);
+  }
+
+  _readLedger() {
+    const dir = path.dirname(this.ledgerPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    if (!fs.existsSync(this.ledgerPath)) {
+      const ledger = { ledgerId: bs58.encode(crypto.randomBytes(32)), entries: [] };
+      this._writeLedger(ledger);
+      return ledger;
+    }
+
+    // Unlike the old proofs.json, a corrupt ledger must not silently reset
+    const parsed = JSON.parse(fs.readFileSync(this.ledgerPath, 'utf8'));
+    if (!parsed.ledgerId || !Array.isArray(parsed.entries)) {
+      throw new Error(`Local ledger at ${this.ledgerPath} is malformed`);
+    }
+    return parsed;
+  }
+
+  _writeLedger(ledger) {
+    // write-then-rename so a crash never leaves a half-written ledger
+    const tmpPath = `${this.ledgerPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmpPath, this.ledgerPath);
+  }
+
+  _entryHash({ index, prevEntryHash, memo, timestamp }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([index, prevEntryHash, memo, timestamp]), 'utf8')
+      .digest('hex');
+  }
+
+  _signatureFor(ledgerId, entryHash) {
+    const digest = crypto.createHash('sha512').update(`${ledgerId}:${entryHash}`, 'utf8').digest();
+    return bs58.encode(digest);
+  }
+
+  /**
+   * Re-walks the chain up to (and including) uptoIndex
+   *
+   * @returns {Object} { valid, brokenAt }
+   */
+  _verifyChain(ledger, uptoIndex = ledger.entries.length - 1) {
+    let prev = GENESIS_HASH;
+    for (let i = 0; i <= uptoIndex; i++) {
+      const entry = ledger.entries[i];
+      if (
+        !entry ||
+        entry.index !== i ||
+        entry.prevEntryHash !== prev ||
+        entry.entryHash !== this._entryHash(entry) ||
+        entry.txSignature !== this._signatureFor(ledger.ledgerId, entry.entryHash)
+      ) {
+        return { valid: false, brokenAt: i };
+      }
+      prev = entry.entryHash;
+    }
+    return { valid: true, brokenAt: null };
+  }
+
+  _explorerTxUrl() {
+    // nothing to link to outside this machine
+    return null;
+  }
+
+  /**
+   * @param {string} version - Canonical version of the receipt text ('v1' or 'v2'), tagged in the memo
+   */
+  async certifyHash(hash, metadata = {}, version = 'v1') {
+    if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
+      throw new Error('Invalid hash format - must be 64-character hex string');
+    }
+
+    const result = await this._sendMemo(formatHashMemo(hash, version), metadata);
+    return { ...result, chainHash: hash };
+  }
+
+  async certifyMerkleRoot(root, metadata = {}, version = 'v1') {
+    if (!root || !/^[a-f0-9]{64}$/i.test(root)) {
+      throw new Error('Invalid Merkle root format - must be 64-character hex string');
+    }
+
+    const result = await this._sendMemo(formatRootMemo(root, version), metadata);
+    return { ...result, merkleRoot: root.toLowerCase() };
+  }
+
+  async certifyDecision(decisionHash, metadata = {}) {
+    if (!decisionHash || !/^[a-f0-9]{64}$/i.test(decisionHash)) {
+      throw new Error('Invalid decision hash format - must be 64-character hex string');
+    }
+
+    const result = await this._sendMemo(formatDecisionMemo(decisionHash), metadata);
+    return { ...result, decisionHash: decisionHash.toLowerCase() };
+  }
+
+  async _sendMemo(memoData, metadata = {}) {
+    try {
+      const ledger = this._readLedger();
+      const last = ledger.entries[ledger.entries.length - 1];
+
+      const entry = {
+        index: ledger.entries.length,
+        prevEntryHash: last ? last.entryHash : GENESIS_HASH,
+        memo: memoData,
+        timestamp: new Date().toISOString(),
+        metadata,
+      };
+      entry.entryHash = this._entryHash(entry);
+      entry.txSignature = this._signatureFor(ledger.ledgerId, entry.entryHash);
+
+      ledger.entries.push(entry);
+      this._writeLedger(ledger);
+
+      console.log('✅ Receipt certified on local ledger:', entry.txSignature);
+
+      return {
+        success: true,
+        txSignature: entry.txSignature,
+        timestamp: entry.timestamp,
+        explorerUrl: null,
+        walletAddress: ledger.ledgerId,
+        metadata,
+      };
+    } catch (error) {
+      console.error('❌ Certification failed:', error);
+      throw new Error(`Failed to certify receipt: ${error.message}`);
+    }
+  }
+
+  async verifyHash(txSignature, expectedHash, merkleProof = null) {
+    try {
+      if (!txSignature || txSignature.length < 64) {
+        throw new Error('Invalid transaction signature');
+      }
+
+      if (!expectedHash || !/^[a-f0-9]{64}$/i.test(expectedHash)) {
+        throw new Error('Invalid hash format - must be 64-character hex string');
+      }
+
+      const ledger = this._readLedger();
+      const entry = ledger.entries.find((e) => e.txSignature === txSignature);
+
+      if (!entry) {
+        return {
+          verified: false,
+          message: 'Transaction not found on local ledger',
+          chainHash: null,
+          localHash: expectedHash,
+          error: 'TRANSACTION_NOT_FOUND',
+        };
+      }
+
+      const chain = this._verifyChain(ledger, entry.index);
+      if (!chain.valid) {
+        return {
+          verified: false,
+          message: `Local ledger has been tampered with (chain breaks at entry ${chain.brokenAt})`,
+          chainHash: null,
+          localHash: expectedHash,
+          error: 'LEDGER_TAMPERED',
+        };
+      }
+
+      return verifyMemo(entry.memo, expectedHash, merkleProof, {
+        timestamp: entry.timestamp,
+        explorerUrl: null,
+        walletAddress: ledger.ledgerId,
+      });
+    } catch (error) {
+      console.error('❌ Verification error:', error);
+
+      return {
+        verified: false,
+        message: `Verification failed: ${error.message}`,
+        chainHash: null,
+        localHash: expectedHash,
+        error: 'VERIFICATION_ERROR',
+        details: error.message,
+      };
+    }
+  }
+
+  async getTransactionDetails(signature) {
+    try {
+      const ledger = this._readLedger();
+      const entry = ledger.entries.find((e) => e.txSignature === signature);
+      if (!entry) return null;
+
+      return {
+        signature,
+        timestamp: entry.timestamp,
+        index: entry.index,
+        memo: entry.memo,
+        entryHash: entry.entryHash,
+        prevEntryHash: entry.prevEntryHash,
+        success: this._verifyChain(ledger, entry.index).valid,
+        explorerUrl: null,
+      };
+    } catch (error) {
+      console.error('Failed to get transaction details:', error);
+      return null;
+    }
+  }
+
+  async healthCheck() {
+    try {
+      const ledger = this._readLedger();
+      const chain = this._verifyChain(ledger);
+      const head = ledger.entries[ledger.entries.length - 1];
+
+      return {
+        connected: chain.valid,
+        backend: this.backend,
+        ledgerPath: this.ledgerPath,
+        walletAddress: ledger.ledgerId,
+        entries: ledger.entries.length,
+        headHash: head ? head.entryHash : GENESIS_HASH,
+        chainValid: chain.valid,
+        brokenAt: chain.brokenAt,
+      };
+    } catch (error) {
+      return {
+        connected: false,
+        backend: this.backend,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = LocalLedgerService;
@@ -0,0 +1,182 @@
+/**
+ * Merchant Alias Registry
+ * Maps the many printed spellings of a merchant to one merchant ID, per tenant:
+ *
+ *   { merchantId: 'walmart', name: 'Walmart', aliases: ['WAL-MART', 'Walmart Supercenter'] }
+ *
+ * Names are matched on their merchantKey (utils/merchantUtils.js), so store
+ * numbers, case, accents and punctuation don't matter; the entry's own ID and
+ * name count as aliases. A name with no entry gets its slug as ID ("cafe-ole").
+ *
+ * An entry can also carry a policy: blocked (banned vendor) or allowed
+ * (approved supplier). Once a tenant has approved suppliers, every other
+ * merchant is "unknown" and gets a warning.
+ */
+
+const { merchantKey, merchantSlug } = require('../utils/merchantUtils');
+
+const MAX_ALIASES = 200;
+
+const MERCHANT_POLICY_STATUSES = ['allowed', 'blocked'];
+
+function registryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeMerchantId(merchantId) {
+  const id = String(merchantId || '').trim().toLowerCase();
+  if (!/^[\p{L}\p{N}][\p{L}\p{N}-]{0,63}$/u.test(id)) {
+    throw registryError('merchantId must be 1-64 letters, digits or dashes', 400);
+  }
+  return id;
+}
+
+/**
+ * Keys an entry matches: its ID, name and aliases
+ */
+function entryKeys(entry) {
+  const names = [entry.merchantId.replace(/-/g, ' '), entry.name, ...(entry.aliases || [])];
+  return new Set(names.map(merchantKey).filter(Boolean));
+}
+
+/**
+ * Validates a create / replace and builds the stored entry
+ *
+ * @param {Object|null} existing - Current entry with this ID, if any
+ * @param {Object} input - { merchantId, name, aliases }
+ * @param {Array} others - The tenant's other entries (an alias may only belong to one merchant)
+ * @param {string} at - ISO timestamp
+ * @returns {Object} { merchantId, name, aliases, createdAt, updatedAt }
+ */
+function buildMerchantEntry(existing, { merchantId, name, aliases = [] }, others, at) {
+  const id = normalizeMerchantId(merchantId);
+
+  const displayName = String(name ?? existing?.name ?? '').replace(/\s+/g, ' ').trim() || id;
+
+  if (!Array.isArray(aliases) || aliases.some((a) => typeof a !== 'string')) {
+    throw registryError('aliases must be an array of strings', 400);
+  }
+  // one alias per key, in the order given
+  const seen = new Set();
+  const cleaned = [];
+  for (const alias of aliases) {
+    const key = merchantKey(alias);
+    if (!key) throw registryError(`Alias "${alias}" has no letters or digits`, 400);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    cleaned.push(alias.replace(/\s+/g, ' ').trim());
+  }
+  if (cleaned.length > MAX_ALIASES) throw registryError(`At most ${MAX_ALIASES} aliases per merchant`, 400);
+
+  const entry = {
+    merchantId: id,
+    name: displayName,
+    aliases: cleaned,
+    // managed through buildMerchantPolicy, kept when aliases are replaced
+    policy: existing?.policy || null,
+    createdAt: existing?.createdAt || at,
+    updatedAt: at,
+  };
+
+  const keys = entryKeys(entry);
+  for (const other of others) {
+    if (other.merchantId === id) continue;
+    const taken = [...entryKeys(other)].find((key) => keys.has(key));
+    if (taken) throw registryError(`"${taken}" already belongs to merchant ${other.merchantId}`, 409);
+  }
+
+  return entry;
+}
+
+/**
+ * Sets (or with status null, clears) an entry's policy, creating the entry if needed
+ *
+ * @param {Object|null} existing - Current entry with this ID, if any
+ * @param {Object} change - { merchantId, status, reason, keyId }
+ * @param {Array} others - The tenant's other entries
+ * @param {string} at - ISO timestamp
+ * @returns {Object} Entry to store
+ */
+function buildMerchantPolicy(existing, { merchantId, status, reason = null, keyId = null }, others, at) {
+  const entry = existing ? { ...existing } : buildMerchantEntry(null, { merchantId }, others, at);
+
+  if (status == null) return { ...entry, policy: null, updatedAt: at };
+
+  const target = String(status).trim().toLowerCase();
+  if (!MERCHANT_POLICY_STATUSES.includes(target)) {
+    throw registryError(`status must be one of: ${MERCHANT_POLICY_STATUSES.join(', ')}`, 400);
+  }
+  const text = reason == null ? null : String(reason).trim() || null;
+
+  return { ...entry, policy: { status: target, reason: text, updatedAt: at, keyId }, updatedAt: at };
+}
+
+/**
+ * Merchant ID for a printed name
+ *
+ * @param {string} name - Raw extracted or typed merchant name
+ * @param {Array} entries - The tenant's registry entries
+ * @returns {Object|null} { merchantId, name, registered } (name = registry display name, null if unregistered)
+ */
+function resolveMerchant(name, entries) {
+  const key = merchantKey(name);
+  if (!key) return null;
+
+  const entry = entries.find((e) => entryKeys(e).has(key));
+  if (entry) return { merchantId: entry.merchantId, name: entry.name, registered: true };
+  return { merchantId: merchantSlug(name), name: null, registered: false };
+}
+
+/**
+ * Checks a printed name against the tenant's merchant policy
+ *
+ * @param {string} name - Raw extracted or typed merchant name
+ * @param {Array} entries - The tenant's registry entries
+ * @returns {Object|null} { merchantId, status, reason, severity, message } or null for an empty name.
+ *   status: blocked | allowed | unknown (not approved while an allowlist exists) | unlisted (no allowlist);
+ *   severity: 'issue' (blocked), 'warning' (unknown) or null
+ */
+function checkMerchantPolicy(name, entries) {
+  const resolved = resolveMerchant(name, entries);
+  if (!resolved) return null;
+
+  const entry = resolved.registered ? entries.find((e) => e.merchantId === resolved.merchantId) : null;
+  const hasAllowlist = entries.some((e) => e.policy?.status === 'allowed');
+  const label = String(name).replace(/\s+/g, ' ').trim();
+
+  if (entry?.policy?.status === 'blocked') {
+    const reason = entry.policy.reason;
+    return {
+      merchantId: resolved.merchantId,
+      status: 'blocked',
+      reason,
+      severity: 'issue',
+      message: `Merchant "${label}" is blocked by policy${reason ? ` (${reason})` : ''}`,
+    };
+  }
+  if (entry?.policy?.status === 'allowed') {
+    return { merchantId: resolved.merchantId, status: 'allowed', reason: entry.policy.reason, severity: null, message: null };
+  }
+  if (hasAllowlist) {
+    return {
+      merchantId: resolved.merchantId,
+      status: 'unknown',
+      reason: null,
+      severity: 'warning',
+      message: `Merchant "${label}" is not an approved supplier`,
+    };
+  }
+  return { merchantId: resolved.merchantId, status: 'unlisted', reason: null, severity: null, message: null };
+}
+
+module.exports = {
+  MAX_ALIASES,
+  MERCHANT_POLICY_STATUSES,
+  normalizeMerchantId,
+  buildMerchantEntry,
+  buildMerchantPolicy,
+  resolveMerchant,
+  checkMerchantPolicy,
+};
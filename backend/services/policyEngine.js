@@ -0,0 +1,354 @@
+/**
+ * Expense Policy Rules
+ *
+ * Default reimbursement rules live in a declarative file (data/expensePolicy.json,
+ * or .yaml / .yml; override with EXPENSE_POLICY_PATH); a tenant can replace them
+ * with its own, kept in the proof store (PUT /policy/rules). They are evaluated against
+ * each analysis. The result is separate from the fraud verdict: a receipt can
+ * be genuine and still break policy.
+ *
+ *   name: Travel & expense policy
+ *   categories:                       # keywords matched on merchant and item names
+ *     meals: [restaurant, cafe, bistro]
+ *   rules:
+ *     - id: meals-toronto
+ *       type: max_total               # max_total | forbidden_items | no_weekend | max_age_days
+ *       max: 75
+ *       currency: CAD
+ *       when: { category: meals, city: Toronto }
+ *       severity: issue               # issue (fails the policy) | warning | info
+ *     - { id: no-alcohol, type: forbidden_items, keywords: [beer, wine, vodka] }
+ *     - { id: weekdays-only, type: no_weekend, severity: warning }
+ *     - { id: stale, type: max_age_days, days: 90 }
+ *
+ * `when` narrows a rule to category, city (matched in merchant_address), region,
+ * currency, receiptType or merchant (keywords). A rule that doesn't apply, or
+ * lacks the data to decide, is reported as skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { foldMerchantName } = require('../utils/merchantUtils');
+const { parseReceiptDate } = require('../utils/dateUtils');
+const { normalizeCurrencyCode, minorUnits } = require('../utils/currencies');
+const { convertAmount } = require('../utils/fxRates');
+
+const DEFAULT_EXPENSE_POLICY_PATH = path.join(__dirname, '..', 'data', 'expensePolicy.json');
+
+const RULE_TYPES = ['max_total', 'forbidden_items', 'no_weekend', 'max_age_days'];
+const SEVERITIES = ['issue', 'warning', 'info'];
+const WHEN_KEYS = ['category', 'city', 'region', 'currency', 'receiptType', 'merchant'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let policyState = null;
+
+function policyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function _isYaml(filePath) {
+  return /\.ya?ml$/i.test(filePath || '');
+}
+
+function _stringList(value, label) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((v) => typeof v !== 'string' && typeof v !== 'number')) {
+    throw policyError(`${label} must be a string or a list of strings`);
+  }
+  const cleaned = list.map((v) => String(v).trim()).filter(Boolean);
+  if (cleaned.length === 0) throw policyError(`${label} must not be empty`);
+  return cleaned;
+}
+
+function _positiveNumber(value, label) {
+  const n = Number(value);
+  if (value == null || value === '' || !Number.isFinite(n) || n <= 0) throw policyError(`${label} must be a positive number`);
+  return n;
+}
+
+function _weekday(day, label) {
+  const name = String(day).trim().toLowerCase();
+  const match = WEEKDAYS.find((w) => w === name || w.slice(0, 3) === name);
+  if (!match) throw policyError(`${label} "${day}" is not a weekday name`);
+  return match;
+}
+
+function _normalizeRule(rule, i) {
+  const at = `rules[${i}]`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw policyError(`${at} must be an object`);
+
+  const id = String(rule.id ?? '').trim();
+  if (!/^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/.test(id)) {
+    throw policyError(`${at}.id must be 1-64 letters, digits, dots, dashes or underscores`);
+  }
+  const type = String(rule.type ?? '').trim().toLowerCase();
+  if (!RULE_TYPES.includes(type)) throw policyError(`${at}.type must be one of: ${RULE_TYPES.join(', ')}`);
+  const severity = String(rule.severity ?? 'issue').trim().toLowerCase();
+  if (!SEVERITIES.includes(severity)) throw policyError(`${at}.severity must be one of: ${SEVERITIES.join(', ')}`);
+
+  const out = { id, type, severity };
+  if (rule.description != null) out.description = String(rule.description).trim();
+
+  if (type === 'max_total') {
+    out.max = _positiveNumber(rule.max, `${at}.max`);
+    out.currency = normalizeCurrencyCode(rule.currency);
+    if (!/^[A-Z]{3}$/.test(out.currency || '')) throw policyError(`${at}.currency must be a 3-letter currency code`);
+  } else if (type === 'forbidden_items') {
+    out.keywords = _stringList(rule.keywords, `${at}.keywords`);
+  } else if (type === 'no_weekend') {
+    out.days = rule.days == null ? ['saturday', 'sunday'] : _stringList(rule.days, `${at}.days`).map((d) => _weekday(d, `${at}.days`));
+  } else if (type === 'max_age_days') {
+    out.days = _positiveNumber(rule.days, `${at}.days`);
+  }
+
+  if (rule.when != null) {
+    if (typeof rule.when !== 'object' || Array.isArray(rule.when)) throw policyError(`${at}.when must be an object`);
+    out.when = {};
+    for (const [key, value] of Object.entries(rule.when)) {
+      if (!WHEN_KEYS.includes(key)) throw policyError(`${at}.when.${key} is not a condition (use: ${WHEN_KEYS.join(', ')})`);
+      out.when[key] = _stringList(value, `${at}.when.${key}`);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Checks a policy document and fills defaults
+ *
+ * @param {Object} doc - { name, categories, rules }
+ * @returns {Object} Normalized document
+ * @throws 400 errors naming the offending entry
+ */
+function validateExpensePolicy(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw policyError('Expense policy must be an object');
+  if (!Array.isArray(doc.rules)) throw policyError('Expense policy needs a "rules" list');
+
+  const categories = {};
+  if (doc.categories != null) {
+    if (typeof doc.categories !== 'object' || Array.isArray(doc.categories)) {
+      throw policyError('categories must map a category name to its keywords');
+    }
+    for (const [name, keywords] of Object.entries(doc.categories)) {
+      categories[name.trim().toLowerCase()] = _stringList(keywords, `categories.${name}`);
+    }
+  }
+
+  const rules = doc.rules.map((rule, i) => _normalizeRule(rule, i));
+  const ids = new Set();
+  for (const rule of rules) {
+    if (ids.has(rule.id)) throw policyError(`Duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+  }
+
+  return { name: doc.name == null ? null : String(doc.name).trim() || null, categories, rules };
+}
+
+function _parse(filePath, text) {
+  return _isYaml(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * Loads the default rules file. Called once at startup; otherwise data/expensePolicy.json
+ * is used when it exists. A bad file fails loudly rather than letting receipts
+ * through unchecked; a missing one means no default rules.
+ *
+ * @param {string} filePath - .json, .yaml or .yml
+ * @returns {Object} { path, policy }
+ */
+function loadExpensePolicy(filePath = DEFAULT_EXPENSE_POLICY_PATH) {
+  const file = filePath || DEFAULT_EXPENSE_POLICY_PATH;
+  if (!fs.existsSync(file)) {
+    policyState = { path: file, policy: null };
+    return policyState;
+  }
+  try {
+    policyState = { path: file, policy: validateExpensePolicy(_parse(file, fs.readFileSync(file, 'utf8'))) };
+  } catch (error) {
+    throw new Error(`Expense policy ${file}: ${error.message}`);
+  }
+  return policyState;
+}
+
+/**
+ * Default policy for tenants without their own; policy is null when no rules file exists
+ */
+function getExpensePolicy() {
+  return policyState || loadExpensePolicy();
+}
+
+// keyword found as whole words in the folded text
+function _hasKeyword(text, keyword) {
+  const needle = foldMerchantName(keyword);
+  if (!needle) return false;
+  const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(foldMerchantName(text));
+}
+
+function _itemNames(analysis) {
+  return (Array.isArray(analysis.items) ? analysis.items : []).map((item) => String(item?.name || '')).filter(Boolean);
+}
+
+/**
+ * Expense category: the one given with the receipt, else the first category
+ * whose keywords appear in the merchant or item names
+ */
+function _category(analysis, categories) {
+  const given = String(analysis.category || '').trim().toLowerCase();
+  if (given) return given;
+  const texts = [analysis.merchant, ..._itemNames(analysis)].filter(Boolean);
+  for (const [name, keywords] of Object.entries(categories)) {
+    if (keywords.some((k) => texts.some((text) => _hasKeyword(text, k)))) return name;
+  }
+  return null;
+}
+
+/**
+ * Why a rule doesn't apply to this receipt, or null if it does
+ */
+function _whenMismatch(when, analysis, category) {
+  if (!when) return null;
+  const lower = (list) => list.map((v) => v.toLowerCase());
+
+  if (when.category && !lower(when.category).includes(category)) {
+    return category ? `category is ${category}` : 'no category';
+  }
+  if (when.city) {
+    const address = String(analysis.merchant_address || '');
+    if (!address) return 'no merchant address to tell the city';
+    if (!when.city.some((city) => _hasKeyword(address, city))) return 'different city';
+  }
+  if (when.region && !lower(when.region).includes(String(analysis.region || '').toLowerCase())) {
+    return analysis.region ? `region is ${analysis.region}` : 'no region';
+  }
+  if (when.currency && !when.currency.map(normalizeCurrencyCode).includes(normalizeCurrencyCode(analysis.currency))) {
+    return `currency is ${normalizeCurrencyCode(analysis.currency) || 'unknown'}`;
+  }
+  if (when.receiptType && !lower(when.receiptType).includes(String(analysis.receipt_type || 'sale').toLowerCase())) {
+    return `receipt type is ${analysis.receipt_type || 'sale'}`;
+  }
+  if (when.merchant && !when.merchant.some((k) => _hasKeyword(analysis.merchant || '', k))) {
+    return 'different merchant';
+  }
+  return null;
+}
+
+function _receiptDay(analysis) {
+  const parts = parseReceiptDate(analysis.date, { currency: analysis.currency, region: analysis.region });
+  return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) : null;
+}
+
+function _checkMaxTotal(rule, analysis, options) {
+  const total = Number.parseFloat(analysis.total);
+  if (!Number.isFinite(total)) return { status: 'skipped', message: 'No total to check' };
+
+  const from = normalizeCurrencyCode(analysis.currency) || 'CAD';
+  let amount = total;
+  if (from !== rule.currency) {
+    const converted = convertAmount(total, from, rule.currency, analysis.date, { maxAgeDays: options.fxMaxAgeDays });
+    if (!converted) return { status: 'skipped', message: `No ${from}/${rule.currency} rate to compare with the cap` };
+    amount = converted.amount;
+  }
+
+  const digits = minorUnits(rule.currency);
+  const shown = `${amount.toFixed(digits)} ${rule.currency}`;
+  const cap = `${rule.max.toFixed(digits)} ${rule.currency}`;
+  return amount > rule.max
+    ? { status: 'failed', message: `Total ${shown} is over the ${cap} limit` }
+    : { status: 'passed', message: `Total ${shown} is within the ${cap} limit` };
+}
+
+function _checkForbiddenItems(rule, analysis) {
+  const names = _itemNames(analysis);
+  if (names.length === 0) return { status: 'skipped', message: 'No line items to check' };
+
+  const hits = names
+    .map((name) => ({ name, keyword: rule.keywords.find((k) => _hasKeyword(name, k)) }))
+    .filter((hit) => hit.keyword);
+  if (hits.length === 0) return { status: 'passed', message: 'No forbidden items' };
+  return {
+    status: 'failed',
+    message: `Forbidden items: ${hits.map((hit) => `"${hit.name}" (${hit.keyword})`).join(', ')}`,
+  };
+}
+
+function _checkNoWeekend(rule, analysis) {
+  const day = _receiptDay(analysis);
+  if (day == null) return { status: 'skipped', message: 'No readable date' };
+  const weekday = WEEKDAYS[new Date(day).getUTCDay()];
+  const label = weekday[0].toUpperCase() + weekday.slice(1);
+  return rule.days.includes(weekday)
+    ? { status: 'failed', message: `Spent on a ${label}` }
+    : { status: 'passed', message: `Spent on a ${label}` };
+}
+
+function _checkMaxAge(rule, analysis, options) {
+  const day = _receiptDay(analysis);
+  if (day == null) return { status: 'skipped', message: 'No readable date' };
+  const now = options.now ? new Date(options.now) : new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const age = Math.floor((today - day) / DAY_MS);
+  return age > rule.days
+    ? { status: 'failed', message: `Receipt is ${age} days old (limit ${rule.days})` }
+    : { status: 'passed', message: `Receipt is ${Math.max(0, age)} days old (limit ${rule.days})` };
+}
+
+const CHECKS = {
+  max_total: _checkMaxTotal,
+  forbidden_items: _checkForbiddenItems,
+  no_weekend: _checkNoWeekend,
+  max_age_days: _checkMaxAge,
+};
+
+/**
+ * Runs every rule against an analysis
+ *
+ * @param {Object} analysis - Analysis result or proof fields (merchant, merchant_address, region, date, currency, total, items, receipt_type, category)
+ * @param {Object|null} policy - Normalized policy (see validateExpensePolicy)
+ * @param {Object} options - { now, fxMaxAgeDays }
+ * @returns {Object|null} { name, passed, category, failed, rules: [{ id, type, description, status, severity, message }], evaluatedAt },
+ *   null when no policy is configured. status: passed | failed | skipped; passed is false when an "issue" rule failed.
+ */
+function evaluateExpensePolicy(analysis, policy, options = {}) {
+  if (!policy) return null;
+  const category = _category(analysis || {}, policy.categories);
+
+  const rules = policy.rules.map((rule) => {
+    const mismatch = _whenMismatch(rule.when, analysis || {}, category);
+    const outcome = mismatch
+      ? { status: 'skipped', message: `Not applicable: ${mismatch}` }
+      : CHECKS[rule.type](rule, analysis || {}, options);
+    return {
+      id: rule.id,
+      type: rule.type,
+      description: rule.description || null,
+      status: outcome.status,
+      severity: rule.severity,
+      message: outcome.message,
+    };
+  });
+
+  const failed = rules.filter((r) => r.status === 'failed');
+  return {
+    name: policy.name,
+    passed: !failed.some((r) => r.severity === 'issue'),
+    category,
+    failed: failed.length,
+    rules,
+    evaluatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  DEFAULT_EXPENSE_POLICY_PATH,
+  RULE_TYPES,
+  SEVERITIES,
+  validateExpensePolicy,
+  loadExpensePolicy,
+  getExpensePolicy,
+  evaluateExpensePolicy,
+};
@@ -1,32 +1,38 @@
-const fs = require("fs");
-const path = require("path");
+const { createStorageAdapter, migrateJsonStore } = require("./storage");
+const { DEFAULT_TENANT } = require("../middleware/auth");
+const { initialReview, reviewOf } = require("./reviewWorkflow");
+const { findPossibleDuplicates, merchantSimilarity, DEFAULT_SIMILARITY_OPTIONS } = require("./similarityEngine");
+const { resolveMerchant, checkMerchantPolicy } = require("./merchantRegistry");
+const { PROOF_SORT_FIELDS, parseCanonicalFields, proofFields } = require("./storage/proofFields");
+const { foldMerchantName } = require("../utils/merchantUtils");
+const { normalizeReceiptType, parseReceiptDateToLocal } = require("../utils/receiptUtils");
+const { formatReceiptDate } = require("../utils/dateUtils");
+const { hammingDistance, isImageHash } = require("../utils/imageHash");
 
-const DATA_DIR = path.join(__dirname, "..", "data");
-const DB_PATH = path.join(DATA_DIR, "proofs.json");
+let adapter = null;
 
-function ensureDb() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  if (!fs.existsSync(DB_PATH)) {
-    fs.writeFileSync(DB_PATH, JSON.stringify({ byHash: {}, byTx: {} }, null, 2));
-  }
-}
+/**
+ * Opens the proof store. Called once at startup; otherwise the first
+ * store call opens it from env (PROOF_STORE, PROOF_DB_PATH).
+ *
+ * @param {Object} config - { backend, dbPath, jsonPath } or { adapter } to inject one directly
+ */
+function initProofStore(config = {}) {
+  if (adapter) adapter.close();
 
-function readDb() {
-  ensureDb();
-  try {
-    const raw = fs.readFileSync(DB_PATH, "utf8");
-    const parsed = JSON.parse(raw);
-    if (!parsed.byHash) parsed.byHash = {};
-    if (!parsed.byTx) parsed.byTx = {};
-    return parsed;
-  } catch {
-    return { byHash: {}, byTx: {} };
-  }
+  adapter = config.adapter || createStorageAdapter(config);
+
+  // persistent stores pick up the legacy proofs.json once
+  if (adapter.name === "sqlite") migrateJsonStore(adapter, config.jsonPath);
+
+  return adapter;
 }
 
-function writeDb(db) {
-  ensureDb();
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
+function store() {
+  if (!adapter) {
+    initProofStore({ backend: process.env.PROOF_STORE, dbPath: process.env.PROOF_DB_PATH });
+  }
+  return adapter;
 }
 
 function nowIso() {
@@ -41,62 +47,295 @@ function normTx(tx) {
   return String(tx || "").trim();
 }
 
-function upsertProof({ hash, txSignature, canonicalText = null, analysisSummary = {} }) {
+function normTenant(tenantId) {
+  return String(tenantId || DEFAULT_TENANT).trim();
+}
+
+/**
+ * Fraud-team view of one hash across every tenant (no canonical text / summaries leak out)
+ */
+function _crossTenantMatches(db, h, tenantId) {
+  const others = db.findHashRowsAcrossTenants(h).filter((row) => row.tenantId !== tenantId);
+  return {
+    duplicate: others.length > 0,
+    tenants: others.map((row) => row.tenantId).sort(),
+    firstSeenAt: others.map((row) => row.firstSeenAt).filter(Boolean).sort()[0] || null,
+    seenCount: others.reduce((sum, row) => sum + (row.seenCount || 1), 0),
+  };
+}
+
+/**
+ * Records a certification. Duplicate detection is scoped to the tenant;
+ * crossTenantCheck (fraud role only) also reports the same hash in other tenants.
+ * refundOf links a refund to the original sale's hash (the sale lists its refunds).
+ * reporting is the total converted into the reporting currency, with the rate and source used.
+ * expensePolicy is the expense rule result at certification time (see services/policyEngine.js).
+ */
+function upsertProof({
+  tenantId,
+  hash,
+  txSignature,
+  canonicalText = null,
+  canonicalVersion = null,
+  analysisSummary = {},
+  merchantId = null,
+  merchantPolicy = null,
+  expensePolicy = null,
+  merkleProof = null,
+  imageHash = null,
+  refundOf = null,
+  reporting = null,
+  crossTenantCheck = false,
+}) {
+  const t = normTenant(tenantId);
   const h = normHash(hash);
   const tx = normTx(txSignature);
   if (!h || !tx) throw new Error("hash and txSignature required");
 
-  const db = readDb();
-  const existing = db.byHash[h] || null;
-  const duplicate = !!existing;
-  const createdAt = nowIso();
-
-  const firstSeenTx = existing?.firstSeenTx || tx;
-  const firstSeenAt = existing?.firstSeenAt || createdAt;
-  const seenCount = (existing?.seenCount || 0) + 1;
-
-  db.byHash[h] = {
-    hash: h,
-    canonicalText: canonicalText || existing?.canonicalText || null,
-    analysisSummary: Object.keys(analysisSummary || {}).length ? analysisSummary : existing?.analysisSummary || {},
-    createdAt: existing?.createdAt || createdAt,
-    lastSeenAt: createdAt,
-    txSignature: tx,
-    firstSeenTx,
-    firstSeenAt,
-    seenCount,
-  };
+  const db = store();
 
-  if (!db.byTx[tx]) {
-    db.byTx[tx] = {
-      txSignature: tx,
+  // read-modify-write in one transaction so concurrent upserts can't lose seenCount updates
+  return db.transaction(() => {
+    const existing = db.getHashRow(t, h);
+    const duplicate = !!existing;
+    const createdAt = nowIso();
+
+    const firstSeenTx = existing?.firstSeenTx || tx;
+    const firstSeenAt = existing?.firstSeenAt || createdAt;
+    const seenCount = (existing?.seenCount || 0) + 1;
+
+    db.putHashRow({
+      tenantId: t,
       hash: h,
-      canonicalText: canonicalText || null,
-      createdAt,
-    };
-  }
+      canonicalText: canonicalText || existing?.canonicalText || null,
+      // v1 key=value text or v2 canonical JSON, as tagged in the memo
+      canonicalVersion: canonicalVersion || existing?.canonicalVersion || null,
+      analysisSummary: Object.keys(analysisSummary || {}).length ? analysisSummary : existing?.analysisSummary || {},
+      // registry merchant ID for the raw analysisSummary.merchant (see services/merchantRegistry.js)
+      merchantId: merchantId || existing?.merchantId || null,
+      // merchant policy result at certification time (blocked / allowed / unknown / unlisted)
+      merchantPolicy: merchantPolicy || existing?.merchantPolicy || null,
+      expensePolicy: expensePolicy || existing?.expensePolicy || null,
+      createdAt: existing?.createdAt || createdAt,
+      lastSeenAt: createdAt,
+      txSignature: tx,
+      firstSeenTx,
+      firstSeenAt,
+      seenCount,
+      review: existing?.review || initialReview(createdAt),
+      // perceptual hash of the submitted photo (null for manual entries)
+      imageHash: isImageHash(imageHash) ? imageHash.toLowerCase() : existing?.imageHash || null,
+      // inclusion proof for the latest tx (null when certified on its own)
+      merkleProof: merkleProof || null,
+      refundOf: refundOf ? normHash(refundOf) : existing?.refundOf || null,
+      refunds: existing?.refunds || [],
+      reporting: reporting || existing?.reporting || null,
+    });
+
+    if (refundOf) {
+      const original = db.getHashRow(t, normHash(refundOf));
+      if (original) {
+        const refunds = (original.refunds || []).filter((r) => r.hash !== h);
+        const total = Number.parseFloat(analysisSummary?.total ?? parseCanonicalFields(canonicalText).total);
+        refunds.push({ hash: h, total: Number.isFinite(total) ? total : null, linkedAt: createdAt });
+        db.putHashRow({ ...original, refunds });
+      }
+    }
 
-  writeDb(db);
-  return { duplicate, firstSeenTx, firstSeenAt, seenCount };
+    const txRow = db.getTxRow(t, tx);
+    if (merkleProof) {
+      // batched tx: one row per tenant + tx, this tenant's hashes stored at their leaf index
+      const batchRow = txRow || {
+        tenantId: t,
+        txSignature: tx,
+        merkleRoot: merkleProof.root,
+        leafCount: merkleProof.leafCount,
+        hashes: [],
+        createdAt,
+      };
+      batchRow.hashes[merkleProof.leafIndex] = h;
+      db.putTxRow(batchRow);
+    } else if (!txRow) {
+      db.putTxRow({
+        tenantId: t,
+        txSignature: tx,
+        hash: h,
+        canonicalText: canonicalText || null,
+        createdAt,
+      });
+    }
+
+    const result = { duplicate, firstSeenTx, firstSeenAt, seenCount };
+    if (crossTenantCheck) result.crossTenant = _crossTenantMatches(db, h, t);
+    return result;
+  });
 }
 
-function getByTx(txSignature) {
-  const tx = normTx(txSignature);
-  const db = readDb();
-  return db.byTx[tx] || null;
+function getByTx(tenantId, txSignature) {
+  return store().getTxRow(normTenant(tenantId), normTx(txSignature));
 }
 
-function getByHash(hash) {
+function getByHash(tenantId, hash) {
+  return store().getHashRow(normTenant(tenantId), normHash(hash));
+}
+
+/**
+ * Review workflow state of a proof, or null if this tenant never certified the hash
+ */
+function getReview(tenantId, hash) {
+  const row = getByHash(tenantId, hash);
+  return row ? reviewOf(row) : null;
+}
+
+/**
+ * Replaces a proof's review inside a transaction
+ *
+ * @param {Function} update - (currentReview) => nextReview; may throw to abort
+ * @returns {Object|null} The stored review, or null if the proof does not exist
+ */
+function updateReview(tenantId, hash, update) {
+  const db = store();
+  const t = normTenant(tenantId);
   const h = normHash(hash);
-  const db = readDb();
-  return db.byHash[h] || null;
+
+  return db.transaction(() => {
+    const row = db.getHashRow(t, h);
+    if (!row) return null;
+
+    const review = update(reviewOf(row));
+    db.putHashRow({ ...row, review });
+    return review;
+  });
+}
+
+/**
+ * The tenant's merchant alias registry, sorted by merchantId
+ */
+function listMerchants(tenantId) {
+  return store().listMerchantRows(normTenant(tenantId));
 }
 
-function getProofBundleByTx(txSignature) {
-  const txRow = getByTx(txSignature);
+function getMerchant(tenantId, merchantId) {
+  return store().getMerchantRow(normTenant(tenantId), String(merchantId || "").trim().toLowerCase());
+}
+
+/**
+ * Creates or replaces a registry entry inside a transaction
+ *
+ * @param {Function} build - (existing, otherEntries) => entry; may throw to abort
+ * @returns {Object} { merchant, created }
+ */
+function saveMerchant(tenantId, merchantId, build) {
+  const db = store();
+  const t = normTenant(tenantId);
+  const id = String(merchantId || "").trim().toLowerCase();
+
+  return db.transaction(() => {
+    const existing = db.getMerchantRow(t, id);
+    const merchant = { ...build(existing, db.listMerchantRows(t)), tenantId: t };
+    db.putMerchantRow(merchant);
+    return { merchant, created: !existing };
+  });
+}
+
+/**
+ * @returns {boolean} false if there was no such entry
+ */
+function deleteMerchant(tenantId, merchantId) {
+  return store().deleteMerchantRow(normTenant(tenantId), String(merchantId || "").trim().toLowerCase());
+}
+
+/**
+ * A tenant's own expense rules (see services/policyEngine.js)
+ *
+ * @returns {Object|null} { tenantId, policy, updatedAt, keyId } or null when the tenant uses the default rules
+ */
+function getExpensePolicy(tenantId) {
+  return store().getPolicyRow(normTenant(tenantId));
+}
+
+/**
+ * Replaces a tenant's expense rules with an already validated policy
+ */
+function saveExpensePolicy(tenantId, policy, keyId = null) {
+  const row = { tenantId: normTenant(tenantId), policy, updatedAt: new Date().toISOString(), keyId };
+  store().putPolicyRow(row);
+  return row;
+}
+
+/**
+ * Drops a tenant's own expense rules (it falls back to the default rules file)
+ */
+function deleteExpensePolicy(tenantId) {
+  return store().deletePolicyRow(normTenant(tenantId));
+}
+
+/**
+ * Merchant ID for a raw merchant name (registry alias, else its slug)
+ *
+ * @returns {Object|null} { merchantId, name, registered } or null for an empty name
+ */
+function resolveMerchantId(tenantId, merchant) {
+  return resolveMerchant(merchant, listMerchants(tenantId));
+}
+
+/**
+ * Merchant policy check for a raw merchant name (see services/merchantRegistry.js)
+ *
+ * @returns {Object|null} { merchantId, status, reason, severity, message } or null for an empty name
+ */
+function checkMerchant(tenantId, merchant) {
+  return checkMerchantPolicy(merchant, listMerchants(tenantId));
+}
+
+/**
+ * Same hash certified by other tenants (fraud role only - callers must check)
+ */
+function getCrossTenantDuplicates(tenantId, hash) {
+  return _crossTenantMatches(store(), normHash(hash), normTenant(tenantId));
+}
+
+/**
+ * Batched txs anchor many receipts: pick the one asked for by hash,
+ * or the only one if the batch has a single receipt.
+ */
+function _batchBundle(tenantId, txRow, hash) {
+  const h = normHash(hash);
+  const summary = {
+    txSignature: txRow.txSignature,
+    batched: true,
+    merkleRoot: txRow.merkleRoot,
+    leafCount: txRow.leafCount,
+    hashes: txRow.hashes,
+    createdAt: txRow.createdAt || null,
+  };
+
+  const pick = h || (txRow.leafCount === 1 ? txRow.hashes[0] : "");
+  if (!pick) return summary;
+  if (!txRow.hashes.includes(pick)) return null;
+
+  const hashRow = getByHash(tenantId, pick);
+  const merkleProof = hashRow?.merkleProof?.root === txRow.merkleRoot ? hashRow.merkleProof : null;
+  return {
+    ...summary,
+    hash: pick,
+    canonicalText: hashRow?.canonicalText || null,
+    duplicate: (hashRow?.seenCount || 0) > 1,
+    firstSeenTx: hashRow?.firstSeenTx || txRow.txSignature,
+    firstSeenAt: hashRow?.firstSeenAt || txRow.createdAt || null,
+    seenCount: hashRow?.seenCount || 1,
+    lastSeenAt: hashRow?.lastSeenAt || null,
+    analysisSummary: hashRow?.analysisSummary || {},
+    merkleProof,
+  };
+}
+
+function getProofBundleByTx(tenantId, txSignature, hash = null) {
+  const txRow = getByTx(tenantId, txSignature);
   if (!txRow) return null;
+  if (Array.isArray(txRow.hashes)) return _batchBundle(tenantId, txRow, hash);
 
-  const hashRow = getByHash(txRow.hash);
+  const hashRow = getByHash(tenantId, txRow.hash);
   return {
     txSignature: txRow.txSignature,
     hash: txRow.hash,
@@ -111,20 +350,383 @@ function getProofBundleByTx(txSignature) {
   };
 }
 
-function getAllProofs() {
-  const db = readDb();
-  const all = Object.values(db.byHash).sort((a, b) => {
-    const ta = new Date(a.lastSeenAt || 0).getTime();
-    const tb = new Date(b.lastSeenAt || 0).getTime();
-    return tb - ta;
+function getAllProofs(tenantId) {
+  // adapters return rows most recently seen first
+  return store().listHashRows(normTenant(tenantId));
+}
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function badQuery(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Stored proofs that look like the same expense under a different hash
+ *
+ * @param {string} tenantId
+ * @param {Object} receipt - { hash, merchant, merchant_id, date, currency, total }
+ * @param {Object} options - Overrides for the similarity engine defaults
+ * @returns {Array} Ranked candidates (see services/similarityEngine.js)
+ */
+function findSimilarProofs(tenantId, receipt, options = {}) {
+  const total = Number.parseFloat(receipt.total);
+  const target = {
+    hash: normHash(receipt.hash),
+    merchant: String(receipt.merchant || "").trim(),
+    merchantId: receipt.merchant_id || null,
+    date: String(receipt.date || "").trim(),
+    currency: String(receipt.currency || "").trim().toUpperCase(),
+    total: Number.isFinite(total) ? total : null,
+    receiptType: normalizeReceiptType(receipt.receipt_type),
+  };
+
+  const { dateWindowDays } = { ...DEFAULT_SIMILARITY_OPTIONS, ...options };
+  if (!target.merchant || !target.date) return [];
+
+  // only proofs the engine could match: same receipt type and currency, dated inside the window
+  const from = _shiftDay(target.date, -dateWindowDays);
+  const filters = {
+    receiptTypes: [target.receiptType],
+    currencyOrUnset: target.currency || null,
+    from,
+    to: from ? _shiftDay(target.date, dateWindowDays) : null,
+  };
+
+  const candidates = store().queryHashRows(normTenant(tenantId), { filters }).map((row) => {
+    const fields = proofFields(row);
+    return {
+      hash: row.hash,
+      fields,
+      proof: {
+        merchant: row.analysisSummary?.merchant || fields.merchant,
+        date: fields.date,
+        currency: fields.currency,
+        total: fields.total,
+        txSignature: row.txSignature,
+        firstSeenAt: row.firstSeenAt || row.createdAt || null,
+        reviewState: fields.reviewState,
+      },
+    };
+  });
+
+  return findPossibleDuplicates(target, candidates, options);
+}
+
+// receipt day `days` away from a date, or null if the date can't be read
+function _shiftDay(date, days) {
+  const d = parseReceiptDateToLocal(date);
+  if (!d) return null;
+  d.setDate(d.getDate() + days);
+  return formatReceiptDate({ year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate() });
+}
+
+/**
+ * Sales a refund could belong to: similar merchant, same currency,
+ * on or before the refund date and at least as large as the refund
+ */
+function findMatchingSales(tenantId, refund, limit = 5) {
+  const amount = Math.abs(Number.parseFloat(refund.total) || 0);
+  const currency = String(refund.currency || "").trim().toUpperCase();
+  const date = String(refund.date || "").slice(0, 10);
+
+  const filters = {
+    receiptTypes: ["sale"],
+    currencyOrUnset: currency || null,
+    notAfter: date || null,
+    minTotal: amount - 0.02,
+  };
+
+  const matches = [];
+  for (const row of store().queryHashRows(normTenant(tenantId), { filters })) {
+    const f = proofFields(row);
+    const similarity =
+      refund.merchant_id && refund.merchant_id === f.merchantId ? 1 : merchantSimilarity(refund.merchant, f.merchant);
+    if (similarity < 0.85) continue;
+    matches.push({
+      hash: row.hash,
+      merchant: row.analysisSummary?.merchant || f.merchant,
+      date: f.date,
+      total: f.total,
+      txSignature: row.txSignature,
+      exactAmount: Math.abs(f.total - amount) <= 0.02,
+    });
+  }
+
+  // exact amounts first, then the most recent sale
+  return matches
+    .sort((a, b) => Number(b.exactAmount) - Number(a.exactAmount) || (a.date < b.date ? 1 : -1))
+    .slice(0, limit);
+}
+
+/**
+ * Checks a refund against its original sale (or looks for one)
+ *
+ * @param {string} tenantId
+ * @param {Object} refund - { hash, merchant, date, currency, total }
+ * @param {string|null} originalHash - Sale the refund claims to belong to
+ * @returns {Object} { originalHash, original, refundedBefore, matchingSales, flags }
+ */
+function checkRefund(tenantId, refund, originalHash = null) {
+  const amount = Math.abs(Number.parseFloat(refund.total) || 0);
+  const result = { originalHash: null, original: null, refundedBefore: 0, matchingSales: [], flags: [] };
+
+  if (!originalHash) {
+    result.matchingSales = findMatchingSales(tenantId, refund);
+    if (result.matchingSales.length === 0) result.flags.push("No matching sale found for this refund");
+    return result;
+  }
+
+  const original = getByHash(tenantId, originalHash);
+  result.originalHash = normHash(originalHash);
+  if (!original) {
+    result.flags.push("Original sale was not found");
+    return result;
+  }
+
+  const f = proofFields(original);
+  result.original = { merchant: original.analysisSummary?.merchant || f.merchant, date: f.date, total: f.total };
+  if (f.receiptType !== "sale") result.flags.push(`Original proof is a ${f.receiptType}, not a sale`);
+  if (refund.currency && f.currency && String(refund.currency).toUpperCase() !== f.currency) {
+    result.flags.push(`Refund currency ${String(refund.currency).toUpperCase()} differs from the sale (${f.currency})`);
+  }
+
+  // earlier refunds against the same sale count towards the limit
+  const own = normHash(refund.hash);
+  result.refundedBefore =
+    Math.round((original.refunds || []).filter((r) => r.hash !== own).reduce((sum, r) => sum + Math.abs(r.total || 0), 0) * 100) / 100;
+  if (f.total != null && amount + result.refundedBefore > Math.abs(f.total) + 0.02) {
+    result.flags.push(
+      result.refundedBefore
+        ? `Refunds total ${(amount + result.refundedBefore).toFixed(2)}, more than the original sale of ${Math.abs(f.total).toFixed(2)}`
+        : `Refund of ${amount.toFixed(2)} is larger than the original sale of ${Math.abs(f.total).toFixed(2)}`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Stored proofs whose receipt photo looks like this one
+ *
+ * @param {string} tenantId
+ * @param {string} imageHash - dHash of the new image (utils/imageHash.js)
+ * @param {Object} options - { maxDistance (bits, default 10), excludeHash, limit }
+ * @returns {Array} [{ hash, distance, similarity, txSignature, firstSeenAt, merchant, proofUrl }] closest first
+ */
+function findSimilarImages(tenantId, imageHash, options = {}) {
+  if (!isImageHash(imageHash)) return [];
+  const maxDistance = options.maxDistance ?? 10;
+  const exclude = options.excludeHash ? normHash(options.excludeHash) : null;
+
+  const t = normTenant(tenantId);
+  const db = store();
+
+  // distances over the indexed hash column; only the matches are loaded
+  const matches = [];
+  for (const candidate of db.listImageHashes(t)) {
+    if (candidate.hash === exclude) continue;
+    const distance = hammingDistance(imageHash, candidate.imageHash);
+    if (distance > maxDistance) continue;
+
+    const row = db.getHashRow(t, candidate.hash);
+    if (!row) continue;
+    matches.push({
+      hash: row.hash,
+      distance,
+      similarity: Math.round((1 - distance / 64) * 1000) / 1000,
+      txSignature: row.txSignature,
+      firstSeenAt: row.firstSeenAt || row.createdAt || null,
+      merchant: row.analysisSummary?.merchant || null,
+      proofUrl: `/proof/${encodeURIComponent(row.txSignature)}?hash=${row.hash}`,
+    });
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance).slice(0, options.limit || 5);
+}
+
+function _encodeCursor(value, hash) {
+  return Buffer.from(JSON.stringify({ v: value, h: hash }), "utf8").toString("base64url");
+}
+
+function _decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed.h !== "string") throw new Error("missing hash");
+    return { v: parsed.v ?? null, h: parsed.h };
+  } catch {
+    throw badQuery("Invalid cursor");
+  }
+}
+
+/**
+ * Filtered, sorted, cursor-paginated proof listing (GET /proofs)
+ *
+ * Filtering, ordering and paging run in the storage adapter (indexed columns in SQLite).
+ * Order is the sort value then the hash, both in `order`; proofs without the value come last.
+ *
+ * @param {string} tenantId - only this tenant's proofs are listed
+ * @param {Object} query
+ * @param {string} [query.cursor] - nextCursor from the previous page
+ * @param {number} [query.limit] - page size (default 25, max 100)
+ * @param {string} [query.sort] - one of PROOF_SORT_FIELDS (default lastSeenAt)
+ * @param {string} [query.order] - "asc" | "desc" (default desc)
+ * @param {string} [query.from] / [query.to] - receipt date range, inclusive (YYYY-MM-DD)
+ * @param {string} [query.merchant] - substring, case and accents ignored
+ * @param {string} [query.merchantId] - exact registry merchant ID
+ * @param {string} [query.currency] - exact currency code
+ * @param {number} [query.minTotal] / [query.maxTotal]
+ * @param {string[]} [query.verdicts] - verdicts from analysisSummary
+ * @param {string[]} [query.reviewStates] - review workflow states
+ * @param {string[]} [query.receiptTypes] - sale / refund / exchange / void
+ * @param {boolean} [query.duplicatesOnly] - only hashes certified more than once
+ * @param {string} [query.q] - free text over the stored canonical fields
+ * @returns {Object} { proofs, total, totalAll, limit, nextCursor, hasMore }
+ */
+function queryProofs(tenantId, query = {}) {
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+  const spec = _proofQuery(query);
+  const t = normTenant(tenantId);
+  const db = store();
+
+  const after = query.cursor ? _decodeCursor(query.cursor) : null;
+  // one extra row tells whether another page follows
+  const rows = db.queryHashRows(t, { ...spec, after, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    proofs: page,
+    total: db.countHashRows(t, spec.filters),
+    totalAll: db.countHashRows(t, null),
+    limit,
+    nextCursor: hasMore && last ? _encodeCursor(proofFields(last)[spec.sort], last.hash) : null,
+    hasMore,
+  };
+}
+
+// validates /proofs query parameters into an adapter query: { filters, sort, order }
+function _proofQuery(query) {
+  const sort = query.sort || "lastSeenAt";
+  if (!PROOF_SORT_FIELDS.includes(sort)) {
+    throw badQuery(`sort must be one of: ${PROOF_SORT_FIELDS.join(", ")}`);
+  }
+  const order = String(query.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) throw badQuery("order must be asc or desc");
+
+  const minTotal = query.minTotal != null ? Number(query.minTotal) : null;
+  const maxTotal = query.maxTotal != null ? Number(query.maxTotal) : null;
+  if ((minTotal != null && !Number.isFinite(minTotal)) || (maxTotal != null && !Number.isFinite(maxTotal))) {
+    throw badQuery("minTotal / maxTotal must be numbers");
+  }
+
+  const filters = {
+    merchant: query.merchant ? foldMerchantName(query.merchant) : null,
+    merchantId: query.merchantId ? String(query.merchantId).trim().toLowerCase() : null,
+    currency: query.currency ? String(query.currency).trim().toUpperCase() : null,
+    verdicts: (query.verdicts || []).map((v) => String(v).trim().toUpperCase()).filter(Boolean),
+    receiptTypes: (query.receiptTypes || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean),
+    reviewStates: (query.reviewStates || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean),
+    duplicatesOnly: !!query.duplicatesOnly,
+    minTotal,
+    maxTotal,
+    // receipt dates are "YYYY-MM-DD[ HH:mm]", so compare the date part as text
+    from: query.from ? String(query.from).slice(0, 10) : null,
+    to: query.to ? String(query.to).slice(0, 10) : null,
+    q: query.q ? String(query.q).trim().toLowerCase() : null,
+  };
+
+  return { filters, sort, order };
+}
+
+// columns of GET /proofs/export, one flat record per proof
+const EXPORT_COLUMNS = [
+  "hash",
+  "txSignature",
+  "merchant",
+  "merchantId",
+  "merchantPolicy",
+  "expensePolicy",
+  "date",
+  "receiptType",
+  "currency",
+  "total",
+  "reportingCurrency",
+  "reportingTotal",
+  "fxRate",
+  "fxRateDate",
+  "fxSource",
+  "verdict",
+  "reviewState",
+  "seenCount",
+  "createdAt",
+];
+
+/**
+ * Every proof matching a /proofs query (no paging), flattened to EXPORT_COLUMNS
+ *
+ * @param {string} tenantId
+ * @param {Object} query - Same filters and sort as queryProofs
+ * @returns {Array<Object>}
+ */
+function exportProofs(tenantId, query = {}) {
+  return store().queryHashRows(normTenant(tenantId), _proofQuery(query)).map((row) => {
+    const f = proofFields(row);
+    const reporting = row.reporting || {};
+    return {
+      hash: row.hash,
+      txSignature: row.txSignature,
+      merchant: row.analysisSummary?.merchant || f.merchant,
+      merchantId: f.merchantId,
+      merchantPolicy: row.merchantPolicy?.status ?? null,
+      expensePolicy: row.expensePolicy ? (row.expensePolicy.passed ? "passed" : "failed") : null,
+      date: f.date,
+      receiptType: f.receiptType,
+      currency: f.currency,
+      total: f.total,
+      reportingCurrency: reporting.currency ?? null,
+      reportingTotal: reporting.total ?? null,
+      fxRate: reporting.rate ?? null,
+      fxRateDate: reporting.rateDate ?? null,
+      fxSource: reporting.source ?? null,
+      verdict: f.verdict,
+      reviewState: f.reviewState,
+      seenCount: f.seenCount,
+      createdAt: row.createdAt || null,
+    };
   });
-  return all;
 }
 
 module.exports = {
+  initProofStore,
   upsertProof,
   getByTx,
   getByHash,
+  getCrossTenantDuplicates,
+  getReview,
+  updateReview,
+  listMerchants,
+  getMerchant,
+  saveMerchant,
+  deleteMerchant,
+  resolveMerchantId,
+  checkMerchant,
+  getExpensePolicy,
+  saveExpensePolicy,
+  deleteExpensePolicy,
   getProofBundleByTx,
   getAllProofs,
+  queryProofs,
+  exportProofs,
+  findSimilarProofs,
+  findSimilarImages,
+  findMatchingSales,
+  checkRefund,
+  parseCanonicalFields,
+  PROOF_SORT_FIELDS,
+  EXPORT_COLUMNS,
 };
\ No newline at end of file
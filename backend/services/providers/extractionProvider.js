@@ -0,0 +1,370 @@
+/**
+ * Extraction Provider (base class)
+ * Shared prompt, response parsing and normalization for receipt field extraction.
+ *
+ * Providers implement:
+ *   analyzeImage(imageBase64, media) -> normalized extraction (media: { mimeType, pages, sha256 })
+ *   analyzeManualData(receiptData, options) -> normalized extraction (options: { tenantId, scoring })
+ *   healthCheck()                    -> { connected, provider, model }
+ *
+ * Both analyze methods must never throw: failures come back as an UNREADABLE payload.
+ */
+
+const {
+  normalizeLineItems,
+  normalizeAdjustments,
+  normalizeReceiptType,
+  applyReceiptTypeSigns,
+} = require('../../utils/receiptUtils');
+const { normalizeTaxComponents } = require('../../utils/taxUtils');
+const { minorUnits } = require('../../utils/currencies');
+const { normalizeReceiptDate } = require('../../utils/dateUtils');
+const { finding, aiFinding } = require('../../utils/reasonCodes');
+
+// reason codes the model may use; anything else comes back as AI_NOTE
+const AI_REASON_CODES = [
+  'MATH_OK',
+  'MATH_MISMATCH',
+  'ITEMS_BELOW_SUBTOTAL',
+  'NEGATIVE_ON_SALE',
+  'MERCHANT_OK',
+  'MERCHANT_MISSING',
+  'MERCHANT_GENERIC',
+  'DATE_OK',
+  'FUTURE_DATE',
+  'DATE_TOO_OLD',
+  'TAX_RATE_UNREALISTIC',
+  'TAX_NOT_IN_REGION',
+  'ROUNDED_AMOUNTS',
+  'AI_NOTE',
+];
+
+class ExtractionProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async analyzeImage() {
+    throw new Error(`${this.name} provider does not implement analyzeImage`);
+  }
+
+  async analyzeManualData() {
+    throw new Error(`${this.name} provider does not implement analyzeManualData`);
+  }
+
+  async healthCheck() {
+    return { connected: true, provider: this.name, model: null };
+  }
+
+  /**
+   * The core prompt engineering for receipt analysis
+   */
+  getAnalysisPrompt() {
+    return `You are an expert receipt verification AI. Analyze this receipt image OR manual data and extract structured information.
+
+Your job is to:
+1. Extract key fields: merchant name, merchant address, date/time, currency, subtotal, tax, total
+   and each tax line printed (GST, PST, HST, QST, VAT at each rate, sales tax)
+   and any tip, discount/coupon, deposit (bottle, container, eco fees) or cash rounding line
+2. Decide the receipt type: "sale", "refund" (return / credit slip), "exchange" or "void"
+3. Extract every line item: name, quantity, unit price, line total
+4. Check arithmetic consistency (line totals add up to subtotal,
+   subtotal + tax + tip + deposit - discount + rounding should equal total)
+5. Detect fraud indicators and assign a fraud_score (0-100, where 0=perfectly legit, 100=definitely fake)
+6. Provide specific reasons for your verdict, each with a reason code
+
+CRITICAL REQUIREMENTS:
+- Output ONLY valid JSON, no extra text
+- Use these exact field names: receipt_type, merchant, merchant_address, date, currency, subtotal, tax, taxes, tip, discount, deposit, rounding, total, items, verdict, fraud_score, reasons, confidence
+- receipt_type is one of: "sale", "refund", "exchange", "void"; refunds use negative subtotal, tax and total
+- date is "YYYY-MM-DD HH:mm" (24-hour, time only if printed); if the day/month order is unclear, copy the date exactly as printed
+- currency is the ISO 4217 code; amounts keep the currency's decimals (none for JPY/KRW, three for BHD/KWD)
+- tip, discount, deposit are positive amounts (0 if absent); rounding is signed (e.g. -0.02 for cash rounding down)
+- taxes is an array of { "name", "rate", "amount" } (rate in percent as printed, null if not printed); tax is their sum
+- items is an array of { "name", "quantity", "unit_price", "line_total" } in the order printed; use [] if no items are readable
+- verdict must be one of: "LIKELY_REAL", "SUSPICIOUS", "LIKELY_FAKE", "UNREADABLE"
+- fraud_score is 0-100 (integer)
+- reasons is an array of { "code", "severity", "message" }: code is one of ${AI_REASON_CODES.join(', ')} (AI_NOTE for anything else), severity is "info", "warning" or "issue", message is a short sentence
+- confidence is 0.0-1.0 (float)
+
+FRAUD INDICATORS (increase fraud_score):
+- Arithmetic doesn't match (subtotal + tax + adjustments ≠ total)
+- Negative amounts on a receipt that is not a refund or exchange
+- Line items don't add up to the subtotal (padded subtotal)
+- Missing required fields (merchant, total)
+- Suspicious formatting (weird fonts, inconsistent spacing)
+- Date in the future or unreasonably old
+- Unrealistic tax rates (<0% or >20%) or tax lines that don't exist in the merchant's region
+- Repeated decimal patterns (12.34, 12.34, 12.34)
+- Generic merchant names like "Store" or "Shop"
+- Rounded numbers for everything (10.00, 20.00, 30.00)
+
+QUALITY INDICATORS (decrease fraud_score):
+- All math checks out perfectly
+- Merchant name is specific
+- Date is recent and plausible
+- Tax lines match the region (e.g. 13% HST in Ontario, 5% GST + 9.975% QST in Quebec, VAT rates in the EU)
+- Line items are detailed
+- Receipt has unique identifiers (receipt #, transaction ID)
+
+OUTPUT FORMAT (JSON only):
+{
+  "receipt_type": "sale",
+  "merchant": "Campus Mart",
+  "merchant_address": "200 University Ave W, Waterloo, ON N2L 3G1",
+  "date": "2026-02-07 14:12",
+  "currency": "CAD",
+  "subtotal": 12.49,
+  "tax": 1.62,
+  "taxes": [{ "name": "HST", "rate": 13, "amount": 1.62 }],
+  "tip": 0,
+  "discount": 0,
+  "deposit": 0,
+  "rounding": 0,
+  "total": 14.11,
+  "items": [
+    { "name": "Coffee", "quantity": 2, "unit_price": 2.75, "line_total": 5.50 },
+    { "name": "Bagel", "quantity": 1, "unit_price": 6.99, "line_total": 6.99 }
+  ],
+  "verdict": "LIKELY_REAL",
+  "fraud_score": 12,
+  "reasons": [
+    { "code": "MATH_OK", "severity": "info", "message": "Math is correct: 12.49 + 1.62 = 14.11" },
+    { "code": "MERCHANT_OK", "severity": "info", "message": "Merchant name is specific" },
+    { "code": "DATE_OK", "severity": "info", "message": "Date is plausible and recent" }
+  ],
+  "confidence": 0.87
+}
+
+Now analyze the receipt:`;
+  }
+
+  /**
+   * Helper: remove markdown fences and trim
+   */
+  _stripFences(text) {
+    if (!text) return '';
+    return String(text)
+      .replace(/```json\s*/gi, '')
+      .replace(/```\s*/g, '')
+      .trim();
+  }
+
+  /**
+   * Helper: extract first balanced JSON object from text.
+   * Robust against extra text before/after JSON.
+   * Handles braces inside strings.
+   */
+  _extractFirstJsonObject(text) {
+    const s = String(text || '');
+    const start = s.indexOf('{');
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escape = false;
+
+    for (let i = start; i < s.length; i++) {
+      const ch = s[i];
+
+      if (inString) {
+        if (escape) {
+          escape = false;
+          continue;
+        }
+        if (ch === '\\') {
+          escape = true;
+          continue;
+        }
+        if (ch === '"') {
+          inString = false;
+          continue;
+        }
+        continue;
+      } else {
+        if (ch === '"') {
+          inString = true;
+          continue;
+        }
+        if (ch === '{') depth++;
+        if (ch === '}') depth--;
+
+        if (depth === 0) {
+          // balanced object end
+          return s.slice(start, i + 1);
+        }
+      }
+    }
+
+    // Not balanced (likely truncated)
+    return s.slice(start); // return from first { to end as "candidate"
+  }
+
+  /**
+   * Helper: attempt to repair truncated JSON by appending missing braces.
+   * This won't fix *all* truncations, but it fixes the common “missing closing }” case.
+   */
+  _tryRepairAndParse(candidate) {
+    if (!candidate) return null;
+
+    let c = candidate.trim();
+
+    // quick cleanup: remove trailing markdown fences just in case
+    c = this._stripFences(c);
+
+    // Try normal parse first
+    try {
+      return JSON.parse(c);
+    } catch (_) {}
+
+    // Try appending a few closing braces if JSON looks cut off
+    // (common when model output truncates near the end)
+    for (let i = 0; i < 6; i++) {
+      c += '}';
+      try {
+        return JSON.parse(c);
+      } catch (_) {}
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates a safe fallback result so the API never hard-crashes.
+   */
+  _fallbackUnreadable(rawText, reason) {
+    const snippet = String(rawText || '').slice(0, 600);
+    const findings = [
+      'Could not reliably parse AI output.',
+      reason || 'AI output was malformed or truncated.',
+      'Try a clearer photo or manual entry.',
+    ].map((message) => finding('UNREADABLE', { source: 'ai', severity: 'issue', params: { reason: reason || null }, message }));
+    return {
+      merchant: '',
+      date: '',
+      currency: 'CAD',
+      subtotal: 0,
+      tax: 0,
+      total: 0,
+      receipt_type: 'sale',
+      taxes: [],
+      tip: 0,
+      discount: 0,
+      deposit: 0,
+      rounding: 0,
+      items: [],
+      verdict: 'UNREADABLE',
+      fraud_score: 95,
+      reasons: findings.map((f) => f.message),
+      findings,
+      confidence: 0.2,
+      // keep debug info for logs / optional UI (safe snippet only)
+      _rawSnippet: snippet,
+    };
+  }
+
+  /**
+   * Parses Gemini's text response into structured JSON
+   * Now tolerant to:
+   * - markdown fences
+   * - extra text
+   * - truncated JSON (missing closing braces)
+   * - occasional weird formatting
+   *
+   * IMPORTANT: does NOT throw. Returns UNREADABLE payload on failure.
+   *
+   * @param {string} text - Model output
+   * @param {Object} given - Fields known from the request (receipt_type, region); they replace the model's
+   */
+  parseGeminiResponse(text, given = {}) {
+    const raw = String(text || '');
+    try {
+      const cleaned = this._stripFences(raw);
+
+      // Extract first JSON object (or candidate if truncated)
+      const candidate = this._extractFirstJsonObject(cleaned);
+      if (!candidate) {
+        console.error('Failed to parse Gemini response (no JSON candidate):', raw);
+        return this._fallbackUnreadable(raw, 'No JSON object found in model output.');
+      }
+
+      // Parse or repair
+      const parsed = this._tryRepairAndParse(candidate);
+      if (!parsed || typeof parsed !== 'object') {
+        console.error('Failed to parse Gemini response (invalid JSON):', raw);
+        return this._fallbackUnreadable(raw, 'Model returned invalid or truncated JSON.');
+      }
+
+      return this.normalizeExtraction({ ...parsed, ...given }, raw);
+    } catch (error) {
+      console.error('Failed to parse Gemini response (exception):', raw);
+      return this._fallbackUnreadable(raw, `Parser exception: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fills defaults and clamps fields of an extracted result.
+   * Shared by every provider so the analyzer always sees the same shape.
+   *
+   * IMPORTANT: does NOT throw. Returns UNREADABLE payload when critical fields are missing.
+   */
+  normalizeExtraction(parsed, raw = '') {
+    const out = { ...parsed };
+
+    out.merchant = String(out.merchant || '').trim();
+    out.merchant_address = String(out.merchant_address || '').trim();
+    out.date = String(out.date || '').trim();
+    out.currency = String(out.currency || 'CAD').trim().toUpperCase();
+
+    // one date form however it was printed; date_original keeps what was read
+    const date = normalizeReceiptDate(out.date, { currency: out.currency, region: out.region });
+    if (date && date.normalized !== out.date) {
+      out.date_original = out.date;
+      out.date = date.normalized;
+    }
+    if (date?.ambiguous) out.date_ambiguous = true;
+
+    out.subtotal = Number.parseFloat(out.subtotal ?? 0) || 0;
+    out.tax = Number.parseFloat(out.tax ?? 0) || 0;
+    out.total = Number.parseFloat(out.total ?? 0) || 0;
+    // component / adjustment / item amounts keep the currency's decimals (0 for JPY, 3 for KWD)
+    const digits = minorUnits(out.currency);
+    out.taxes = normalizeTaxComponents(out.taxes, digits);
+    Object.assign(out, normalizeAdjustments(out, digits));
+    out.receipt_type = normalizeReceiptType(out.receipt_type);
+    out.items = normalizeLineItems(out.items, digits);
+
+    out.fraud_score = Number.parseInt(out.fraud_score ?? 50, 10);
+    if (!Number.isFinite(out.fraud_score)) out.fraud_score = 50;
+    out.fraud_score = Math.max(0, Math.min(100, out.fraud_score));
+
+    out.confidence = Number.parseFloat(out.confidence ?? 0.5);
+    if (!Number.isFinite(out.confidence)) out.confidence = 0.5;
+    out.confidence = Math.max(0, Math.min(1, out.confidence));
+
+    const validVerdicts = ['LIKELY_REAL', 'SUSPICIOUS', 'LIKELY_FAKE', 'UNREADABLE'];
+    out.verdict = String(out.verdict || 'SUSPICIOUS').trim().toUpperCase();
+    if (!validVerdicts.includes(out.verdict)) out.verdict = 'SUSPICIOUS';
+
+    // reasons may be strings or { code, severity, message }; findings keep the structure,
+    // reasons stays the plain messages for older clients
+    const reasons = (Array.isArray(out.reasons) ? out.reasons : [out.reasons]).filter(
+      (r) => r && (typeof r === 'object' || String(r).trim())
+    );
+    out.findings = reasons.map(aiFinding);
+    if (out.findings.length === 0) {
+      out.findings = [finding('AI_NOTE', { source: 'ai', message: 'No specific reasons provided.' })];
+    }
+    out.reasons = out.findings.map((f) => f.message);
+
+    // If missing critical fields, degrade to UNREADABLE instead of throwing
+    // (a voided transaction legitimately totals 0)
+    if ((!out.total && out.receipt_type !== 'void') || !out.verdict || !Number.isFinite(out.fraud_score)) {
+      return this._fallbackUnreadable(raw, 'Missing critical fields in model output.');
+    }
+
+    return applyReceiptTypeSigns(out);
+  }
+}
+
+module.exports = ExtractionProvider;
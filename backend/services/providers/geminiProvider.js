@@ -0,0 +1,118 @@
+/**
+ * Gemini Extraction Provider
+ * Sends receipt images / manual data to Google's Gemini API (AI_PROVIDER=gemini)
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ExtractionProvider = require('./extractionProvider');
+
+const GEMINI_MODEL = 'gemini-2.5-flash';
+
+class GeminiProvider extends ExtractionProvider {
+  constructor(apiKey) {
+    super('gemini');
+
+    if (!apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    this.genAI = new GoogleGenerativeAI(apiKey);
+
+    // Use a supported model.
+    this.model = this.genAI.getGenerativeModel({
+      model: GEMINI_MODEL,
+      generationConfig: {
+        temperature: 0.1,
+        topP: 0.8,
+        topK: 20,
+        maxOutputTokens: 2048,
+      },
+    });
+  }
+
+  async healthCheck() {
+    return { connected: !!this.model, provider: this.name, model: GEMINI_MODEL };
+  }
+
+  /**
+   * Analyzes a receipt from a base64 image or PDF
+   *
+   * @param {string} imageBase64 - File contents
+   * @param {Object} media - { mimeType, pages } from utils/receiptMedia.js (default: JPEG)
+   */
+  async analyzeImage(imageBase64, media = {}) {
+    try {
+      const base64Data = imageBase64.replace(/^data:[^;,]*;base64,/, '');
+      const mimeType = media.mimeType || 'image/jpeg';
+
+      const imagePart = {
+        inlineData: {
+          data: base64Data,
+          mimeType,
+        },
+      };
+
+      let prompt = this.getAnalysisPrompt();
+      if (mimeType === 'application/pdf' && media.pages !== 1) {
+        prompt = `The receipt is a PDF${media.pages ? ` of ${media.pages} pages` : ''}. All pages are ONE receipt:
+read them together (items may continue across pages, totals are usually on the last page)
+and return a single set of fields.
+
+${prompt}`;
+      }
+
+      const result = await this.model.generateContent([prompt, imagePart]);
+      const response = await result.response;
+      const text = response.text();
+
+      return this.parseGeminiResponse(text);
+    } catch (error) {
+      console.error('Gemini image analysis error:', error);
+      // Return safe payload instead of throwing (demo-safe)
+      return this._fallbackUnreadable(null, `Gemini image analyze failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Analyzes manually entered receipt data
+   */
+  async analyzeManualData(receiptData) {
+    try {
+      const dataPrompt = `${this.getAnalysisPrompt()}
+
+MANUAL DATA PROVIDED:
+Receipt type: ${receiptData.receipt_type || 'sale'}
+Merchant: ${receiptData.merchant || 'Not provided'}
+Merchant address: ${receiptData.merchant_address || 'Not provided'}
+Region: ${receiptData.region || 'Not provided'}
+Date: ${receiptData.date || 'Not provided'}
+Currency: ${receiptData.currency || 'CAD'}
+Subtotal: ${receiptData.subtotal || 0}
+Tax: ${receiptData.tax || 0}
+Tax lines: ${Array.isArray(receiptData.taxes) && receiptData.taxes.length ? JSON.stringify(receiptData.taxes) : 'Not provided'}
+Tip: ${receiptData.tip || 0}
+Discount: ${receiptData.discount || 0}
+Deposit: ${receiptData.deposit || 0}
+Rounding: ${receiptData.rounding || 0}
+Total: ${receiptData.total || 0}
+Line items: ${Array.isArray(receiptData.items) && receiptData.items.length ? JSON.stringify(receiptData.items) : 'Not provided'}
+
+Analyze this data and provide your structured JSON response.`;
+
+      const result = await this.model.generateContent(dataPrompt);
+      const response = await result.response;
+      const text = response.text();
+
+      // what the user typed wins over the model's echo (a refund re-read as a sale loses its sale link)
+      const given = {};
+      if (receiptData.receipt_type) given.receipt_type = receiptData.receipt_type;
+      if (receiptData.region) given.region = receiptData.region;
+      return this.parseGeminiResponse(text, given);
+    } catch (error) {
+      console.error('Gemini manual data analysis error:', error);
+      return this._fallbackUnreadable(null, `Gemini manual analyze failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,43 @@
+/**
+ * Extraction providers
+ *
+ * AI_PROVIDER selects the provider: "gemini" (default) or "local".
+ * To add another vision model, extend ExtractionProvider and register it here.
+ */
+
+const EXTRACTION_PROVIDERS = ['gemini', 'local'];
+
+/**
+ * Env vars each provider needs to start
+ */
+function requiredEnvForProvider(provider) {
+  return provider === 'local' ? [] : ['GEMINI_API_KEY'];
+}
+
+/**
+ * Creates the configured extraction provider
+ *
+ * @param {Object} config - { provider, geminiApiKey, fixturesDir }
+ * @returns {ExtractionProvider}
+ */
+function createExtractionProvider(config = {}) {
+  const provider = String(config.provider || 'gemini').trim().toLowerCase();
+
+  if (provider === 'local') {
+    const LocalProvider = require('./localProvider');
+    return new LocalProvider(config.fixturesDir);
+  }
+
+  if (provider === 'gemini') {
+    const GeminiProvider = require('./geminiProvider');
+    return new GeminiProvider(config.geminiApiKey);
+  }
+
+  throw new Error(`Unknown AI provider "${provider}" (expected one of: ${EXTRACTION_PROVIDERS.join(', ')})`);
+}
+
+module.exports = {
+  EXTRACTION_PROVIDERS,
+  requiredEnvForProvider,
+  createExtractionProvider,
+};
@@ -0,0 +1,200 @@
+/**
+ * Local Extraction Provider (AI_PROVIDER=local)
+ * Deterministic, offline stand-in for Gemini - same input always gives the same result.
+ *
+ * - Manual data: rule-based checks mirroring the fraud indicators in the prompt
+ * - Images / PDFs: fixture lookup by SHA-256 of the uploaded file bytes,
+ *   read from <fixturesDir>/<sha256>.json (same JSON shape Gemini returns)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ExtractionProvider = require('./extractionProvider');
+const {
+  validateArithmetic,
+  normalizeAdjustments,
+  normalizeReceiptType,
+  isFutureReceiptDate,
+  normalizeLineItems,
+  validateLineItems,
+} = require('../../utils/receiptUtils');
+const { minorUnits } = require('../../utils/currencies');
+const { getScoringConfig } = require('../scoringModel');
+
+const GENERIC_MERCHANTS = ['store', 'shop', 'market', 'restaurant', 'merchant'];
+
+class LocalProvider extends ExtractionProvider {
+  constructor(fixturesDir) {
+    super('local');
+    this.fixturesDir = fixturesDir || path.join(__dirname, '..', '..', 'data', 'fixtures');
+  }
+
+  async healthCheck() {
+    return {
+      connected: true,
+      provider: this.name,
+      model: 'rules+fixtures',
+      fixturesDir: this.fixturesDir,
+    };
+  }
+
+  /**
+   * Looks up a recorded extraction for this exact image or PDF
+   *
+   * @param {string} imageBase64 - File contents
+   * @param {Object} media - { sha256 } of the original upload, when it was converted before extraction
+   */
+  async analyzeImage(imageBase64, media = {}) {
+    try {
+      const base64Data = String(imageBase64 || '').replace(/^data:[^;]+;base64,/, '');
+      const imageHash =
+        media.sha256 || crypto.createHash('sha256').update(Buffer.from(base64Data, 'base64')).digest('hex');
+      const fixturePath = path.join(this.fixturesDir, `${imageHash}.json`);
+
+      if (!fs.existsSync(fixturePath)) {
+        return this._fallbackUnreadable(null, `No local fixture for image ${imageHash}.`);
+      }
+
+      return this.parseGeminiResponse(fs.readFileSync(fixturePath, 'utf8'));
+    } catch (error) {
+      console.error('Local image analysis error:', error);
+      return this._fallbackUnreadable(null, `Local image analyze failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scores manual data with the local fraud rules, then sets the verdict from the scoring model's thresholds
+   *
+   * @param {Object} receiptData - Manual receipt fields
+   * @param {Object} options - { scoring } model whose thresholds set the verdict (default: the one for { tenantId })
+   */
+  async analyzeManualData(receiptData, options = {}) {
+    try {
+      const merchant = String(receiptData.merchant || '').trim();
+      const date = String(receiptData.date || '').trim();
+      const receiptType = normalizeReceiptType(receiptData.receipt_type);
+
+      // refunds are scored on magnitudes; normalizeExtraction stores them negative
+      const isRefund = receiptType === 'refund';
+      const amount = (v) => {
+        const n = Number.parseFloat(v ?? 0) || 0;
+        return isRefund ? Math.abs(n) : n;
+      };
+      const subtotal = amount(receiptData.subtotal);
+      const tax = amount(receiptData.tax);
+      const total = amount(receiptData.total);
+      const digits = minorUnits(receiptData.currency);
+
+      let fraudScore = 5;
+      const reasons = [];
+      // every rule's points are kept on its reason (see utils/reasonCodes.js)
+      const note = (code, impact, message, params = {}) => {
+        fraudScore += impact;
+        const severity = impact >= 30 ? 'issue' : impact > 0 ? 'warning' : 'info';
+        reasons.push({ code, severity, impact, params, message });
+      };
+
+      if (receiptType === 'sale' && [subtotal, tax, total].some((n) => n < 0)) {
+        note('NEGATIVE_ON_SALE', 30, 'Negative amounts on a sale receipt');
+      } else if (receiptType !== 'sale') {
+        note('RECEIPT_TYPE', 0, `Receipt type: ${receiptType}`, { receiptType });
+      }
+
+      if (!merchant) {
+        note('MERCHANT_MISSING', 40, 'Merchant name is missing');
+      } else if (GENERIC_MERCHANTS.includes(merchant.toLowerCase())) {
+        note('MERCHANT_GENERIC', 15, `Merchant name "${merchant}" is generic`, { merchant });
+      } else {
+        note('MERCHANT_OK', 0, 'Merchant name is specific');
+      }
+
+      const adjustments = normalizeAdjustments(receiptData, digits);
+      const math = validateArithmetic(
+        subtotal,
+        tax,
+        total,
+        {
+          tip: amount(adjustments.tip),
+          discount: adjustments.discount,
+          deposit: amount(adjustments.deposit),
+          rounding: isRefund ? -adjustments.rounding : adjustments.rounding,
+        },
+        receiptData.currency
+      );
+      if (math.isValid) {
+        note('MATH_OK', 0, `Math is correct: ${math.explanation}`);
+      } else {
+        note('MATH_MISMATCH', 45, `Arithmetic mismatch: expected ${math.expected.toFixed(digits)}, got ${total.toFixed(digits)}`, {
+          expected: math.expected,
+          actual: total,
+        });
+      }
+
+      const items = normalizeLineItems(receiptData.items, digits);
+      const itemsCheck = validateLineItems(
+        items.map((item) => ({ ...item, unit_price: amount(item.unit_price), line_total: amount(item.line_total) })),
+        subtotal,
+        receiptData.currency
+      );
+      if (!itemsCheck.isValid) {
+        // 35 points for the item problems together, carried by the first
+        itemsCheck.findings.forEach((f, i) => note(f.code, i === 0 ? 35 : 0, f.message, f.params));
+      } else if (items.length > 0) {
+        note('ITEMS_OK', 0, `Line items add up to the subtotal (${items.length} items)`, { count: items.length });
+      }
+
+      if (!date) {
+        note('DATE_MISSING', 10, 'Date is missing');
+      } else if (isFutureReceiptDate(date, { currency: receiptData.currency, region: receiptData.region })) {
+        note('FUTURE_DATE', 30, 'Date is in the future', { date });
+      } else {
+        note('DATE_OK', 0, 'Date is plausible');
+      }
+
+      if (subtotal > 0) {
+        const rate = tax / subtotal;
+        if (rate < 0 || rate > 0.2) {
+          note('TAX_RATE_UNREALISTIC', 15, `Unrealistic tax rate: ${(rate * 100).toFixed(1)}%`, { rate });
+        }
+      }
+
+      // whole yen / won amounts are every receipt, not a made-up one
+      const amounts = [subtotal, tax, total].filter((n) => n > 0);
+      if (digits > 0 && amounts.length > 1 && amounts.every((n) => Number.isInteger(n))) {
+        note('ROUNDED_AMOUNTS', 10, 'All amounts are rounded numbers');
+      }
+
+      fraudScore = Math.min(100, fraudScore);
+      const { thresholds } = options.scoring || getScoringConfig(options.tenantId);
+      const verdict =
+        fraudScore >= thresholds.likelyFake ? 'LIKELY_FAKE' : fraudScore >= thresholds.suspicious ? 'SUSPICIOUS' : 'LIKELY_REAL';
+
+      return this.normalizeExtraction({
+        receipt_type: receiptType,
+        merchant,
+        merchant_address: receiptData.merchant_address,
+        region: receiptData.region,
+        date,
+        currency: receiptData.currency || 'CAD',
+        subtotal,
+        tax,
+        // checked against the regional rate table by validateReceipt
+        taxes: receiptData.taxes || [],
+        ...adjustments,
+        total,
+        items,
+        verdict,
+        fraud_score: fraudScore,
+        reasons,
+        confidence: 0.6,
+      });
+    } catch (error) {
+      console.error('Local manual data analysis error:', error);
+      return this._fallbackUnreadable(null, `Local manual analyze failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalProvider;
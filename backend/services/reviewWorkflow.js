@@ -0,0 +1,109 @@
+/**
+ * Expense Review Workflow
+ * State machine for what happens to a claim after its receipt is certified.
+ *
+ *   submitted -> under_review -> approved | rejected | needs_info
+ *   needs_info -> under_review (claimant answered)
+ *
+ * approved / rejected are final. Every transition is appended to history
+ * with its comment and reviewer; final decisions get a decisionHash that can
+ * be anchored as its own memo.
+ */
+
+const crypto = require('crypto');
+
+const REVIEW_STATES = ['submitted', 'under_review', 'approved', 'rejected', 'needs_info'];
+
+const REVIEW_TRANSITIONS = {
+  submitted: ['under_review'],
+  under_review: ['approved', 'rejected', 'needs_info'],
+  needs_info: ['under_review'],
+  approved: [],
+  rejected: [],
+};
+
+// decisions worth anchoring - the others are just workflow bookkeeping
+const FINAL_REVIEW_STATES = ['approved', 'rejected'];
+
+function reviewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Review every newly certified proof starts with
+ */
+function initialReview(at) {
+  return { state: 'submitted', updatedAt: at, history: [] };
+}
+
+/**
+ * Review of a stored proof (proofs certified before the workflow existed start as submitted)
+ */
+function reviewOf(proofRow) {
+  return proofRow.review || initialReview(proofRow.createdAt || null);
+}
+
+/**
+ * Fingerprint of a decision, anchored as VERICEIPT:v1:DECISION:<hash>
+ */
+function computeDecisionHash({ proofHash, from, to, comment, reviewer, at }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([proofHash, from, to, comment, reviewer, at]), 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Validates a transition and builds its history entry (does not modify the review)
+ *
+ * @param {Object} review - Current review ({ state, history })
+ * @param {Object} change - { proofHash, to, comment, reviewer, keyId, at }
+ * @returns {Object} History entry; decisionHash is set for final decisions
+ */
+function buildTransition(review, { proofHash, to, comment, reviewer = null, keyId = null, at }) {
+  const target = String(to || '').trim().toLowerCase();
+  if (!REVIEW_STATES.includes(target)) {
+    throw reviewError(`state must be one of: ${REVIEW_STATES.join(', ')}`, 400);
+  }
+
+  const text = String(comment || '').trim();
+  if (!text) throw reviewError('comment is required', 400);
+
+  const from = review.state;
+  if (!REVIEW_TRANSITIONS[from].includes(target)) {
+    throw reviewError(`Cannot move a review from ${from} to ${target}`, 409);
+  }
+
+  const entry = { from, to: target, comment: text, reviewer, keyId, at };
+  if (FINAL_REVIEW_STATES.includes(target)) {
+    entry.decisionHash = computeDecisionHash({ proofHash, from, to: target, comment: text, reviewer, at });
+  }
+  return entry;
+}
+
+/**
+ * Applies a history entry built by buildTransition
+ */
+function applyTransition(review, entry) {
+  if (review.state !== entry.from) {
+    throw reviewError(`Review changed to ${review.state} in the meantime`, 409);
+  }
+  return {
+    state: entry.to,
+    updatedAt: entry.at,
+    history: [...(review.history || []), entry],
+  };
+}
+
+module.exports = {
+  REVIEW_STATES,
+  REVIEW_TRANSITIONS,
+  FINAL_REVIEW_STATES,
+  initialReview,
+  reviewOf,
+  computeDecisionHash,
+  buildTransition,
+  applyTransition,
+};
@@ -0,0 +1,384 @@
+/**
+ * Fraud Scoring Model
+ *
+ * How local findings move the AI's fraud_score and where the verdict lines
+ * sit. The weights live in data/scoring.json (override with
+ * SCORING_CONFIG_PATH); without a file the built-in defaults apply:
+ *
+ *   {
+ *     "severityWeights": { "issue": 30, "warning": 10 },
+ *     "codeWeights": { "DATE_CORRECTED": -35 },
+ *     "combine": "max",
+ *     "cleanCap": 25,
+ *     "thresholds": { "likelyFake": 70, "suspicious": 40, "likelyReal": 25 },
+ *     "tenants": { "acme": { "thresholds": { "suspicious": 35 } } }
+ *   }
+ *
+ * A local or policy finding weighs codeWeights[code], else severityWeights[severity].
+ * Signals are applied info first, then issues, then warnings, clamping to 0..100
+ * after each. combine "max" counts only the strongest signal per severity;
+ * "sum" counts every distinct code. cleanCap (null = off) caps the score when
+ * no issue or warning was found. Tenant entries override parts of the model.
+ *
+ * fitScoringModel calibrates weights and thresholds from reviewed proofs
+ * (scripts/calibrateScoring.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { REASON_CODES } = require('../utils/reasonCodes');
+
+const DEFAULT_SCORING_CONFIG_PATH = path.join(__dirname, '..', 'data', 'scoring.json');
+
+const COMBINE_MODES = ['max', 'sum'];
+const SIGNAL_ORDER = ['info', 'issue', 'warning'];
+const THRESHOLD_KEYS = ['likelyFake', 'suspicious', 'likelyReal'];
+
+const DEFAULT_SCORING = {
+  severityWeights: { info: 0, issue: 30, warning: 10 },
+  codeWeights: { DATE_CORRECTED: -35 },
+  combine: 'max',
+  cleanCap: 25,
+  thresholds: { likelyFake: 70, suspicious: 40, likelyReal: 25 },
+};
+
+let scoringState = null;
+
+function scoringError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function _isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _points(value, label) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n < -100 || n > 100) {
+    throw scoringError(`${label} must be a number between -100 and 100`);
+  }
+  return n;
+}
+
+function _weights(value, keys, label, keysHint = `one of: ${keys.join(', ')}`) {
+  if (value === undefined) return {};
+  if (!_isObject(value)) throw scoringError(`${label} must be an object`);
+  const out = {};
+  for (const [key, weight] of Object.entries(value)) {
+    if (!keys.includes(key)) throw scoringError(`${label}.${key} is not ${keysHint}`);
+    out[key] = _points(weight, `${label}.${key}`);
+  }
+  return out;
+}
+
+// a base model with a (partial) override on top
+function _merge(base, override) {
+  return {
+    severityWeights: { ...base.severityWeights, ...override.severityWeights },
+    codeWeights: { ...base.codeWeights, ...override.codeWeights },
+    combine: override.combine ?? base.combine,
+    cleanCap: override.cleanCap !== undefined ? override.cleanCap : base.cleanCap,
+    thresholds: { ...base.thresholds, ...override.thresholds },
+  };
+}
+
+// field-level checks; the result may be partial (tenant overrides)
+function _normalizePart(doc, label) {
+  if (!_isObject(doc)) throw scoringError(`${label} must be an object`);
+  const part = {
+    severityWeights: _weights(doc.severityWeights, SIGNAL_ORDER, `${label}severityWeights`),
+    codeWeights: _weights(doc.codeWeights, Object.keys(REASON_CODES), `${label}codeWeights`, 'a reason code'),
+    thresholds: _weights(doc.thresholds, THRESHOLD_KEYS, `${label}thresholds`),
+  };
+  if (doc.combine !== undefined) {
+    if (!COMBINE_MODES.includes(doc.combine)) {
+      throw scoringError(`${label}combine must be one of: ${COMBINE_MODES.join(', ')}`);
+    }
+    part.combine = doc.combine;
+  }
+  if (doc.cleanCap !== undefined) {
+    part.cleanCap = doc.cleanCap === null ? null : _points(doc.cleanCap, `${label}cleanCap`);
+    if (part.cleanCap !== null && part.cleanCap < 0) throw scoringError(`${label}cleanCap must be 0..100 or null`);
+  }
+  return part;
+}
+
+function _checkThresholds({ likelyFake, suspicious, likelyReal }, label) {
+  if ([likelyFake, suspicious, likelyReal].some((t) => t < 0)) {
+    throw scoringError(`${label}thresholds must be between 0 and 100`);
+  }
+  if (!(likelyReal < suspicious && suspicious <= likelyFake)) {
+    throw scoringError(`${label}thresholds must satisfy likelyReal < suspicious <= likelyFake`);
+  }
+}
+
+/**
+ * Validates a scoring document and fills in the defaults
+ *
+ * @param {Object} doc - { severityWeights, codeWeights, combine, cleanCap, thresholds, tenants }
+ * @returns {Object} Full model plus tenants: { tenantId: override as given }
+ */
+function validateScoringConfig(doc) {
+  const model = _merge(DEFAULT_SCORING, _normalizePart(doc, ''));
+  _checkThresholds(model.thresholds, '');
+
+  const tenants = {};
+  if (doc.tenants !== undefined) {
+    if (!_isObject(doc.tenants)) throw scoringError('tenants must be an object of tenant ID -> overrides');
+    for (const [tenantId, override] of Object.entries(doc.tenants)) {
+      const label = `tenants.${tenantId}.`;
+      const part = _normalizePart(override, label);
+      _checkThresholds(_merge(model, part).thresholds, label);
+      // keep only what the tenant set, so later base changes still reach it
+      tenants[tenantId] = Object.fromEntries(
+        Object.entries(part).filter(([, v]) => !(_isObject(v) && Object.keys(v).length === 0))
+      );
+    }
+  }
+  return { ...model, tenants };
+}
+
+/**
+ * Loads the scoring model; a missing file means the built-in defaults
+ *
+ * @param {string} [filePath] - JSON file (default data/scoring.json)
+ * @returns {Object} { path, source: file name or 'default', config }
+ */
+function loadScoringConfig(filePath = DEFAULT_SCORING_CONFIG_PATH) {
+  const file = filePath || DEFAULT_SCORING_CONFIG_PATH;
+  if (!fs.existsSync(file)) {
+    scoringState = { path: file, source: 'default', config: validateScoringConfig({}) };
+    return scoringState;
+  }
+  try {
+    const config = validateScoringConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+    scoringState = { path: file, source: path.basename(file), config };
+  } catch (error) {
+    throw new Error(`Scoring config ${file}: ${error.message}`);
+  }
+  return scoringState;
+}
+
+/**
+ * Validates and writes a scoring document to the loaded file, then makes it current
+ *
+ * @param {Object} doc - Scoring document (see validateScoringConfig)
+ * @param {string} [filePath] - Target file (default: the loaded one)
+ * @returns {Object} { path, source, config }
+ */
+function saveScoringConfig(doc, filePath) {
+  const config = validateScoringConfig(doc);
+  const file = filePath || (scoringState || loadScoringConfig()).path;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(doc, null, 2)}\n`);
+  fs.renameSync(`${file}.tmp`, file);
+
+  scoringState = { path: file, source: path.basename(file), config };
+  return scoringState;
+}
+
+/**
+ * Model in force for a tenant
+ *
+ * @returns {Object} { source, tenantId (null when no override applies), severityWeights, codeWeights, combine, cleanCap, thresholds }
+ */
+function getScoringConfig(tenantId) {
+  const { source, config } = scoringState || loadScoringConfig();
+  const { tenants, ...base } = config;
+  const override = tenantId != null ? tenants[tenantId] : null;
+  return { source, tenantId: override ? tenantId : null, ...(override ? _merge(base, override) : base) };
+}
+
+function _clamp(score) {
+  return Math.max(0, Math.min(100, score));
+}
+
+function _weightOf(f, model) {
+  return model.codeWeights[f.code] ?? model.severityWeights[f.severity] ?? 0;
+}
+
+/**
+ * Final fraud score and verdict from the AI score and the local findings
+ *
+ * Sets each scored finding's impact to the points it actually moved the score.
+ *
+ * @param {Object} input - { aiScore, aiVerdict, findings, clean } (clean: no local issue or warning)
+ * @param {Object} model - getScoringConfig result
+ * @returns {Object} { score, verdict, capped: { cap, points } | null, breakdown }
+ */
+function scoreAnalysis({ aiScore, aiVerdict, findings = [], clean = false }, model) {
+  const base = _clamp(Number(aiScore) || 0);
+  let score = base;
+  const signals = [];
+
+  const weighted = findings.filter((f) => f.source !== 'ai' && f.code !== 'CLEAN_SCORE_CAP' && _weightOf(f, model) !== 0);
+  for (const severity of SIGNAL_ORDER) {
+    const group = weighted.filter((f) => f.severity === severity);
+    const firstOfCode = group.filter((f, i) => group.findIndex((g) => g.code === f.code) === i);
+    const strongest = firstOfCode.reduce(
+      (best, f) => (!best || Math.abs(_weightOf(f, model)) > Math.abs(_weightOf(best, model)) ? f : best),
+      null
+    );
+
+    for (const f of group) {
+      const weight = _weightOf(f, model);
+      const counted = model.combine === 'max' ? f === strongest : firstOfCode.includes(f);
+      const before = score;
+      if (counted) score = _clamp(score + weight);
+      f.impact = score - before;
+      signals.push({ code: f.code, source: f.source, severity, weight, counted, points: f.impact });
+    }
+  }
+
+  let capped = null;
+  if (clean && model.cleanCap != null && score > model.cleanCap) {
+    capped = { cap: model.cleanCap, points: model.cleanCap - score };
+    score = model.cleanCap;
+  }
+
+  const { likelyFake, suspicious, likelyReal } = model.thresholds;
+  let verdict = aiVerdict;
+  let rule = 'ai';
+  if (score >= likelyFake) {
+    verdict = 'LIKELY_FAKE';
+    rule = 'likelyFake';
+  } else if (score >= suspicious) {
+    verdict = 'SUSPICIOUS';
+    rule = 'suspicious';
+  } else if (score <= likelyReal) {
+    verdict = 'LIKELY_REAL';
+    rule = 'likelyReal';
+  }
+
+  return {
+    score,
+    verdict,
+    capped,
+    breakdown: {
+      model: model.source,
+      tenant: model.tenantId,
+      combine: model.combine,
+      ai_score: base,
+      signals,
+      clean_cap: capped,
+      final_score: score,
+      thresholds: { ...model.thresholds },
+      // which threshold decided the verdict ('ai': between likelyReal and suspicious, the AI's verdict stands)
+      verdict_rule: rule,
+    },
+  };
+}
+
+function _sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Fits weights and thresholds to labeled outcomes (logistic regression on the
+ * AI score and one L2-regularized indicator per finding code)
+ *
+ * The log-odds a * aiScore + sum(b_code) + c become points by dividing by a,
+ * so a code weighs b_code / a and the thresholds are the scores where the
+ * probability of fraud reaches 80% / 50% / 20%. The result uses combine "sum";
+ * codes seen in fewer than minCodeCount samples keep their current weight.
+ *
+ * @param {Array} samples - [{ aiScore, codes: [code], label: 1 (fraud) | 0 (legitimate) }]
+ * @param {Object} model - Starting model (its severity weights, unfitted code weights and cleanCap are kept)
+ * @param {Object} options - { minSamples = 20, minCodeCount = 3, iterations = 3000, l2 = 0.01 }
+ * @returns {Object} { model: { severityWeights, codeWeights, combine, cleanCap, thresholds }, report }
+ */
+function fitScoringModel(samples, model, options = {}) {
+  const minSamples = options.minSamples ?? 20;
+  const minCodeCount = options.minCodeCount ?? 3;
+  const iterations = options.iterations ?? 3000;
+  const l2 = options.l2 ?? 0.01;
+
+  const positives = samples.filter((s) => s.label === 1).length;
+  if (samples.length < minSamples) {
+    throw scoringError(`Need at least ${minSamples} labeled proofs, found ${samples.length}`, 422);
+  }
+  if (positives === 0 || positives === samples.length) {
+    throw scoringError('Labeled proofs must include both rejected and approved claims', 422);
+  }
+
+  const support = {};
+  for (const s of samples) for (const code of new Set(s.codes)) support[code] = (support[code] || 0) + 1;
+  const codes = Object.keys(support).filter((c) => support[c] >= minCodeCount).sort();
+
+  // x[0] = AI score / 100, x[1..] = code indicators; w[last] = intercept
+  const rows = samples.map((s) => [(Number(s.aiScore) || 0) / 100, ...codes.map((c) => (s.codes.includes(c) ? 1 : 0))]);
+  const w = new Array(codes.length + 2).fill(0);
+  const bias = codes.length + 1;
+  const rate = 2;
+
+  for (let step = 0; step < iterations; step++) {
+    const grad = new Array(w.length).fill(0);
+    rows.forEach((x, i) => {
+      const p = _sigmoid(x.reduce((z, v, j) => z + v * w[j], w[bias]));
+      const err = p - samples[i].label;
+      x.forEach((v, j) => {
+        grad[j] += err * v;
+      });
+      grad[bias] += err;
+    });
+    for (let j = 0; j < w.length; j++) {
+      // only the code weights shrink: the AI coefficient is the points scale
+      const penalty = j === bias || j === 0 ? 0 : l2 * w[j];
+      w[j] -= rate * (grad[j] / rows.length + penalty);
+    }
+  }
+
+  const perPoint = w[0] / 100;
+  if (!(perPoint > 0)) {
+    throw scoringError('The AI score does not separate rejected from approved claims; keep the current weights', 422);
+  }
+
+  const toPoints = (logit) => (logit - w[bias]) / perPoint;
+  const codeWeights = { ...model.codeWeights };
+  codes.forEach((code, k) => {
+    codeWeights[code] = Math.max(-100, Math.min(100, Math.round(w[k + 1] / perPoint)));
+  });
+
+  const at = (p) => Math.round(_clamp(toPoints(Math.log(p / (1 - p)))));
+  const likelyFake = at(0.8);
+  const suspicious = Math.min(at(0.5), likelyFake);
+  const likelyReal = Math.max(0, Math.min(at(0.2), suspicious - 1));
+  if (suspicious === 0) throw scoringError('Fitted thresholds collapse to 0; not enough separation in the labels', 422);
+
+  const correct = rows.filter((x, i) => {
+    const p = _sigmoid(x.reduce((z, v, j) => z + v * w[j], w[bias]));
+    return (p >= 0.5 ? 1 : 0) === samples[i].label;
+  }).length;
+
+  return {
+    model: {
+      severityWeights: { ...model.severityWeights },
+      codeWeights,
+      combine: 'sum',
+      cleanCap: model.cleanCap,
+      thresholds: { likelyFake, suspicious, likelyReal },
+    },
+    report: {
+      samples: samples.length,
+      fraud: positives,
+      legitimate: samples.length - positives,
+      accuracy: Math.round((correct / samples.length) * 1000) / 1000,
+      codes: codes.map((code) => ({ code, support: support[code], weight: codeWeights[code] })),
+      skippedCodes: Object.keys(support).filter((c) => !codes.includes(c)).sort(),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  COMBINE_MODES,
+  validateScoringConfig,
+  loadScoringConfig,
+  saveScoringConfig,
+  getScoringConfig,
+  scoreAnalysis,
+  fitScoringModel,
+};
@@ -0,0 +1,187 @@
+/**
+ * Similarity Engine
+ * Finds stored proofs that are probably the same expense even though the hash differs
+ * (one cent off, merchant spelled differently, date typed another way).
+ *
+ * - near_duplicate: similar merchant, total within tolerance, date within the window
+ * - possible_split: same merchant and day but a different amount - one purchase
+ *   claimed as several smaller receipts
+ *
+ * Candidates are ranked by a 0..1 score built from merchant, total and date closeness.
+ */
+
+const { parseReceiptDateToLocal } = require('../utils/receiptUtils');
+const { foldMerchantName } = require('../utils/merchantUtils');
+const { minorUnits, formatAmount } = require('../utils/currencies');
+
+const DEFAULT_SIMILARITY_OPTIONS = {
+  totalTolerance: 0.02, // relative difference in total (2%)
+  minTotalUnits: 5, // never tighter than 5 of the currency's smallest units (5 cents, 5 yen)
+  dateWindowDays: 3,
+  minMerchantSimilarity: 0.75,
+  minScore: 0.6,
+  limit: 5,
+};
+
+const WEIGHTS = { merchant: 0.45, total: 0.35, date: 0.2 };
+
+// legal / filler words that don't tell two merchants apart
+const MERCHANT_STOPWORDS = new Set(['inc', 'ltd', 'llc', 'corp', 'co', 'the', 'store', 'restaurant', 'and']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeMerchantName(name) {
+  return foldMerchantName(name)
+    .replace(/#\s*\d+/g, ' ') // store numbers
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !MERCHANT_STOPWORDS.has(w))
+    .join(' ');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * 0..1 similarity of two merchant names: best of edit distance (typos)
+ * and token overlap (word order, extra words)
+ */
+function merchantSimilarity(a, b) {
+  const x = normalizeMerchantName(a);
+  const y = normalizeMerchantName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const edit = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+
+  const tx = new Set(x.split(' '));
+  const ty = new Set(y.split(' '));
+  const shared = [...tx].filter((w) => ty.has(w)).length;
+  const overlap = shared / Math.min(tx.size, ty.size);
+
+  // overlap only counts for real subsets ("costco" vs "costco wholesale"), not one shared word
+  return Math.max(edit, overlap === 1 ? 0.9 : 0);
+}
+
+function daysBetween(a, b) {
+  const da = parseReceiptDateToLocal(a);
+  const db = parseReceiptDateToLocal(b);
+  if (!da || !db) return null;
+  // compare calendar days, not hours
+  const dayA = Date.UTC(da.getFullYear(), da.getMonth(), da.getDate());
+  const dayB = Date.UTC(db.getFullYear(), db.getMonth(), db.getDate());
+  return Math.abs(dayA - dayB) / DAY_MS;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Scores one stored proof against the receipt being checked
+ *
+ * @param {Object} target - { merchant, merchantId, date, currency, total, receiptType }
+ * @param {Object} candidate - same fields for a stored proof
+ * @returns {Object|null} { kind, score, reasons } or null if not similar
+ */
+function scoreCandidate(target, candidate, options = DEFAULT_SIMILARITY_OPTIONS) {
+  // a refund next to its sale is expected, not a duplicate
+  if ((target.receiptType || 'sale') !== (candidate.receiptType || 'sale')) return null;
+  if (target.currency && candidate.currency && target.currency !== candidate.currency) return null;
+
+  // aliases in the merchant registry share an ID however differently they are spelled
+  const sameMerchantId = target.merchantId && target.merchantId === candidate.merchantId;
+  const merchantScore = sameMerchantId ? 1 : merchantSimilarity(target.merchant, candidate.merchant);
+  if (merchantScore < options.minMerchantSimilarity) return null;
+
+  const days = daysBetween(target.date, candidate.date);
+  if (days == null || days > options.dateWindowDays) return null;
+  const dateScore = 1 - days / (options.dateWindowDays + 1);
+
+  const reasons = [
+    merchantScore === 1
+      ? 'Same merchant'
+      : `Similar merchant ("${candidate.merchant}", ${Math.round(merchantScore * 100)}% match)`,
+    days === 0 ? 'Same date' : `Dates ${days} day${days === 1 ? '' : 's'} apart`,
+  ];
+
+  const currency = target.currency || candidate.currency;
+  const hasTotals = Number.isFinite(target.total) && Number.isFinite(candidate.total);
+  const tolerance = hasTotals
+    ? Math.max(options.minTotalUnits * 10 ** -minorUnits(currency), Math.abs(target.total) * options.totalTolerance)
+    : 0;
+  const totalDiff = hasTotals ? Math.abs(target.total - candidate.total) : null;
+
+  if (hasTotals && totalDiff <= tolerance) {
+    const totalScore = 1 - totalDiff / (tolerance * 2);
+    reasons.push(totalDiff === 0 ? 'Same total' : `Totals differ by ${formatAmount(totalDiff, currency)}`);
+    return {
+      kind: 'near_duplicate',
+      score: round(WEIGHTS.merchant * merchantScore + WEIGHTS.total * totalScore + WEIGHTS.date * dateScore),
+      reasons,
+    };
+  }
+
+  // split claims only make sense for the same merchant on the same day
+  if (days === 0 && merchantScore >= 0.9) {
+    reasons.push(
+      hasTotals
+        ? `Different amount (${formatAmount(candidate.total, currency)}) - possible split claim`
+        : 'Possible split claim'
+    );
+    return {
+      kind: 'possible_split',
+      score: round(WEIGHTS.merchant * merchantScore + WEIGHTS.date * dateScore + WEIGHTS.total * 0.5),
+      reasons,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Ranks stored proofs that look like the target receipt
+ *
+ * @param {Object} target - { hash, merchant, date, currency, total }
+ * @param {Array<{ hash, fields, proof }>} candidates - fields as for scoreCandidate
+ * @param {Object} options - Overrides for DEFAULT_SIMILARITY_OPTIONS
+ * @returns {Array} [{ hash, kind, score, reasons, ...proof }] best first
+ */
+function findPossibleDuplicates(target, candidates, options = {}) {
+  const opts = { ...DEFAULT_SIMILARITY_OPTIONS, ...options };
+  if (!target.merchant || !target.date) return [];
+
+  const matches = [];
+  for (const c of candidates) {
+    // exact hash matches are already reported as duplicates
+    if (target.hash && c.hash === target.hash) continue;
+
+    const scored = scoreCandidate(target, c.fields, opts);
+    if (!scored || scored.score < opts.minScore) continue;
+    matches.push({ hash: c.hash, ...scored, ...c.proof });
+  }
+
+  return matches.sort((a, b) => b.score - a.score || (a.hash < b.hash ? -1 : 1)).slice(0, opts.limit);
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_OPTIONS,
+  normalizeMerchantName,
+  merchantSimilarity,
+  scoreCandidate,
+  findPossibleDuplicates,
+};
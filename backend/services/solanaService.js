@@ -9,6 +9,8 @@ const {
   LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
 const bs58 = require('bs58').default;
+const { formatHashMemo, formatRootMemo, formatDecisionMemo } = require('../utils/memo');
+const { verifyMemo } = require('./anchorService');
 
 class SolanaService {
   constructor(rpcUrl, privateKeyBase58) {
@@ -16,6 +18,8 @@ class SolanaService {
       throw new Error('Solana RPC URL is required');
     }
     
+    this.backend = 'solana';
+    this.displayName = 'Solana';
     this.connection = new Connection(rpcUrl, 'confirmed');
     
     if (privateKeyBase58) {
@@ -60,12 +64,41 @@ class SolanaService {
     }
   }
 
-  async certifyHash(hash, metadata = {}) {
-    try {
-      if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
-        throw new Error('Invalid hash format - must be 64-character hex string');
-      }
+  /**
+   * @param {string} version - Canonical version of the receipt text ('v1' or 'v2'), tagged in the memo
+   */
+  async certifyHash(hash, metadata = {}, version = 'v1') {
+    if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
+      throw new Error('Invalid hash format - must be 64-character hex string');
+    }
 
+    const result = await this._sendMemo(formatHashMemo(hash, version), metadata);
+    return { ...result, chainHash: hash };
+  }
+
+  /**
+   * Anchors the Merkle root of a certification batch in a single memo
+   */
+  async certifyMerkleRoot(root, metadata = {}, version = 'v1') {
+    if (!root || !/^[a-f0-9]{64}$/i.test(root)) {
+      throw new Error('Invalid Merkle root format - must be 64-character hex string');
+    }
+
+    const result = await this._sendMemo(formatRootMemo(root, version), metadata);
+    return { ...result, merkleRoot: root.toLowerCase() };
+  }
+
+  async certifyDecision(decisionHash, metadata = {}) {
+    if (!decisionHash || !/^[a-f0-9]{64}$/i.test(decisionHash)) {
+      throw new Error('Invalid decision hash format - must be 64-character hex string');
+    }
+
+    const result = await this._sendMemo(formatDecisionMemo(decisionHash), metadata);
+    return { ...result, decisionHash: decisionHash.toLowerCase() };
+  }
+
+  async _sendMemo(memoData, metadata = {}) {
+    try {
       const balance = await this.getBalance();
       if (balance < 0.001) {
         console.warn('⚠️ Low balance detected, attempting airdrop...');
@@ -76,8 +109,6 @@ class SolanaService {
         }
       }
 
-      const memoData = `VERICEIPT:v1:HASH:${hash}`;
-      
       const memoInstruction = new TransactionInstruction({
         keys: [{
           pubkey: this.wallet.publicKey,
@@ -116,7 +147,6 @@ class SolanaService {
       return {
         success: true,
         txSignature: signature,
-        chainHash: hash,
         timestamp: txDetails?.blockTime ? new Date(txDetails.blockTime * 1000).toISOString() : new Date().toISOString(),
         explorerUrl: `https://explorer.solana.com/tx/${signature}?cluster=${cluster}`,
         walletAddress: this.wallet.publicKey.toString(),
@@ -138,7 +168,11 @@ class SolanaService {
     return `https://explorer.solana.com/tx/${txSignature}?cluster=${cluster}`;
   }
 
-  async verifyHash(txSignature, expectedHash) {
+  /**
+   * Verifies a receipt hash against the memo stored in a transaction.
+   * For batched certifications (ROOT memo) the receipt's inclusion proof is required.
+   */
+  async verifyHash(txSignature, expectedHash, merkleProof = null) {
     try {
       if (!txSignature || txSignature.length < 64) {
         throw new Error('Invalid transaction signature');
@@ -177,7 +211,7 @@ class SolanaService {
             const programId = tx.transaction.message.staticAccountKeys[ix.programIdIndex];
             if (programId && programId.toString() === MEMO_PROGRAM_ID) {
               // Data is base58 encoded in compiledInstructions
-              const decoded = bs58.decode(ix.data);
+              const decoded = Buffer.from(bs58.decode(ix.data));
               memoData = decoded.toString('utf8');
               console.log('🔍 Memo found (compiled):', memoData);
               break;
@@ -199,7 +233,7 @@ class SolanaService {
               
               // Strategy 1: base58 decode
               try {
-                decoded = bs58.decode(ix.data);
+                decoded = Buffer.from(bs58.decode(ix.data));
                 memoData = decoded.toString('utf8');
               } catch (e1) {
                 // Strategy 2: direct buffer if already bytes
@@ -238,52 +272,16 @@ class SolanaService {
         };
       }
 
-      // Extract hash from memo (format: "VERICEIPT:v1:HASH:<hash>")
-      const hashMatch = memoData.match(/VERICEIPT:v1:HASH:([a-f0-9]{64})/i);
-      
-      if (!hashMatch) {
-        return {
-          verified: false,
-          message: 'Invalid memo format - not a Vericeipt transaction',
-          chainHash: null,
-          localHash: expectedHash,
-          error: 'INVALID_MEMO_FORMAT',
-          memoFound: memoData
-        };
-      }
-
-      const chainHash = hashMatch[1].toLowerCase();
-      const localHash = expectedHash.toLowerCase();
-
-      const verified = chainHash === localHash;
-
       const timestamp = tx.blockTime 
         ? new Date(tx.blockTime * 1000).toISOString() 
         : null;
 
-      const explorerUrl = this._explorerTxUrl(txSignature);
-
-      if (verified) {
-        return {
-          verified: true,
-          message: '✅ VERIFIED: Receipt matches the certified fingerprint.',
-          chainHash,
-          localHash,
-          timestamp,
-          explorerUrl,
-          walletAddress: this.wallet.publicKey.toString()
-        };
-      } else {
-        return {
-          verified: false,
-          message: '❌ VERIFICATION FAILED: Receipt has been altered or does not match the certified version.',
-          chainHash,
-          localHash,
-          timestamp,
-          difference: 'Hashes do not match',
-          explorerUrl
-        };
-      }
+      // Memo format: "VERICEIPT:v1:HASH|ROOT|DECISION:<hash>"
+      return verifyMemo(memoData, expectedHash, merkleProof, {
+        timestamp,
+        explorerUrl: this._explorerTxUrl(txSignature),
+        walletAddress: this.wallet.publicKey.toString()
+      });
     } catch (error) {
       console.error('❌ Verification error:', error);
       
@@ -332,6 +330,7 @@ class SolanaService {
 
       return {
         connected: true,
+        backend: this.backend,
         version: version['solana-core'],
         walletAddress: this.wallet.publicKey.toString(),
         balance: `${balance.toFixed(4)} SOL`,
@@ -341,6 +340,7 @@ class SolanaService {
     } catch (error) {
       return {
         connected: false,
+        backend: this.backend,
         error: error.message
       };
     }
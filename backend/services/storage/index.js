@@ -0,0 +1,112 @@
+/**
+ * Proof storage adapters
+ *
+ * Every adapter implements the same synchronous interface:
+ *   getHashRow(tenantId, hash)                -> row | null
+ *   getTxRow(tenantId, txSignature)           -> row | null
+ *   putHashRow(row) / putTxRow(row)           -> upsert, keyed by row.tenantId
+ *   listHashRows(tenantId)                    -> rows, most recently seen first (null = all tenants)
+ *   findHashRowsAcrossTenants(hash)           -> rows for one hash in every tenant
+ *   queryHashRows(tenantId, { filters, sort, order, after, limit })
+ *                                             -> matching rows in keyset order (see below)
+ *   countHashRows(tenantId, filters)          -> number of matching rows (null filters = all)
+ *   listImageHashes(tenantId)                 -> [{ hash, imageHash }] of proofs with a photo hash
+ *   getMerchantRow(tenantId, merchantId)      -> merchant alias registry entry | null
+ *   putMerchantRow(row) / deleteMerchantRow(tenantId, merchantId)
+ *   listMerchantRows(tenantId)                -> registry entries sorted by merchantId
+ *   getMeta(key) / setMeta(key, value)
+ *   transaction(fn)                           -> runs fn atomically, returns its result
+ *   close()
+ *
+ * Proof queries work on proofFields(row) (storage/proofFields.js):
+ *   filters - { merchant (substring of the folded name), merchantId, currency,
+ *               currencyOrUnset (that currency or none), verdicts[], reviewStates[],
+ *               receiptTypes[], duplicatesOnly, minTotal, maxTotal,
+ *               from / to (receipt day, undated rows excluded),
+ *               notAfter (receipt day, undated rows kept), q (substring of the text) }
+ *   sort    - one of PROOF_SORT_FIELDS; order "asc" | "desc"
+ *   after   - { v, h }: continue after the row with sort value v and hash h
+ * Keyset order is the sort value then the hash, both in `order`, rows without
+ * a sort value last.
+ *
+ * PROOF_STORE selects the adapter: "sqlite" (default) or "memory".
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STORAGE_BACKENDS = ["sqlite", "memory"];
+const LEGACY_TENANT = "default";
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+/**
+ * Creates the configured storage adapter
+ *
+ * @param {Object} config - { backend, dbPath }
+ */
+function createStorageAdapter(config = {}) {
+  const backend = String(config.backend || "sqlite").trim().toLowerCase();
+
+  if (backend === "memory") {
+    const MemoryAdapter = require("./memoryAdapter");
+    return new MemoryAdapter();
+  }
+
+  if (backend === "sqlite") {
+    const SqliteAdapter = require("./sqliteAdapter");
+    return new SqliteAdapter(config.dbPath || path.join(DATA_DIR, "proofs.db"));
+  }
+
+  throw new Error(`Unknown proof store "${backend}" (expected one of: ${STORAGE_BACKENDS.join(", ")})`);
+}
+
+/**
+ * One-time import of the legacy data/proofs.json ({ byHash, byTx }) into an adapter.
+ * Recorded in meta so it never runs twice; the JSON file is left untouched.
+ * The JSON store predates tenants, so everything lands in the default tenant.
+ * A corrupt JSON file aborts the import instead of being treated as empty.
+ *
+ * @returns {Object} { migrated, hashes, txs }
+ */
+function migrateJsonStore(adapter, jsonPath = path.join(DATA_DIR, "proofs.json")) {
+  if (adapter.getMeta("json_migrated_at")) return { migrated: false, hashes: 0, txs: 0 };
+  if (!fs.existsSync(jsonPath)) {
+    adapter.setMeta("json_migrated_at", new Date().toISOString());
+    return { migrated: false, hashes: 0, txs: 0 };
+  }
+
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot migrate ${jsonPath}: ${error.message}`);
+  }
+
+  const hashRows = Object.values(legacy.byHash || {});
+  const txRows = Object.values(legacy.byTx || {});
+
+  adapter.transaction(() => {
+    for (const row of hashRows) {
+      // never overwrite something already written through the adapter
+      if (row?.hash && !adapter.getHashRow(LEGACY_TENANT, row.hash)) {
+        adapter.putHashRow({ ...row, tenantId: LEGACY_TENANT });
+      }
+    }
+    for (const row of txRows) {
+      if (row?.txSignature && !adapter.getTxRow(LEGACY_TENANT, row.txSignature)) {
+        adapter.putTxRow({ ...row, tenantId: LEGACY_TENANT });
+      }
+    }
+    adapter.setMeta("json_migrated_at", new Date().toISOString());
+    adapter.setMeta("json_migrated_from", jsonPath);
+  });
+
+  console.log(`📦 Migrated ${hashRows.length} proof(s) and ${txRows.length} tx row(s) from ${jsonPath}`);
+  return { migrated: true, hashes: hashRows.length, txs: txRows.length };
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorageAdapter,
+  migrateJsonStore,
+};
@@ -0,0 +1,173 @@
+/**
+ * In-memory proof storage adapter (PROOF_STORE=memory)
+ * Nothing is persisted - meant for tests and throwaway dev servers.
+ */
+
+const { proofFields } = require("./proofFields");
+
+function clone(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+function key(tenantId, id) {
+  return `${tenantId}\u0000${id}`;
+}
+
+function byLastSeenDesc(a, b) {
+  return new Date(b.lastSeenAt || 0).getTime() - new Date(a.lastSeenAt || 0).getTime();
+}
+
+function matchesFilters(row, tenantId, filters = {}) {
+  if (row.tenantId !== tenantId) return false;
+  const f = proofFields(row);
+  const day = f.date ? f.date.slice(0, 10) : null;
+  if (filters.merchant && !(f.merchant || "").includes(filters.merchant)) return false;
+  if (filters.merchantId && f.merchantId !== filters.merchantId) return false;
+  if (filters.currency && f.currency !== filters.currency) return false;
+  if (filters.currencyOrUnset && f.currency && f.currency !== filters.currencyOrUnset) return false;
+  if (filters.verdicts?.length && !filters.verdicts.includes(f.verdict)) return false;
+  if (filters.reviewStates?.length && !filters.reviewStates.includes(f.reviewState)) return false;
+  if (filters.receiptTypes?.length && !filters.receiptTypes.includes(f.receiptType)) return false;
+  if (filters.duplicatesOnly && f.seenCount <= 1) return false;
+  if (filters.minTotal != null && (f.total == null || f.total < filters.minTotal)) return false;
+  if (filters.maxTotal != null && (f.total == null || f.total > filters.maxTotal)) return false;
+  if (filters.from && (!day || day < filters.from)) return false;
+  if (filters.to && (!day || day > filters.to)) return false;
+  if (filters.notAfter && day && day > filters.notAfter) return false;
+  if (filters.q && !f.text.includes(filters.q)) return false;
+  return true;
+}
+
+// keyset order of the SQLite adapter: sort value then hash, both in `order`; missing values last
+function keysetCompare(order) {
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => {
+    if (a.v !== b.v) {
+      if (a.v == null) return 1;
+      if (b.v == null) return -1;
+      return (a.v < b.v ? -1 : 1) * direction;
+    }
+    return a.h === b.h ? 0 : (a.h < b.h ? -1 : 1) * direction;
+  };
+}
+
+class MemoryAdapter {
+  constructor() {
+    this.name = "memory";
+    this.byHash = new Map();
+    this.byTx = new Map();
+    this.merchants = new Map();
+    this.policies = new Map();
+    this.meta = new Map();
+  }
+
+  getHashRow(tenantId, hash) {
+    return clone(this.byHash.get(key(tenantId, hash)));
+  }
+
+  getTxRow(tenantId, txSignature) {
+    return clone(this.byTx.get(key(tenantId, txSignature)));
+  }
+
+  putHashRow(row) {
+    this.byHash.set(key(row.tenantId, row.hash), clone(row));
+  }
+
+  putTxRow(row) {
+    this.byTx.set(key(row.tenantId, row.txSignature), clone(row));
+  }
+
+  listHashRows(tenantId) {
+    return [...this.byHash.values()]
+      .filter((row) => tenantId == null || row.tenantId === tenantId)
+      .sort(byLastSeenDesc)
+      .map(clone);
+  }
+
+  findHashRowsAcrossTenants(hash) {
+    return [...this.byHash.values()].filter((row) => row.hash === hash).map(clone);
+  }
+
+  queryHashRows(tenantId, { filters = {}, sort = "lastSeenAt", order = "desc", after = null, limit = null } = {}) {
+    const compare = keysetCompare(order);
+    const keyed = [...this.byHash.values()]
+      .filter((row) => matchesFilters(row, tenantId, filters))
+      .map((row) => ({ v: proofFields(row)[sort], h: row.hash, row }))
+      .filter((k) => !after || compare(k, after) > 0)
+      .sort(compare);
+    return (limit == null ? keyed : keyed.slice(0, limit)).map((k) => clone(k.row));
+  }
+
+  countHashRows(tenantId, filters = null) {
+    return [...this.byHash.values()].filter((row) => matchesFilters(row, tenantId, filters || {})).length;
+  }
+
+  listImageHashes(tenantId) {
+    return [...this.byHash.values()]
+      .filter((row) => row.tenantId === tenantId && proofFields(row).imageHash)
+      .map((row) => ({ hash: row.hash, imageHash: proofFields(row).imageHash }));
+  }
+
+  getMerchantRow(tenantId, merchantId) {
+    return clone(this.merchants.get(key(tenantId, merchantId)));
+  }
+
+  putMerchantRow(row) {
+    this.merchants.set(key(row.tenantId, row.merchantId), clone(row));
+  }
+
+  deleteMerchantRow(tenantId, merchantId) {
+    return this.merchants.delete(key(tenantId, merchantId));
+  }
+
+  listMerchantRows(tenantId) {
+    return [...this.merchants.values()]
+      .filter((row) => row.tenantId === tenantId)
+      .sort((a, b) => (a.merchantId < b.merchantId ? -1 : a.merchantId > b.merchantId ? 1 : 0))
+      .map(clone);
+  }
+
+  getPolicyRow(tenantId) {
+    return clone(this.policies.get(tenantId));
+  }
+
+  putPolicyRow(row) {
+    this.policies.set(row.tenantId, clone(row));
+  }
+
+  deletePolicyRow(tenantId) {
+    return this.policies.delete(tenantId);
+  }
+
+  getMeta(metaKey) {
+    return this.meta.has(metaKey) ? this.meta.get(metaKey) : null;
+  }
+
+  setMeta(metaKey, value) {
+    this.meta.set(metaKey, String(value));
+  }
+
+  /**
+   * Runs fn atomically. Everything here is synchronous, so nothing can interleave;
+   * on error the maps are rolled back to their state before fn.
+   */
+  transaction(fn) {
+    const snapshot = [
+      new Map(this.byHash),
+      new Map(this.byTx),
+      new Map(this.merchants),
+      new Map(this.policies),
+      new Map(this.meta),
+    ];
+    try {
+      return fn();
+    } catch (error) {
+      [this.byHash, this.byTx, this.merchants, this.policies, this.meta] = snapshot;
+      throw error;
+    }
+  }
+
+  close() {}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,79 @@
+/**
+ * Searchable fields of a stored proof
+ *
+ * The adapters keep these next to each proof row (indexed columns in SQLite)
+ * so /proofs listings and the /analyze candidate lookups filter and sort
+ * without parsing every stored record.
+ */
+
+const { reviewOf } = require("../reviewWorkflow");
+const { foldMerchantName } = require("../../utils/merchantUtils");
+const { normalizeReceiptType, canonicalVersionOf } = require("../../utils/receiptUtils");
+const { isImageHash } = require("../../utils/imageHash");
+
+// query sort field -> proofFields key (also the cursor value)
+const PROOF_SORT_FIELDS = ["lastSeenAt", "createdAt", "date", "total", "reportingTotal", "merchant", "seenCount"];
+
+/**
+ * Top-level fields of a canonical text (v1 key=value lines or a v2 JSON document) as strings
+ */
+function parseCanonicalFields(text) {
+  if (canonicalVersionOf(text) === "v2") {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      return {};
+    }
+    const map = {};
+    for (const [k, v] of Object.entries(doc || {})) {
+      if (v != null && typeof v !== "object") map[k] = String(v);
+    }
+    // same key as the v1 type= line
+    if (map.receipt_type) map.type = map.receipt_type;
+    return map;
+  }
+
+  const map = {};
+  for (const line of String(text || "").split("\n")) {
+    const idx = line.indexOf("=");
+    if (idx <= 0) continue;
+    map[line.substring(0, idx).trim()] = line.substring(idx + 1).trim();
+  }
+  return map;
+}
+
+/**
+ * Searchable view of a proof row: analysisSummary wins, canonical text fills the gaps
+ * (proofs certified through plain /certify often have an empty summary).
+ * Missing text values are null, so they sort last.
+ */
+function proofFields(row) {
+  const summary = row.analysisSummary || {};
+  const canonical = parseCanonicalFields(row.canonicalText);
+  const total = Number.parseFloat(summary.total ?? canonical.total);
+  const reportingTotal = Number.parseFloat(row.reporting?.total);
+
+  return {
+    merchant: foldMerchantName(summary.merchant || canonical.merchant) || null,
+    merchantId: row.merchantId || summary.merchant_id || null,
+    date: String(summary.date || canonical.date || "").trim() || null,
+    currency: String(summary.currency || canonical.currency || "").trim().toUpperCase() || null,
+    total: Number.isFinite(total) ? total : null,
+    reportingTotal: Number.isFinite(reportingTotal) ? reportingTotal : null,
+    verdict: summary.verdict ? String(summary.verdict).toUpperCase() : null,
+    receiptType: normalizeReceiptType(summary.receipt_type || canonical.type),
+    reviewState: reviewOf(row).state,
+    createdAt: row.createdAt || null,
+    lastSeenAt: row.lastSeenAt || null,
+    seenCount: row.seenCount || 1,
+    imageHash: isImageHash(row.imageHash) ? row.imageHash.toLowerCase() : null,
+    text: `${row.canonicalText || ""}\n${summary.merchant || ""}`.toLowerCase(),
+  };
+}
+
+module.exports = {
+  PROOF_SORT_FIELDS,
+  parseCanonicalFields,
+  proofFields,
+};
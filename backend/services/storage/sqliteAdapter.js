@@ -0,0 +1,408 @@
+/**
+ * SQLite proof storage adapter (PROOF_STORE=sqlite, the default)
+ *
+ * Rows are kept as JSON documents next to indexed lookup columns, so new
+ * proof fields don't need a schema change. WAL mode + transactions mean a
+ * crash mid-write leaves the previous committed state intact.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { proofFields } = require("./proofFields");
+
+const DEFAULT_TENANT = "default";
+
+// proofFields() kept as columns so /proofs and the /analyze lookups never parse every record
+const FIELD_COLUMNS = {
+  merchant: ["merchant", "TEXT"],
+  merchantId: ["merchant_id", "TEXT"],
+  date: ["receipt_date", "TEXT"],
+  currency: ["currency", "TEXT"],
+  total: ["total", "REAL"],
+  reportingTotal: ["reporting_total", "REAL"],
+  verdict: ["verdict", "TEXT"],
+  receiptType: ["receipt_type", "TEXT"],
+  reviewState: ["review_state", "TEXT"],
+  createdAt: ["created_at", "TEXT"],
+  seenCount: ["seen_count", "INTEGER"],
+  imageHash: ["image_hash", "TEXT"],
+  text: ["search_text", "TEXT"],
+};
+
+const SORT_COLUMNS = {
+  lastSeenAt: "last_seen_at",
+  createdAt: "created_at",
+  date: "receipt_date",
+  total: "total",
+  reportingTotal: "reporting_total",
+  merchant: "merchant",
+  seenCount: "seen_count",
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS proofs (
+    tenant_id TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    tx_signature TEXT NOT NULL,
+    last_seen_at TEXT,
+    ${Object.values(FIELD_COLUMNS).map(([column, type]) => `${column} ${type},`).join("\n    ")}
+    record TEXT NOT NULL,
+    PRIMARY KEY (tenant_id, hash)
+  );
+
+  CREATE TABLE IF NOT EXISTS proof_txs (
+    tenant_id TEXT NOT NULL,
+    tx_signature TEXT NOT NULL,
+    hash TEXT,
+    record TEXT NOT NULL,
+    PRIMARY KEY (tenant_id, tx_signature)
+  );
+  CREATE INDEX IF NOT EXISTS idx_proof_txs_hash ON proof_txs (hash);
+
+  CREATE TABLE IF NOT EXISTS merchants (
+    tenant_id TEXT NOT NULL,
+    merchant_id TEXT NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (tenant_id, merchant_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS expense_policies (
+    tenant_id TEXT PRIMARY KEY,
+    record TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+// created once the field columns exist (older databases get them added first)
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_proofs_hash ON proofs (hash);
+  CREATE INDEX IF NOT EXISTS idx_proofs_tx_signature ON proofs (tx_signature);
+  DROP INDEX IF EXISTS idx_proofs_tenant_last_seen;
+  ${Object.values(SORT_COLUMNS)
+    .map((column) => `CREATE INDEX IF NOT EXISTS idx_proofs_sort_${column} ON proofs (tenant_id, ${column}, hash);`)
+    .join("\n  ")}
+  CREATE INDEX IF NOT EXISTS idx_proofs_candidates ON proofs (tenant_id, receipt_type, currency, receipt_date);
+  CREATE INDEX IF NOT EXISTS idx_proofs_merchant_id ON proofs (tenant_id, merchant_id);
+  CREATE INDEX IF NOT EXISTS idx_proofs_image_hash ON proofs (tenant_id, image_hash) WHERE image_hash IS NOT NULL;
+`;
+
+// Single-tenant tables (before tenant_id existed) are rebuilt under the default tenant
+const UPGRADE_TO_TENANTS = `
+  ALTER TABLE proofs RENAME TO proofs_v1;
+  ALTER TABLE proof_txs RENAME TO proof_txs_v1;
+  DROP INDEX IF EXISTS idx_proofs_tx_signature;
+  DROP INDEX IF EXISTS idx_proofs_last_seen_at;
+  DROP INDEX IF EXISTS idx_proof_txs_hash;
+  ${SCHEMA}
+  INSERT INTO proofs (tenant_id, hash, tx_signature, last_seen_at, record)
+    SELECT '${DEFAULT_TENANT}', hash, tx_signature, last_seen_at, json_set(record, '$.tenantId', '${DEFAULT_TENANT}')
+    FROM proofs_v1;
+  INSERT INTO proof_txs (tenant_id, tx_signature, hash, record)
+    SELECT '${DEFAULT_TENANT}', tx_signature, hash, json_set(record, '$.tenantId', '${DEFAULT_TENANT}')
+    FROM proof_txs_v1;
+  DROP TABLE proofs_v1;
+  DROP TABLE proof_txs_v1;
+`;
+
+class SqliteAdapter {
+  constructor(dbPath) {
+    if (!dbPath) throw new Error("SQLite database path is required");
+
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    this.name = "sqlite";
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("busy_timeout = 5000");
+    this._migrateSchema();
+    this.queryCache = new Map();
+
+    const fieldColumns = Object.values(FIELD_COLUMNS).map(([column]) => column);
+    const fieldParams = Object.keys(FIELD_COLUMNS).map((field) => `@${field}`);
+    this.stmts = {
+      getHash: this.db.prepare("SELECT record FROM proofs WHERE tenant_id = ? AND hash = ?"),
+      getTx: this.db.prepare("SELECT record FROM proof_txs WHERE tenant_id = ? AND tx_signature = ?"),
+      putHash: this.db.prepare(
+        `INSERT INTO proofs (tenant_id, hash, tx_signature, last_seen_at, ${fieldColumns.join(", ")}, record)
+         VALUES (@tenantId, @hash, @txSignature, @lastSeenAt, ${fieldParams.join(", ")}, @record)
+         ON CONFLICT (tenant_id, hash) DO UPDATE SET
+           tx_signature = excluded.tx_signature,
+           last_seen_at = excluded.last_seen_at,
+           ${fieldColumns.map((column) => `${column} = excluded.${column}`).join(",\n           ")},
+           record = excluded.record`
+      ),
+      putTx: this.db.prepare(
+        `INSERT INTO proof_txs (tenant_id, tx_signature, hash, record)
+         VALUES (@tenantId, @txSignature, @hash, @record)
+         ON CONFLICT (tenant_id, tx_signature) DO UPDATE SET
+           hash = excluded.hash,
+           record = excluded.record`
+      ),
+      listHash: this.db.prepare("SELECT record FROM proofs WHERE tenant_id = ? ORDER BY last_seen_at DESC"),
+      listAllHash: this.db.prepare("SELECT record FROM proofs ORDER BY last_seen_at DESC"),
+      findHash: this.db.prepare("SELECT record FROM proofs WHERE hash = ?"),
+      countHash: this.db.prepare("SELECT COUNT(*) AS n FROM proofs WHERE tenant_id = ?"),
+      imageHashes: this.db.prepare(
+        "SELECT hash, image_hash FROM proofs WHERE tenant_id = ? AND image_hash IS NOT NULL"
+      ),
+      getMerchant: this.db.prepare("SELECT record FROM merchants WHERE tenant_id = ? AND merchant_id = ?"),
+      putMerchant: this.db.prepare(
+        `INSERT INTO merchants (tenant_id, merchant_id, record)
+         VALUES (@tenantId, @merchantId, @record)
+         ON CONFLICT (tenant_id, merchant_id) DO UPDATE SET record = excluded.record`
+      ),
+      deleteMerchant: this.db.prepare("DELETE FROM merchants WHERE tenant_id = ? AND merchant_id = ?"),
+      listMerchants: this.db.prepare("SELECT record FROM merchants WHERE tenant_id = ? ORDER BY merchant_id"),
+      getPolicy: this.db.prepare("SELECT record FROM expense_policies WHERE tenant_id = ?"),
+      putPolicy: this.db.prepare(
+        `INSERT INTO expense_policies (tenant_id, record) VALUES (@tenantId, @record)
+         ON CONFLICT (tenant_id) DO UPDATE SET record = excluded.record`
+      ),
+      deletePolicy: this.db.prepare("DELETE FROM expense_policies WHERE tenant_id = ?"),
+      getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+      setMeta: this.db.prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+      ),
+    };
+  }
+
+  _migrateSchema() {
+    const proofsTable = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'proofs'").get();
+    const hasTenantColumn =
+      proofsTable && this.db.pragma("table_info(proofs)").some((col) => col.name === "tenant_id");
+
+    let backfill = false;
+    if (proofsTable && !hasTenantColumn) {
+      this.db.transaction(() => this.db.exec(UPGRADE_TO_TENANTS))();
+      console.log(`📦 Upgraded ${this.dbPath} to tenant-scoped proofs (existing rows -> "${DEFAULT_TENANT}")`);
+      backfill = true;
+    } else {
+      this.db.exec(SCHEMA);
+    }
+
+    // proofs tables from before the field columns: add them and fill them from the stored records
+    const existing = new Set(this.db.pragma("table_info(proofs)").map((col) => col.name));
+    const missing = Object.values(FIELD_COLUMNS).filter(([column]) => !existing.has(column));
+    if (missing.length || backfill) {
+      this.db.transaction(() => {
+        for (const [column, type] of missing) this.db.exec(`ALTER TABLE proofs ADD COLUMN ${column} ${type}`);
+        const update = this.db.prepare(
+          `UPDATE proofs SET ${this._fieldAssignments()} WHERE tenant_id = @tenantId AND hash = @hash`
+        );
+        const rows = this.db.prepare("SELECT record FROM proofs").all();
+        for (const { record } of rows) update.run(this._columnValues(JSON.parse(record)));
+        if (rows.length) console.log(`📦 Indexed search fields of ${rows.length} stored proof(s) in ${this.dbPath}`);
+      })();
+    }
+
+    this.db.exec(INDEXES);
+  }
+
+  _fieldAssignments() {
+    return Object.entries(FIELD_COLUMNS)
+      .map(([field, [column]]) => `${column} = @${field}`)
+      .join(", ");
+  }
+
+  // named parameters for putHash / the backfill: row keys plus its proofFields columns
+  _columnValues(row) {
+    const fields = proofFields(row);
+    const values = {
+      tenantId: row.tenantId,
+      hash: row.hash,
+      txSignature: row.txSignature,
+      lastSeenAt: row.lastSeenAt || null,
+      record: JSON.stringify(row),
+    };
+    for (const field of Object.keys(FIELD_COLUMNS)) values[field] = fields[field];
+    return values;
+  }
+
+  _prepareCached(sql) {
+    if (!this.queryCache.has(sql)) this.queryCache.set(sql, this.db.prepare(sql));
+    return this.queryCache.get(sql);
+  }
+
+  /**
+   * WHERE clause + named parameters for a proof filter (see storage/index.js)
+   */
+  _filterSql(tenantId, filters = {}) {
+    const clauses = ["tenant_id = @tenantId"];
+    const params = { tenantId };
+    const add = (clause, values = {}) => {
+      clauses.push(clause);
+      Object.assign(params, values);
+    };
+    const addIn = (column, name, values) => {
+      const names = values.map((_, i) => `${name}${i}`);
+      add(`${column} IN (${names.map((n) => `@${n}`).join(", ")})`);
+      values.forEach((value, i) => (params[names[i]] = value));
+    };
+
+    if (filters.merchant) add("instr(merchant, @merchant) > 0", { merchant: filters.merchant });
+    if (filters.merchantId) add("merchant_id = @merchantId", { merchantId: filters.merchantId });
+    if (filters.currency) add("currency = @currency", { currency: filters.currency });
+    if (filters.currencyOrUnset) {
+      add("(currency = @currencyOrUnset OR currency IS NULL)", { currencyOrUnset: filters.currencyOrUnset });
+    }
+    if (filters.verdicts?.length) addIn("verdict", "verdict", filters.verdicts);
+    if (filters.reviewStates?.length) addIn("review_state", "reviewState", filters.reviewStates);
+    if (filters.receiptTypes?.length) addIn("receipt_type", "receiptType", filters.receiptTypes);
+    if (filters.duplicatesOnly) add("seen_count > 1");
+    if (filters.minTotal != null) add("total >= @minTotal", { minTotal: filters.minTotal });
+    if (filters.maxTotal != null) add("total <= @maxTotal", { maxTotal: filters.maxTotal });
+    // receipt dates are "YYYY-MM-DD[ HH:mm]": the full text is >= from exactly when its date part is
+    if (filters.from) add("receipt_date >= @from", { from: filters.from });
+    if (filters.to) add("substr(receipt_date, 1, 10) <= @to", { to: filters.to });
+    if (filters.notAfter) {
+      add("(receipt_date IS NULL OR substr(receipt_date, 1, 10) <= @notAfter)", { notAfter: filters.notAfter });
+    }
+    if (filters.q) add("instr(search_text, @q) > 0", { q: filters.q });
+
+    return { where: clauses.join(" AND "), params };
+  }
+
+  getHashRow(tenantId, hash) {
+    const row = this.stmts.getHash.get(tenantId, hash);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  getTxRow(tenantId, txSignature) {
+    const row = this.stmts.getTx.get(tenantId, txSignature);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  putHashRow(row) {
+    this.stmts.putHash.run(this._columnValues(row));
+  }
+
+  putTxRow(row) {
+    this.stmts.putTx.run({
+      tenantId: row.tenantId,
+      txSignature: row.txSignature,
+      // batched tx rows cover many hashes and have no single hash
+      hash: row.hash || null,
+      record: JSON.stringify(row),
+    });
+  }
+
+  /**
+   * @param {string|null} tenantId - null lists every tenant
+   */
+  listHashRows(tenantId) {
+    const rows = tenantId == null ? this.stmts.listAllHash.all() : this.stmts.listHash.all(tenantId);
+    return rows.map((row) => JSON.parse(row.record));
+  }
+
+  findHashRowsAcrossTenants(hash) {
+    return this.stmts.findHash.all(hash).map((row) => JSON.parse(row.record));
+  }
+
+  /**
+   * One page of a tenant's proofs in keyset order. Rows with a value are read
+   * through the (tenant_id, column, hash) index first, then the ones without.
+   */
+  queryHashRows(tenantId, { filters = {}, sort = "lastSeenAt", order = "desc", after = null, limit = null } = {}) {
+    const column = SORT_COLUMNS[sort];
+    if (!column) throw new Error(`Unknown sort field "${sort}"`);
+    const dir = order === "asc" ? "ASC" : "DESC";
+    const op = order === "asc" ? ">" : "<";
+    const { where, params } = this._filterSql(tenantId, filters);
+    const limitSql = limit == null ? "" : " LIMIT @limit";
+    const rows = [];
+
+    if (!after || after.v != null) {
+      const keyset = after ? ` AND (${column}, hash) ${op} (@afterValue, @afterHash)` : "";
+      const sql = `SELECT record FROM proofs WHERE ${where} AND ${column} IS NOT NULL${keyset}
+        ORDER BY ${column} ${dir}, hash ${dir}${limitSql}`;
+      const values = { ...params, ...(after ? { afterValue: after.v, afterHash: after.h } : {}) };
+      if (limit != null) values.limit = limit;
+      rows.push(...this._prepareCached(sql).all(values));
+    }
+
+    if (limit == null || rows.length < limit) {
+      const keyset = after && after.v == null ? ` AND hash ${op} @afterHash` : "";
+      const sql = `SELECT record FROM proofs WHERE ${where} AND ${column} IS NULL${keyset}
+        ORDER BY hash ${dir}${limitSql}`;
+      const values = { ...params, ...(keyset ? { afterHash: after.h } : {}) };
+      if (limit != null) values.limit = limit - rows.length;
+      rows.push(...this._prepareCached(sql).all(values));
+    }
+
+    return rows.map((row) => JSON.parse(row.record));
+  }
+
+  /**
+   * @param {Object|null} filters - null counts every proof of the tenant
+   */
+  countHashRows(tenantId, filters = null) {
+    if (!filters) return this.stmts.countHash.get(tenantId).n;
+    const { where, params } = this._filterSql(tenantId, filters);
+    return this._prepareCached(`SELECT COUNT(*) AS n FROM proofs WHERE ${where}`).get(params).n;
+  }
+
+  listImageHashes(tenantId) {
+    return this.stmts.imageHashes.all(tenantId).map((row) => ({ hash: row.hash, imageHash: row.image_hash }));
+  }
+
+  getMerchantRow(tenantId, merchantId) {
+    const row = this.stmts.getMerchant.get(tenantId, merchantId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  putMerchantRow(row) {
+    this.stmts.putMerchant.run({ tenantId: row.tenantId, merchantId: row.merchantId, record: JSON.stringify(row) });
+  }
+
+  deleteMerchantRow(tenantId, merchantId) {
+    return this.stmts.deleteMerchant.run(tenantId, merchantId).changes > 0;
+  }
+
+  listMerchantRows(tenantId) {
+    return this.stmts.listMerchants.all(tenantId).map((row) => JSON.parse(row.record));
+  }
+
+  getPolicyRow(tenantId) {
+    const row = this.stmts.getPolicy.get(tenantId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  putPolicyRow(row) {
+    this.stmts.putPolicy.run({ tenantId: row.tenantId, record: JSON.stringify(row) });
+  }
+
+  deletePolicyRow(tenantId) {
+    return this.stmts.deletePolicy.run(tenantId).changes > 0;
+  }
+
+  getMeta(key) {
+    const row = this.stmts.getMeta.get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.stmts.setMeta.run(key, String(value));
+  }
+
+  /**
+   * Runs fn inside BEGIN IMMEDIATE ... COMMIT (rolled back if fn throws).
+   * IMMEDIATE takes the write lock up front, so read-modify-write in fn
+   * can't race another process writing the same database.
+   */
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteAdapter;
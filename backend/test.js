@@ -1,15 +1,46 @@
 /**
  * Vericeipt Backend Test Script
  * 
- * This script tests all API endpoints to ensure everything works correctly
+ * This script tests all API endpoints to ensure everything works correctly,
+ * after checking the core modules directly (MODULE_TESTS, no server needed)
  * Run with: node src/test.js
  */
 
-const axios = require('axios').default || require('axios');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
 
+// Minimal JSON client on Node's built-in fetch; non-2xx responses throw with
+// error.response = { status, data }
+async function request(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // not JSON, keep the raw text
+  }
+  if (!response.ok) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+  return { status: response.status, data };
+}
+
+const api = {
+  get: (url) => request('GET', url),
+  post: (url, body) => request('POST', url, body)
+};
+
 // Test data
 const testReceipt = {
   merchant: 'Campus Mart',
@@ -29,6 +60,30 @@ const fraudulentReceipt = {
   total: 200.00 // Math doesn't add up
 };
 
+const itemsReceipt = {
+  merchant: 'Café Rouge',
+  date: '2026-02-07 12:05',
+  currency: 'CAD',
+  subtotal: 9.00,
+  tax: 1.17,
+  total: 10.17,
+  items: [
+    { name: 'Latte', price: 4.50, quantity: 1 },
+    { name: 'Croissant', price: 2.25, quantity: 2 }
+  ]
+};
+
+// itemsReceipt as the first release wrote it (kv1), and its hashes
+const KV1_ITEMS_TEXT = 'merchant=Café Rouge\ndate=2026-02-07 12:05\ncurrency=CAD\nsubtotal=9.00\ntax=1.17\ntotal=10.17\nitems=Croissant:2.25:2|Latte:4.50:1';
+const KV1_ITEMS_HASH = 'fa59c85d9f3a86a13141339d1d9442c3592fcac4e84e7a37690e7c3f852018a4';
+// what /certify anchored for KV1_ITEMS_TEXT from the start: merchant lowercased, items= untouched
+const KV1_ITEMS_CHAIN_HASH = '3f9aef5d4106a85b9e537b861985beebdff82c46b5d2427535e2834ea5e6f23d';
+
+// kv2 text of itemsReceipt, pinned so canonicalization changes can't slip through
+const KV2_ITEMS_HASH = '805dc5d58068b99cd8138899fa3b0fa15e4cd79ff3e708c756759d318d01ffaa';
+// v2 canonical JSON of itemsReceipt (merchant folded)
+const V2_ITEMS_HASH = '246014d3330b9c3b9d04191c38fb76b350c6f6fa22ff18ccbcbf3621acc8084b';
+
 // Helper function to create canonical text
 function createCanonicalText(receipt) {
   const formatNumber = (num) => parseFloat(num).toFixed(2);
@@ -69,7 +124,7 @@ async function testHealthCheck() {
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
   
   try {
-    const response = await axios.get(`${BASE_URL}/health`);
+    const response = await api.get(`${BASE_URL}/health`);
     log('✅ Health check passed', 'green');
     console.log('Response:', JSON.stringify(response.data, null, 2));
     return true;
@@ -86,7 +141,7 @@ async function testAnalyzeLegitReceipt() {
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
   
   try {
-    const response = await axios.post(`${BASE_URL}/analyze`, testReceipt);
+    const response = await api.post(`${BASE_URL}/analyze`, testReceipt);
     
     if (response.data.success && response.data.verdict === 'LIKELY_REAL') {
       log('✅ Legitimate receipt analyzed correctly', 'green');
@@ -113,7 +168,7 @@ async function testAnalyzeFraudulentReceipt() {
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
   
   try {
-    const response = await axios.post(`${BASE_URL}/analyze`, fraudulentReceipt);
+    const response = await api.post(`${BASE_URL}/analyze`, fraudulentReceipt);
     
     if (response.data.success && response.data.fraud_score > 50) {
       log('✅ Fraudulent receipt detected correctly', 'green');
@@ -141,7 +196,7 @@ async function testCertifyReceipt(analysisResult) {
   try {
     const canonicalText = analysisResult.canonicalText;
     
-    const response = await axios.post(`${BASE_URL}/certify`, {
+    const response = await api.post(`${BASE_URL}/certify`, {
       canonicalText
     });
     
@@ -169,7 +224,7 @@ async function testVerifyReceipt(certificationResult, analysisResult) {
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
   
   try {
-    const response = await axios.post(`${BASE_URL}/verify`, {
+    const response = await api.post(`${BASE_URL}/verify`, {
       canonicalText: analysisResult.canonicalText,
       txSignature: certificationResult.txSignature
     });
@@ -200,7 +255,7 @@ async function testVerifyAlteredReceipt(certificationResult) {
     const alteredReceipt = { ...testReceipt, total: 999.99 };
     const alteredCanonical = createCanonicalText(alteredReceipt);
     
-    const response = await axios.post(`${BASE_URL}/verify`, {
+    const response = await api.post(`${BASE_URL}/verify`, {
       canonicalText: alteredCanonical,
       txSignature: certificationResult.txSignature
     });
@@ -227,7 +282,7 @@ async function testAnalyzeAndCertify() {
   log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
   
   try {
-    const response = await axios.post(`${BASE_URL}/analyze-and-certify`, {
+    const response = await api.post(`${BASE_URL}/analyze-and-certify`, {
       ...testReceipt,
       autoCertify: true
     });
@@ -252,6 +307,1063 @@ async function testAnalyzeAndCertify() {
   }
 }
 
+async function testCertifyBaselineKv1Receipt() {
+  log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
+  log('TEST 8: Certify Baseline kv1 Receipt With Items', 'cyan');
+  log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
+
+  try {
+    const response = await api.post(`${BASE_URL}/certify`, { canonicalText: KV1_ITEMS_TEXT });
+
+    if (response.data.success && response.data.chainHash === KV1_ITEMS_CHAIN_HASH) {
+      log('✅ kv1 text with items certified under its original hash', 'green');
+      log(`   Hash: ${response.data.chainHash.substring(0, 32)}...`, 'green');
+      return true;
+    } else {
+      log('⚠️  kv1 text was re-normalized before hashing', 'red');
+      console.log('Response:', JSON.stringify(response.data, null, 2));
+      return false;
+    }
+  } catch (error) {
+    log('❌ Certification failed', 'red');
+    console.error('Error:', error.response?.data || error.message);
+    return false;
+  }
+}
+
+// Module tests (no server needed): each returns a summary line or throws
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function expectEqual(actual, expected, label) {
+  expect(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+  );
+}
+
+async function runModuleTest(number, title, fn) {
+  log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
+  log(`MODULE TEST ${number}: ${title}`, 'cyan');
+  log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', 'cyan');
+
+  try {
+    log(`✅ ${await fn()}`, 'green');
+    return true;
+  } catch (error) {
+    log(`❌ ${title} failed`, 'red');
+    console.error('Error:', error.message);
+    return false;
+  }
+}
+
+async function testMerkleInclusion() {
+  const { buildMerkleTree, getInclusionPath, verifyInclusionProof } = require('./utils/merkle');
+  const hashes = ['a', 'b', 'c', 'd', 'e'].map((s) => computeHash(`receipt-${s}`));
+  const { root, levels } = buildMerkleTree(hashes);
+
+  hashes.forEach((hash, i) => {
+    const proof = { root, path: getInclusionPath(levels, i) };
+    expect(verifyInclusionProof(hash, proof, root), `leaf ${i} does not verify`);
+  });
+
+  const path = getInclusionPath(levels, 1);
+  expect(!verifyInclusionProof(hashes[0], { root, path }, root), 'a hash verified with another leaf\'s path');
+  expect(!verifyInclusionProof(computeHash('not in batch'), { root, path }, root), 'a foreign hash verified');
+  expect(!verifyInclusionProof(hashes[1], { root, path }, computeHash('other root')), 'verified against another root');
+  // inner nodes are domain-separated from leaves
+  expect(
+    !verifyInclusionProof(levels[1][0], { root, path: getInclusionPath(levels, 0).slice(1) }, root),
+    'an inner node passed as a receipt hash'
+  );
+
+  expectEqual(buildMerkleTree([hashes[0]]).levels.length, 1, 'single-leaf tree depth');
+  return `${hashes.length} leaves verify under root ${root.substring(0, 16)}..., tampered paths are rejected`;
+}
+
+async function testLocalLedger() {
+  const LocalLedgerService = require('./services/localLedgerService');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-ledger-'));
+  const ledgerPath = path.join(dir, 'ledger.json');
+
+  try {
+    const ledger = new LocalLedgerService(ledgerPath);
+    const hashes = ['a', 'b', 'c'].map((s) => computeHash(`receipt-${s}`));
+    const certified = [];
+    for (const hash of hashes) certified.push(await ledger.certifyHash(hash));
+
+    expect(certified.every((c) => c.txSignature.length >= 64), 'entry IDs are not signature-shaped');
+    expectEqual((await ledger.verifyHash(certified[1].txSignature, hashes[1])).verified, true, 'untouched entry');
+    expectEqual((await ledger.verifyHash(certified[1].txSignature, hashes[0])).verified, false, 'another receipt\'s hash');
+    expectEqual((await ledger.healthCheck()).chainValid, true, 'untouched chain');
+
+    // rewrite the first memo: that entry and every one after it stop verifying
+    const stored = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+    stored.entries[0].memo = stored.entries[0].memo.replace(hashes[0], computeHash('forged'));
+    fs.writeFileSync(ledgerPath, JSON.stringify(stored));
+
+    const tampered = await ledger.verifyHash(certified[2].txSignature, hashes[2]);
+    expectEqual([tampered.verified, tampered.error], [false, 'LEDGER_TAMPERED'], 'entry after the edit');
+    expectEqual((await ledger.healthCheck()).brokenAt, 0, 'break reported at the edited entry');
+    expectEqual((await ledger.getTransactionDetails(certified[1].txSignature)).success, false, 'tx details after the edit');
+    return `${hashes.length} entries chain and verify; editing the first one breaks the chain from there on`;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testLocalProvider() {
+  const LocalProvider = require('./services/providers/localProvider');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-fixtures-'));
+  const provider = new LocalProvider(dir);
+  const codes = (result) => result.findings.map((f) => f.code);
+
+  try {
+    const legit = await provider.analyzeManualData(testReceipt);
+    expectEqual(legit.verdict, 'LIKELY_REAL', 'legitimate receipt verdict');
+    expectEqual(await provider.analyzeManualData(testReceipt), legit, 'second run of the same receipt');
+
+    const fake = await provider.analyzeManualData(fraudulentReceipt);
+    expectEqual(fake.verdict, 'LIKELY_FAKE', 'fraudulent receipt verdict');
+    expect(codes(fake).includes('MATH_MISMATCH') && codes(fake).includes('FUTURE_DATE'), `fraud reasons: ${codes(fake)}`);
+
+    // whole yen are every receipt, whole dollars are not
+    const yen = { merchant: 'Kissa', date: '2026-02-07', currency: 'JPY', subtotal: 1200, tax: 120, total: 1320 };
+    expect(!codes(await provider.analyzeManualData(yen)).includes('ROUNDED_AMOUNTS'), 'JPY flagged as rounded');
+    expect(
+      codes(await provider.analyzeManualData({ ...yen, currency: 'CAD' })).includes('ROUNDED_AMOUNTS'),
+      'whole CAD amounts not flagged'
+    );
+
+    // the verdict lines come from the scoring model passed in
+    const strict = await provider.analyzeManualData(testReceipt, { scoring: { thresholds: { likelyFake: 100, suspicious: 1 } } });
+    expectEqual(strict.verdict, 'SUSPICIOUS', 'verdict under stricter thresholds');
+
+    // images: a recorded extraction by the SHA-256 of the file bytes, UNREADABLE without one
+    const image = Buffer.from('receipt photo bytes');
+    const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+    fs.writeFileSync(path.join(dir, `${sha256}.json`), JSON.stringify({ ...testReceipt, verdict: 'LIKELY_REAL', fraud_score: 10 }));
+    const fromFixture = await provider.analyzeImage(image.toString('base64'));
+    expectEqual([fromFixture.merchant, fromFixture.total, fromFixture.verdict], ['Campus Mart', 14.11, 'LIKELY_REAL'], 'fixture extraction');
+    expectEqual((await provider.analyzeImage(Buffer.from('other photo').toString('base64'))).verdict, 'UNREADABLE', 'no fixture');
+    return 'Manual data scores the same every run; images resolve to their recorded fixture';
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testProofPagination() {
+  const ProofStore = require('./services/proofStore');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-proofs-'));
+  const receipts = [
+    ['Campus Mart', '2026-02-01', 'CAD', 14.11, 'LIKELY_REAL'],
+    ['Café Rouge', '2026-02-02', 'CAD', 10.17, 'LIKELY_REAL'],
+    ['Kissa', '2026-02-03', 'JPY', 1320, 'LIKELY_REAL'],
+    ['Suspicious Store', '2026-02-04', 'CAD', 200, 'LIKELY_FAKE'],
+    ['Campus Mart', '2026-02-05', 'CAD', 3.5, 'SUSPICIOUS'],
+    ['Bistro Nord', '2026-02-06', 'USD', 42, 'LIKELY_REAL'],
+    ['Campus Mart', '2026-02-07', 'CAD', 14.11, 'LIKELY_REAL']
+  ].map(([merchant, date, currency, total, verdict]) => ({ merchant, date, currency, subtotal: total, tax: 0, total, verdict }));
+
+  try {
+    for (const config of [{ backend: 'memory' }, { backend: 'sqlite', dbPath: path.join(dir, 'proofs.db'), jsonPath: path.join(dir, 'none.json') }]) {
+      ProofStore.initProofStore(config);
+      const hashes = receipts.map((receipt, i) => {
+        const canonicalText = createCanonicalText(receipt);
+        const hash = computeHash(canonicalText);
+        ProofStore.upsertProof({ tenantId: 'pager', hash, txSignature: `tx-${i}`, canonicalText, analysisSummary: receipt });
+        return hash;
+      });
+      // certified twice
+      ProofStore.upsertProof({ tenantId: 'pager', hash: hashes[2], txSignature: 'tx-2', canonicalText: createCanonicalText(receipts[2]), analysisSummary: receipts[2] });
+
+      // walk every page: each proof once, in total order
+      const seen = [];
+      let page = { nextCursor: null };
+      do {
+        page = ProofStore.queryProofs('pager', { sort: 'total', order: 'asc', limit: 3, cursor: page.nextCursor || undefined });
+        expectEqual([page.total, page.totalAll], [7, 7], `${config.backend} counts`);
+        seen.push(...page.proofs.map((proof) => proof.analysisSummary.total));
+      } while (page.hasMore);
+      expectEqual(seen, [3.5, 10.17, 14.11, 14.11, 42, 200, 1320], `${config.backend} pages in total order`);
+
+      const totals = (query) => ProofStore.queryProofs('pager', { sort: 'date', order: 'asc', ...query }).proofs.map((p) => p.analysisSummary.total);
+      expectEqual(totals({ merchant: 'campus', from: '2026-02-02' }), [3.5, 14.11], `${config.backend} merchant and date filter`);
+      expectEqual(totals({ currency: 'cad', minTotal: 10, maxTotal: 100 }), [14.11, 10.17, 14.11], `${config.backend} currency and total range`);
+      expectEqual(totals({ verdicts: ['likely_fake', 'suspicious'] }), [200, 3.5], `${config.backend} verdicts`);
+      expectEqual(totals({ duplicatesOnly: true }), [1320], `${config.backend} duplicates only`);
+      expectEqual(totals({ q: 'café' }), [10.17], `${config.backend} search`);
+      expectEqual(ProofStore.queryProofs('other').totalAll, 0, `${config.backend} other tenant`);
+
+      for (const query of [{ sort: 'hash' }, { order: 'up' }, { minTotal: 'ten' }, { cursor: 'not-a-cursor' }]) {
+        try {
+          ProofStore.queryProofs('pager', query);
+          throw new Error(`${config.backend} accepted ${JSON.stringify(query)}`);
+        } catch (error) {
+          expectEqual(error.status, 400, `${config.backend} ${JSON.stringify(query)}`);
+        }
+      }
+    }
+    return 'Memory and SQLite stores page, sort, filter and search the same way; bad queries are 400s';
+  } finally {
+    ProofStore.initProofStore({ backend: 'memory' });
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testTenantIsolation() {
+  const { loadApiKeys, createAuthMiddleware } = require('./middleware/auth');
+  const ProofStore = require('./services/proofStore');
+
+  // API keys resolve to their tenant; unknown or missing keys are refused
+  const authenticate = createAuthMiddleware(loadApiKeys({ apiKeys: 'key-acme:acme:admin,key-beta:beta' }));
+  const call = (headers) => {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = { status: (code) => ({ json: () => ({ status: code }) }) };
+    let outcome = null;
+    const sent = authenticate(req, res, () => { outcome = req.auth; });
+    return outcome || sent;
+  };
+  expectEqual(call({ 'x-api-key': 'key-acme' }).tenantId, 'acme', 'x-api-key tenant');
+  expectEqual(call({ authorization: 'Bearer key-beta' }).roles, [], 'bearer token roles');
+  expectEqual(call({ 'x-api-key': 'key-gamma' }).status, 401, 'unknown key');
+  expectEqual(call({}).status, 401, 'missing key');
+
+  ProofStore.initProofStore({ backend: 'memory' });
+  const canonicalText = createCanonicalText(testReceipt);
+  const hash = computeHash(canonicalText);
+  const analysisSummary = { merchant: testReceipt.merchant, total: testReceipt.total, verdict: 'LIKELY_REAL' };
+
+  ProofStore.upsertProof({ tenantId: 'acme', hash, txSignature: 'tx-acme', canonicalText, analysisSummary });
+  expect(ProofStore.getByHash('acme', hash), 'acme cannot read its own proof');
+  expectEqual(ProofStore.getByHash('beta', hash), null, 'beta reading acme\'s proof');
+  expectEqual(ProofStore.getByTx('beta', 'tx-acme'), null, 'beta reading acme\'s tx');
+  expectEqual(ProofStore.queryProofs('beta').total, 0, 'beta listing');
+
+  // the same receipt in another tenant is not a duplicate there
+  const second = ProofStore.upsertProof({ tenantId: 'beta', hash, txSignature: 'tx-beta', canonicalText, analysisSummary });
+  expectEqual(second.duplicate, false, 'beta duplicate flag');
+  expectEqual(ProofStore.getByHash('acme', hash).seenCount, 1, 'acme seenCount');
+  expectEqual(ProofStore.getCrossTenantDuplicates('beta', hash).tenants, ['acme'], 'fraud-team cross-tenant view');
+
+  ProofStore.updateReview('beta', hash, (review) => ({ ...review, state: 'under_review' }));
+  expectEqual(ProofStore.getReview('acme', hash).state, 'submitted', 'acme review after beta\'s change');
+  return 'Keys map to tenants; proofs, txs, listings and reviews stay inside their tenant';
+}
+
+async function testReviewTransitions() {
+  const { initialReview, buildTransition, applyTransition } = require('./services/reviewWorkflow');
+  const proofHash = computeHash(createCanonicalText(testReceipt));
+  const step = (review, to, at) =>
+    applyTransition(review, buildTransition(review, { proofHash, to, comment: `to ${to}`, reviewer: 'qa', at }));
+
+  let review = initialReview('2026-02-07T15:00:00.000Z');
+  review = step(review, 'under_review', '2026-02-07T15:01:00.000Z');
+  review = step(review, 'needs_info', '2026-02-07T15:02:00.000Z');
+  review = step(review, 'under_review', '2026-02-07T15:03:00.000Z');
+  review = step(review, 'approved', '2026-02-07T15:04:00.000Z');
+
+  expectEqual(review.state, 'approved', 'final state');
+  expectEqual(review.history.map((entry) => entry.to), ['under_review', 'needs_info', 'under_review', 'approved'], 'history');
+  expect(/^[0-9a-f]{64}$/.test(review.history[3].decisionHash), 'final decision has no decisionHash');
+  expect(!review.history[1].decisionHash, 'needs_info got a decisionHash');
+
+  const rejects = (fn, status, label) => {
+    try {
+      fn();
+    } catch (error) {
+      expectEqual(error.status, status, label);
+      return;
+    }
+    throw new Error(`${label}: no error`);
+  };
+  const submitted = initialReview('2026-02-07T15:00:00.000Z');
+  rejects(() => buildTransition(review, { proofHash, to: 'rejected', comment: 'again', at: 'x' }), 409, 'approved -> rejected');
+  rejects(() => buildTransition(submitted, { proofHash, to: 'approved', comment: 'skip', at: 'x' }), 409, 'submitted -> approved');
+  rejects(() => buildTransition(submitted, { proofHash, to: 'under_review', comment: ' ', at: 'x' }), 400, 'empty comment');
+  rejects(() => buildTransition(submitted, { proofHash, to: 'archived', comment: 'x', at: 'x' }), 400, 'unknown state');
+
+  // a stale entry can't be applied over a review that moved on
+  const stale = buildTransition(submitted, { proofHash, to: 'under_review', comment: 'late', at: 'x' });
+  rejects(() => applyTransition(review, stale), 409, 'stale transition');
+  return 'Allowed transitions apply, invalid and stale ones are refused';
+}
+
+async function testSimilarity() {
+  const { merchantSimilarity, findPossibleDuplicates } = require('./services/similarityEngine');
+  const target = { hash: 'target', merchant: 'Campus Mart', date: '2026-02-07 14:30', currency: 'CAD', total: 14.11 };
+  const candidate = (hash, fields) => ({ hash, fields: { ...target, ...fields }, proof: { txSignature: `tx-${hash}` } });
+
+  expectEqual(merchantSimilarity('CAMPUS MART #123', 'Campus Mart Inc.'), 1, 'store numbers and legal words');
+  expect(merchantSimilarity('Campus Mrt', 'Campus Mart') >= 0.75, 'typo below the merchant threshold');
+  expect(merchantSimilarity('Campus Books', 'Campus Mart') < 0.75, 'different merchant above the threshold');
+
+  const matches = findPossibleDuplicates(target, [
+    candidate('same', {}),
+    candidate('cent-off', { merchant: 'CAMPUS MART #12', total: 14.12, date: '2026-02-08' }),
+    candidate('split', { total: 6.5 }),
+    candidate('far-date', { date: '2026-02-20' }),
+    candidate('other-currency', { currency: 'USD' }),
+    candidate('refund', { receiptType: 'refund' }),
+    candidate('target', {})
+  ]);
+  expectEqual(
+    matches.map((m) => [m.hash, m.kind]),
+    [['same', 'near_duplicate'], ['cent-off', 'near_duplicate'], ['split', 'possible_split']],
+    'ranked matches'
+  );
+  expectEqual(matches[1].reasons, ['Same merchant', 'Dates 1 day apart', 'Totals differ by 0.01'], 'near-duplicate reasons');
+  expectEqual(matches[2].reasons[2], 'Different amount (6.50) - possible split claim', 'split reason');
+  expectEqual(matches[0].txSignature, 'tx-same', 'proof fields carried over');
+
+  // the floor is 5 of the currency's smallest units: 5 yen, not 5 cents
+  const yen = { ...target, currency: 'JPY', total: 100 };
+  const yenMatch = findPossibleDuplicates(yen, [{ hash: 'yen', fields: { ...yen, total: 104 } }]);
+  expectEqual(yenMatch.map((m) => [m.kind, m.reasons[2]]), [['near_duplicate', 'Totals differ by 4']], 'JPY tolerance');
+  return 'Near duplicates and same-day split claims ranked; other currencies, types and dates ignored';
+}
+
+async function testImageHashes() {
+  const sharp = require('sharp');
+  const { computeDHash, hammingDistance, isImageHash } = require('./utils/imageHash');
+  const ProofStore = require('./services/proofStore');
+
+  expectEqual(hammingDistance('ffffffffffffffff', '0000000000000000'), 64, 'opposite hashes');
+  expectEqual(hammingDistance('00000000000000f1', '0000000000000001'), 4, 'four bits apart');
+  expectEqual([isImageHash('9932cc33cc936699'), isImageHash('9932cc33cc9366'), isImageHash('xyz')], [true, false, false], 'hash shape');
+
+  // a diagonal wave pattern, then the same picture re-compressed, resized and mirrored
+  const [width, height] = [90, 80];
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) pixels[y * width + x] = Math.round(Math.sin((x + y * 1.7) / 6) * 100 + 128);
+  }
+  const original = await sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  const [photo, recompressed, resized, mirrored] = await Promise.all(
+    [
+      original,
+      await sharp(original).jpeg({ quality: 40 }).toBuffer(),
+      await sharp(original).resize(180, 160).jpeg().toBuffer(),
+      await sharp(original).flop().png().toBuffer()
+    ].map(computeDHash)
+  );
+  expect(isImageHash(photo), `not a 64-bit hex hash: ${photo}`);
+  expect(hammingDistance(photo, recompressed) <= 10, `re-compressed copy is ${hammingDistance(photo, recompressed)} bits away`);
+  expect(hammingDistance(photo, resized) <= 10, `resized copy is ${hammingDistance(photo, resized)} bits away`);
+  expect(hammingDistance(photo, mirrored) > 10, `mirrored image is only ${hammingDistance(photo, mirrored)} bits away`);
+
+  // stored photos are matched within maxDistance, closest first, the proof itself left out
+  ProofStore.initProofStore({ backend: 'memory' });
+  const stored = [['photo', photo], ['mirrored', mirrored], ['resized', resized]].map(([name, imageHash]) => {
+    const hash = computeHash(`receipt-${name}`);
+    ProofStore.upsertProof({ tenantId: 'photos', hash, txSignature: `tx-${name}`, canonicalText: name, analysisSummary: {}, imageHash });
+    return hash;
+  });
+  const similar = ProofStore.findSimilarImages('photos', recompressed, { maxDistance: 10, excludeHash: stored[2] });
+  expectEqual(similar.map((m) => m.txSignature), ['tx-photo'], 'similar stored photos');
+  expectEqual(ProofStore.findSimilarImages('other', recompressed), [], 'other tenant\'s photos');
+  return `Re-compressed and resized copies stay within 10 bits (${hammingDistance(photo, recompressed)}, ${hammingDistance(photo, resized)}); a mirrored image does not`;
+}
+
+async function testLineItems() {
+  const receiptUtils = require('./utils/receiptUtils');
+
+  const items = receiptUtils.normalizeLineItems([
+    { description: 'Croissant', qty: '2', unitPrice: '$2.25' },
+    { name: 'Latte', total: 4.5 },
+    { name: 'Bag:fee|x', price: 0.1 },
+    { name: '   ', price: 3 },
+    { name: 'Napkin' }
+  ]);
+  expectEqual(items, [
+    { name: 'Croissant', quantity: 2, unit_price: 2.25, line_total: 4.5 },
+    { name: 'Latte', quantity: 1, unit_price: 4.5, line_total: 4.5 },
+    { name: 'Bag fee x', quantity: 1, unit_price: 0.1, line_total: 0.1 }
+  ], 'normalized items');
+
+  // items= is sorted, so the order items were read in doesn't change the hash
+  const text = receiptUtils.createCanonicalText(itemsReceipt);
+  const reversed = receiptUtils.createCanonicalText({ ...itemsReceipt, items: [...itemsReceipt.items].reverse() });
+  expectEqual(reversed, text, 'item order');
+  const itemsLine = text.split('\n').find((line) => line.startsWith('items='));
+  expectEqual(receiptUtils.parseCanonicalItems(itemsLine.slice(6)).length, 2, 'items= round trip');
+
+  const ok = receiptUtils.validateLineItems(receiptUtils.normalizeLineItems(itemsReceipt.items), itemsReceipt.subtotal);
+  expectEqual([ok.isValid, ok.itemsTotal], [true, 9], 'items adding up to the subtotal');
+  const padded = receiptUtils.validateLineItems(receiptUtils.normalizeLineItems(itemsReceipt.items), 15);
+  expect(!padded.isValid && /padded receipt/.test(padded.issues[0]), 'padded subtotal not reported');
+  const wrongLine = receiptUtils.validateLineItems([{ name: 'Latte', quantity: 2, unit_price: 4.5, line_total: 4.5 }], 4.5);
+  expect(!wrongLine.isValid && /2 × 4.50 = 9.00/.test(wrongLine.issues[0]), 'inconsistent line not reported');
+
+  // kv1 keeps the name:price:qty entries the first release certified
+  expectEqual(receiptUtils.createCanonicalText(itemsReceipt, 'kv1'), KV1_ITEMS_TEXT, 'kv1 text with items');
+  expectEqual(receiptUtils.computeHash(KV1_ITEMS_TEXT), KV1_ITEMS_HASH, 'kv1 hash with items');
+  return 'Items normalize, hash in any order and reconcile against the subtotal; kv1 items hash as before';
+}
+
+async function testTaxRates() {
+  const { normalizeTaxComponents, formatCanonicalTaxes, parseCanonicalTaxes, inferTaxRegion, validateTaxes } =
+    require('./utils/taxUtils');
+  const codes = (receipt) => validateTaxes(receipt).findings.map((f) => f.code);
+
+  const quebec = normalizeTaxComponents([{ name: 'TPS', rate: '5%', amount: '0.50' }, { type: 'tvq', rate: 9.975, amount: 1 }]);
+  expectEqual(quebec, [
+    { name: 'GST', rate: 0.05, amount: 0.5, base: null },
+    { name: 'QST', rate: 0.09975, amount: 1, base: null }
+  ], 'French names and percentages');
+  expectEqual(formatCanonicalTaxes(quebec), 'GST:0.05:0.50|QST:0.09975:1.00', 'canonical taxes');
+  expectEqual(parseCanonicalTaxes(formatCanonicalTaxes(quebec)), quebec, 'canonical taxes read back');
+
+  expectEqual(
+    [
+      inferTaxRegion({ region: 'ca-on', merchant_address: '800 Robson St, Vancouver V6Z 2E7' }),
+      inferTaxRegion({ merchant_address: '800 Robson St, Vancouver V6Z 2E7' }),
+      inferTaxRegion({ merchant_address: '1 rue Sainte-Catherine, Montréal QC' }),
+      inferTaxRegion({ merchant_address: '10 Downing St, London, England', currency: 'EUR' }),
+      inferTaxRegion({ currency: 'JPY' }),
+      inferTaxRegion({ currency: 'CHF' })
+    ],
+    ['CA-ON', 'CA-BC', 'CA-QC', 'GB', 'JP', null],
+    'regions from region, postal code, province, country and currency'
+  );
+
+  const bc = { region: 'CA-BC', subtotal: 10, tax: 1.2, taxes: [{ name: 'GST', amount: 0.5 }, { name: 'PST', amount: 0.7 }] };
+  expectEqual(codes(bc), [], 'BC GST + PST');
+  expectEqual(codes({ ...bc, taxes: [{ name: 'GST', amount: 0.5 }, { name: 'PST', amount: 0.9 }], tax: 1.4 }), ['TAX_RATE_MISMATCH'], 'PST at 9%');
+  expectEqual(codes({ ...bc, taxes: [{ name: 'HST', amount: 1.2 }] }), ['TAX_NOT_IN_REGION'], 'HST in BC');
+  expectEqual(codes({ ...bc, tax: 1.5 }), ['TAX_COMPONENTS_MISMATCH'], 'components short of the tax');
+  expectEqual(
+    codes({ region: 'CA-BC', subtotal: 10, tax: 1.2, taxes: [{ name: 'GST', rate: 0.05, amount: 0.8 }, { name: 'PST', amount: 0.4 }] }),
+    ['TAX_AMOUNT_MISMATCH', 'TAX_RATE_MISMATCH'],
+    'GST amount not 5% of the subtotal'
+  );
+
+  // one tax figure: only a rate above everything the region charges is flagged
+  expectEqual(codes({ merchant_address: 'Toronto ON', subtotal: 10, tax: 1.3 }), [], 'Ontario HST');
+  expectEqual(codes({ merchant_address: 'Toronto ON', subtotal: 10, tax: 0.5 }), [], 'partly exempt basket');
+  expectEqual(codes({ merchant_address: 'Toronto ON', subtotal: 10, tax: 2 }), ['TAX_RATE_TOO_HIGH'], '20% in Ontario');
+  return 'Components normalize and round-trip; regions inferred; rates checked against the region table';
+}
+
+async function testAdjustments() {
+  const receiptUtils = require('./utils/receiptUtils');
+  const bar = { merchant: 'Bar One', date: '2026-02-07', currency: 'CAD', subtotal: 20, tax: 2.6, total: 25.2 };
+  const adjustments = { tip: 3, discount: -1, deposit: 0.6 };
+
+  expectEqual(receiptUtils.normalizeAdjustments(adjustments), { tip: 3, discount: 1, deposit: 0.6, rounding: 0 }, 'normalized adjustments');
+  const math = receiptUtils.validateArithmetic(bar.subtotal, bar.tax, bar.total, adjustments);
+  expectEqual(
+    [math.isValid, math.explanation],
+    [true, '20.00 + 2.60 tax, tip +3.00, deposit +0.60, discount -1.00 = 25.20'],
+    'tip, deposit and discount reconcile the total'
+  );
+  expect(receiptUtils.validateReceipt(bar).findings.some((f) => f.code === 'MATH_MISMATCH'), 'unexplained difference not flagged');
+  expectEqual(receiptUtils.validateReceipt({ ...bar, ...adjustments }).isValid, true, 'receipt with its adjustments');
+
+  // cash rounding: printed, or inferred where cash totals land on the smallest coin
+  expectEqual(receiptUtils.validateArithmetic(10, 1.28, 11.3, { rounding: 0.02 }).explanation, '10.00 + 1.28 tax, rounding +0.02 = 11.30', 'printed rounding');
+  expectEqual(receiptUtils.validateArithmetic(10, 1.28, 11.3, {}, 'CAD').applied, ['cash rounding +0.02 (inferred)'], 'CAD nickel');
+  expectEqual(receiptUtils.validateArithmetic(10, 1.28, 11.3, {}, 'USD').applied, [], 'USD has no cash rounding');
+  expectEqual(receiptUtils.validateArithmetic(10, 1.28, 11.29, {}, 'CAD').applied, [], 'CAD total off the nickel');
+  expectEqual(receiptUtils.validateArithmetic(1000, 100, 1101, {}, 'JPY').applied, [], 'JPY');
+
+  // only adjustments that are there get a line, so receipts without them hash as before
+  expectEqual(
+    receiptUtils.createCanonicalText({ ...bar, ...adjustments }).split('\n').slice(7),
+    ['tip=3.00', 'discount=1.00', 'deposit=0.60'],
+    'adjustment lines'
+  );
+  expectEqual(receiptUtils.createCanonicalText({ ...testReceipt, tip: 0 }, 'kv1'), createCanonicalText(testReceipt), 'zero tip in kv1');
+  return 'Tip, discount, deposit and rounding reconcile totals; cash rounding is inferred only for cash-rounding currencies';
+}
+
+async function testRefunds() {
+  const receiptUtils = require('./utils/receiptUtils');
+  const ProofStore = require('./services/proofStore');
+
+  expectEqual(['Return', 'credit note', 'VOID', 'purchase', ''].map(receiptUtils.normalizeReceiptType), ['refund', 'refund', 'void', 'sale', 'sale'], 'receipt types');
+  const refund = receiptUtils.applyReceiptTypeSigns({ ...testReceipt, receipt_type: 'refund', subtotal: 5, tax: 0.65, total: 5.65 });
+  expectEqual([refund.subtotal, refund.tax, refund.total], [-5, -0.65, -5.65], 'refund amounts stored negative');
+  expectEqual(receiptUtils.applyReceiptTypeSigns({ ...refund, total: 5.65 }).total, 5.65, 'mixed signs left for validation');
+  expect(receiptUtils.validateReceipt({ ...refund, total: 5.65 }).findings.some((f) => f.code === 'REFUND_MIXED_SIGNS'), 'mixed signs not flagged');
+  expectEqual(receiptUtils.validateReceipt(refund).isValid, true, 'refund arithmetic on magnitudes');
+  expect(receiptUtils.createCanonicalText(refund).includes('\ntype=refund'), 'refund type not hashed');
+
+  ProofStore.initProofStore({ backend: 'memory' });
+  const store = (receipt, txSignature, refundOf = null) => {
+    const canonicalText = receiptUtils.createCanonicalText(receipt);
+    const hash = computeHash(canonicalText);
+    ProofStore.upsertProof({ tenantId: 'shop', hash, txSignature, canonicalText, analysisSummary: receipt, refundOf });
+    return hash;
+  };
+  const saleHash = store({ ...testReceipt, receipt_type: 'sale' }, 'tx-sale');
+  const refundHash = computeHash(receiptUtils.createCanonicalText(refund));
+
+  // without an original: sales of that merchant, on or before the refund, at least as large
+  const unlinked = ProofStore.checkRefund('shop', { ...refund, hash: refundHash });
+  expectEqual([unlinked.matchingSales.map((m) => m.hash), unlinked.flags], [[saleHash], []], 'matching sales');
+  expectEqual(ProofStore.checkRefund('shop', { ...refund, hash: refundHash, date: '2026-02-01' }).flags, ['No matching sale found for this refund'], 'refund before the sale');
+
+  const linked = ProofStore.checkRefund('shop', { ...refund, hash: refundHash }, saleHash);
+  expectEqual([linked.original.total, linked.refundedBefore, linked.flags], [14.11, 0, []], 'refund within the sale');
+  store(refund, 'tx-refund', saleHash);
+  expectEqual(ProofStore.getByHash('shop', saleHash).refunds.map((r) => [r.hash, r.total]), [[refundHash, -5.65]], 'sale lists its refund');
+
+  // a second refund counts the first one
+  const second = { ...refund, hash: computeHash('second refund'), total: -10 };
+  expectEqual(
+    ProofStore.checkRefund('shop', second, saleHash).flags,
+    ['Refunds total 15.65, more than the original sale of 14.11'],
+    'refunds beyond the sale'
+  );
+  expectEqual(ProofStore.checkRefund('shop', { ...second, currency: 'USD', total: -1 }, saleHash).flags, ['Refund currency USD differs from the sale (CAD)'], 'other currency');
+  expectEqual(ProofStore.checkRefund('shop', second, computeHash('unknown sale')).flags, ['Original sale was not found'], 'unknown sale');
+  expectEqual(ProofStore.checkRefund('shop', second, refundHash).flags[0], 'Original proof is a refund, not a sale', 'refund of a refund');
+  return 'Refunds are stored negative, linked to their sale, and flagged beyond the sale amount';
+}
+
+async function testCurrencyMinorUnits() {
+  const receiptUtils = require('./utils/receiptUtils');
+  const { minorUnits, formatAmount, hasExcessPrecision } = require('./utils/currencies');
+
+  expectEqual(['CAD', 'JPY', 'KWD', 'XYZ'].map(minorUnits), [2, 0, 3, 2], 'minor units (unknown codes get 2)');
+  expectEqual([formatAmount('1320', 'JPY'), formatAmount(1.25, 'KWD')], ['1320', '1.250'], 'formatted amounts');
+  expectEqual([hasExcessPrecision(1234.56, 'JPY'), hasExcessPrecision(12.5, 'CAD')], [true, false], 'excess precision');
+
+  // kv1 keeps the 2-decimal text the first release hashed
+  expectEqual(receiptUtils.createCanonicalText(testReceipt, 'kv1'), createCanonicalText(testReceipt), 'kv1 text');
+
+  // kv2 writes amounts in the currency's minor units
+  const yen = { merchant: 'Kissa', date: '2026-02-07', currency: 'jpy', subtotal: 1200, tax: 120, total: 1320 };
+  expectEqual(
+    receiptUtils.createCanonicalText(yen),
+    'format=kv2\nmerchant=Kissa\ndate=2026-02-07\ncurrency=JPY\nsubtotal=1200\ntax=120\ntotal=1320',
+    'kv2 JPY text'
+  );
+  expectEqual(
+    receiptUtils.computeHash(receiptUtils.createCanonicalText(itemsReceipt, 'kv2')),
+    KV2_ITEMS_HASH,
+    'kv2 hash with items'
+  );
+  return 'kv1 keeps 2 decimals; kv2 amounts follow the currency and hash as before';
+}
+
+async function testFxLookups() {
+  const { loadFxRates, findRate, convertAmount } = require('./utils/fxRates');
+  const file = path.join(os.tmpdir(), `vericeipt-test-fx-${process.pid}.csv`);
+  fs.writeFileSync(file, [
+    'date,base,quote,rate,source',
+    '2026-02-05,USD,CAD,1.3600,Bank of Canada',
+    '2026-02-06,USD,CAD,1.3641,Bank of Canada',
+    '2026-02-06,EUR,CAD,1.4800,Bank of Canada',
+    '2026-02-06,USD,JPY,150.25,Bank of Canada'
+  ].join('\n'));
+
+  try {
+    loadFxRates(file);
+
+    const direct = convertAmount(100, 'USD', 'CAD', '2026-02-06');
+    expectEqual([direct.amount, direct.rate, direct.rateDate], [136.41, 1.3641, '2026-02-06'], 'direct rate');
+    // Saturday receipt: Friday's rate
+    expectEqual(findRate('USD', 'CAD', '2026-02-07 14:30').rateDate, '2026-02-06', 'weekend fallback');
+    expectEqual(convertAmount(136.41, 'CAD', 'USD', '2026-02-06').amount, 100, 'inverse pair');
+    const cross = convertAmount(10, 'EUR', 'USD', '2026-02-06');
+    expectEqual([cross.via, cross.amount, cross.rate], ['CAD', 10.85, 1.08496445], 'cross rate through CAD');
+    expectEqual(convertAmount(10, 'CAD', 'JPY', '2026-02-06').amount, 1101, 'JPY has no minor units');
+    expectEqual(findRate('CAD', 'CAD', '2026-02-06').rate, 1, 'same currency');
+    expectEqual(findRate('USD', 'CAD', '2026-03-01'), null, 'rate older than maxAgeDays');
+    expectEqual(findRate('USD', 'CAD', '2026-02-04'), null, 'date before the table');
+    expectEqual(findRate('USD', 'CHF', '2026-02-06'), null, 'unlisted pair');
+    return 'Direct, inverse, cross and weekend rates found; stale or missing rates are not used';
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+async function testDateParsing() {
+  const { normalizeReceiptDate } = require('./utils/dateUtils');
+  const receiptUtils = require('./utils/receiptUtils');
+  const normalized = (value, options) => normalizeReceiptDate(value, options)?.normalized ?? null;
+
+  expectEqual(normalized('2026-02-07 14:30'), '2026-02-07 14:30', 'ISO date and time');
+  expectEqual(normalized('Feb 7, 2026 2:12 PM'), '2026-02-07 14:12', 'English month name, 12-hour clock');
+  expectEqual(normalized('7 févr. 2026 14h12'), '2026-02-07 14:12', 'French month name');
+  expectEqual(normalized('07-Feb-26'), '2026-02-07', 'two-digit year');
+  expectEqual(normalized('2026-02-07T14:12-05:00'), '2026-02-07 14:12 -05:00', 'UTC offset');
+
+  // ambiguous numeric dates follow the currency / region
+  expectEqual(
+    normalizeReceiptDate('07/02/2026', { currency: 'EUR' }),
+    { normalized: '2026-02-07', order: 'DMY', ambiguous: true },
+    'EUR order'
+  );
+  expectEqual(normalized('07/02/2026', { currency: 'USD' }), '2026-07-02', 'USD order');
+  expectEqual(normalized('07/02/2026', { region: 'GB', currency: 'USD' }), '2026-02-07', 'region wins over currency');
+  expectEqual(normalizeReceiptDate('13/02/2026', { currency: 'USD' }).ambiguous, false, 'day > 12 is not ambiguous');
+
+  expectEqual(normalized('31/02/2026'), null, 'impossible day');
+  expectEqual(normalized('not a date'), null, 'garbage');
+
+  // kv2 hashes the same however the date was printed
+  expectEqual(
+    receiptUtils.createCanonicalText({ ...itemsReceipt, date: 'Feb 7, 2026 12:05 PM' }),
+    receiptUtils.createCanonicalText(itemsReceipt),
+    'kv2 printed date'
+  );
+  return 'Printed date forms normalize to YYYY-MM-DD[ HH:mm][ ±HH:MM]';
+}
+
+async function testCanonicalJson() {
+  const receiptUtils = require('./utils/receiptUtils');
+  const { formatHashMemo, parseMemo } = require('./utils/memo');
+
+  const v2 = receiptUtils.createCanonicalJson(itemsReceipt);
+  expectEqual(receiptUtils.computeHash(v2), V2_ITEMS_HASH, 'v2 hash');
+  const kv2 = receiptUtils.createCanonicalText(itemsReceipt);
+  expectEqual([receiptUtils.canonicalVersionOf(v2), receiptUtils.canonicalVersionOf(kv2)], ['v2', 'v1'], 'versions');
+
+  // RFC 8785: key order, whitespace and item order don't change the text
+  const reversed = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).reverse().map(([k, v]) => [k, reversed(v)]))
+    : Array.isArray(value) ? value.map(reversed) : value);
+  const pretty = JSON.stringify(reversed(JSON.parse(v2)), null, 2);
+  expectEqual(receiptUtils.normalizeCanonicalJson(pretty), v2, 'reserialized document');
+  expectEqual(
+    receiptUtils.createCanonicalJson({ ...itemsReceipt, items: [...itemsReceipt.items].reverse() }),
+    v2,
+    'item order'
+  );
+  expectEqual(receiptUtils.createCanonicalJson({ ...itemsReceipt, merchant: 'CAFE  ROUGE' }), v2, 'folded merchant');
+
+  const hash = receiptUtils.computeHash(v2);
+  expectEqual(parseMemo(formatHashMemo(hash, 'v2')), { version: 'v2', kind: 'HASH', value: hash }, 'v2 memo');
+  let refused = false;
+  try {
+    formatHashMemo(hash, 'v9');
+  } catch {
+    refused = true;
+  }
+  expect(refused, 'an unknown memo version was written');
+  return 'v2 canonical JSON is stable and tagged v2 in its memo';
+}
+
+async function testMerchantRegistry() {
+  const { foldMerchantName, merchantKey, merchantSlug } = require('./utils/merchantUtils');
+  const { buildMerchantEntry, resolveMerchant } = require('./services/merchantRegistry');
+  const ProofStore = require('./services/proofStore');
+  const at = '2026-02-07T15:00:00.000Z';
+
+  expectEqual(['Café  Olé', 'CAFE OLE', 'Ｃａｆé Olé', 'Straße'].map(foldMerchantName), ['cafe ole', 'cafe ole', 'cafe ole', 'strasse'], 'folded names');
+  expectEqual(['WAL-MART #3021', 'Walmart Store 12', "McDonald's"].map(merchantKey), ['walmart', 'walmart', 'mcdonalds'], 'registry keys');
+  expectEqual(merchantSlug('Cafe  Ole #1234'), 'cafe-ole', 'slug');
+
+  const walmart = buildMerchantEntry(null, { merchantId: 'Walmart', aliases: ['WAL-MART', 'wal mart', 'Walmart Supercenter'] }, [], at);
+  expectEqual([walmart.merchantId, walmart.name, walmart.aliases], ['walmart', 'walmart', ['WAL-MART', 'wal mart', 'Walmart Supercenter']], 'entry');
+  const rejects = (fn, status, label) => {
+    try {
+      fn();
+    } catch (error) {
+      expectEqual(error.status, status, label);
+      return;
+    }
+    throw new Error(`${label}: no error`);
+  };
+  rejects(() => buildMerchantEntry(null, { merchantId: 'wm', aliases: ['Wal-Mart #12'] }, [walmart], at), 409, 'alias of another merchant');
+  rejects(() => buildMerchantEntry(null, { merchantId: 'bad id!' }, [], at), 400, 'merchant ID');
+  rejects(() => buildMerchantEntry(null, { merchantId: 'x', aliases: ['###'] }, [], at), 400, 'empty alias');
+
+  expectEqual(resolveMerchant('WALMART SUPERCENTER #88', [walmart]), { merchantId: 'walmart', name: 'walmart', registered: true }, 'alias');
+  expectEqual(resolveMerchant('Café Olé', [walmart]), { merchantId: 'cafe-ole', name: null, registered: false }, 'unregistered');
+
+  // per tenant, and the ID is stored next to the printed name
+  ProofStore.initProofStore({ backend: 'memory' });
+  ProofStore.saveMerchant('acme', 'walmart', (existing, others) => buildMerchantEntry(existing, { merchantId: 'walmart', name: 'Walmart', aliases: ['WAL-MART'] }, others, at));
+  expectEqual(ProofStore.resolveMerchantId('acme', 'Wal-Mart #3021'), { merchantId: 'walmart', name: 'Walmart', registered: true }, 'acme alias');
+  expectEqual(ProofStore.resolveMerchantId('beta', 'Wal-Mart #3021').registered, false, 'beta has no registry entry');
+  const canonicalText = createCanonicalText({ ...testReceipt, merchant: 'WAL-MART #3021' });
+  ProofStore.upsertProof({ tenantId: 'acme', hash: computeHash(canonicalText), txSignature: 'tx-wm', canonicalText, analysisSummary: { merchant: 'WAL-MART #3021' }, merchantId: 'walmart' });
+  expectEqual(ProofStore.queryProofs('acme', { merchantId: 'WALMART' }).proofs.map((p) => p.merchantId), ['walmart'], 'proofs by merchant ID');
+  return 'Names fold and key the same however printed; aliases resolve per tenant and conflicts are refused';
+}
+
+async function testMerchantPolicy() {
+  const { buildMerchantPolicy, checkMerchantPolicy } = require('./services/merchantRegistry');
+  const GeminiService = require('./services/geminiService');
+  const LocalProvider = require('./services/providers/localProvider');
+  const LocalLedgerService = require('./services/localLedgerService');
+  const VericeiptController = require('./controllers/vericeipt.controller');
+  const ProofStore = require('./services/proofStore');
+  const at = '2026-02-07T15:00:00.000Z';
+
+  const shady = buildMerchantPolicy(null, { merchantId: 'shady-goods', status: 'blocked', reason: 'chargebacks', keyId: 'admin-1' }, [], at);
+  expectEqual(shady.policy, { status: 'blocked', reason: 'chargebacks', updatedAt: at, keyId: 'admin-1' }, 'stored policy');
+  const status = (name, entries) => checkMerchantPolicy(name, entries)?.status ?? null;
+  expectEqual(checkMerchantPolicy('SHADY GOODS #4', [shady]).message, 'Merchant "SHADY GOODS #4" is blocked by policy (chargebacks)', 'blocked');
+  expectEqual([status('Campus Mart', [shady]), status('', [shady])], ['unlisted', null], 'no allowlist');
+  const campus = buildMerchantPolicy(null, { merchantId: 'campus-mart', status: 'allowed' }, [shady], at);
+  expectEqual([status('Campus Mart', [shady, campus]), status('Café Rouge', [shady, campus])], ['allowed', 'unknown'], 'with an allowlist');
+  expectEqual(buildMerchantPolicy(campus, { merchantId: 'campus-mart', status: null }, [shady], at).policy, null, 'cleared policy');
+  try {
+    buildMerchantPolicy(null, { merchantId: 'x', status: 'banned' }, [], at);
+    throw new Error('unknown status accepted');
+  } catch (error) {
+    expectEqual(error.status, 400, 'unknown status');
+  }
+
+  // analysis: blocked vendors are issues, vendors off the allowlist warnings
+  const gemini = new GeminiService(new LocalProvider());
+  const analyze = async (merchant, entries) =>
+    (await gemini.analyzeReceipt({ ...testReceipt, merchant }, { checkMerchant: (name) => checkMerchantPolicy(name, entries) })).validation;
+  const blocked = await analyze('Shady Goods', [shady]);
+  expect(blocked.findings.some((f) => f.code === 'MERCHANT_BLOCKED' && f.severity === 'issue'), 'blocked merchant is not an issue');
+  expect((await analyze('Café Rouge', [shady, campus])).findings.some((f) => f.code === 'MERCHANT_NOT_APPROVED'), 'unknown vendor not warned');
+
+  // certification records the policy of the merchant in the canonical text, not the summary's
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-merchant-policy-'));
+  try {
+    ProofStore.initProofStore({ backend: 'memory' });
+    ProofStore.saveMerchant('acme', 'shady-goods', () => ({ ...shady, tenantId: 'acme' }));
+    const controller = new VericeiptController(new LocalProvider(), new LocalLedgerService(path.join(dir, 'ledger.json')));
+    const canonicalText = createCanonicalText({ ...testReceipt, merchant: 'Shady Goods' });
+    const hash = computeHash(canonicalText);
+    const result = await controller._certifyAndStore({
+      tenantId: 'acme',
+      hash,
+      canonicalText,
+      analysisSummary: { merchant: 'Campus Mart', merchant_id: 'campus-mart' }
+    });
+    expectEqual([result.merchantId, result.merchantPolicy.status], ['shady-goods', 'blocked'], 'certified policy');
+    expectEqual(ProofStore.getByHash('acme', hash).merchantPolicy.status, 'blocked', 'policy on the proof');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return 'Blocked vendors are issues, unapproved ones warnings; the certified merchant\'s policy is kept on the proof';
+}
+
+async function testPolicyRules() {
+  const { validateExpensePolicy, evaluateExpensePolicy } = require('./services/policyEngine');
+  const policy = validateExpensePolicy({
+    name: 'Test policy',
+    categories: { meals: ['cafe', 'restaurant'] },
+    rules: [
+      { id: 'meals-cap', type: 'max_total', max: 25, currency: 'CAD', when: { category: 'meals' } },
+      { id: 'no-alcohol', type: 'forbidden_items', keywords: ['wine', 'beer'] },
+      { id: 'weekdays', type: 'no_weekend', severity: 'warning' },
+      { id: 'stale', type: 'max_age_days', days: 90 },
+      { id: 'toronto-only', type: 'max_total', max: 10, currency: 'CAD', when: { city: 'Toronto' } }
+    ]
+  });
+  const statuses = (result) => Object.fromEntries(result.rules.map((rule) => [rule.id, rule.status]));
+
+  // Saturday café receipt, well within the cap and the age limit
+  const ok = evaluateExpensePolicy(itemsReceipt, policy, { now: '2026-02-10T12:00:00Z' });
+  expectEqual(ok.category, 'meals', 'category from merchant keywords');
+  expectEqual(statuses(ok), {
+    'meals-cap': 'passed', 'no-alcohol': 'passed', weekdays: 'failed', stale: 'passed', 'toronto-only': 'skipped'
+  }, 'rule outcomes');
+  expectEqual(ok.passed, true, 'a failed warning does not fail the policy');
+
+  const wine = { ...itemsReceipt, total: 48.50, items: [...itemsReceipt.items, { name: 'House Wine', price: 38.33, quantity: 1 }] };
+  const bad = evaluateExpensePolicy(wine, policy, { now: '2026-06-10T12:00:00Z' });
+  expectEqual(
+    [statuses(bad)['meals-cap'], statuses(bad)['no-alcohol'], statuses(bad).stale],
+    ['failed', 'failed', 'failed'],
+    'cap, forbidden item and age'
+  );
+  expectEqual(bad.passed, false, 'failed issues fail the policy');
+
+  expectEqual(evaluateExpensePolicy(itemsReceipt, null), null, 'no policy configured');
+  try {
+    validateExpensePolicy({ rules: [{ id: 'x', type: 'max_total', max: 10 }] });
+    throw new Error('a max_total rule without currency was accepted');
+  } catch (error) {
+    expectEqual(error.status, 400, 'invalid rule status');
+  }
+  return 'Rules pass, fail and skip as configured; warnings do not fail the policy';
+}
+
+async function testReasonCodes() {
+  const sharp = require('sharp');
+  const { REASON_CODES, finding, aiFinding } = require('./utils/reasonCodes');
+  const GeminiService = require('./services/geminiService');
+  const LocalProvider = require('./services/providers/localProvider');
+
+  expectEqual(
+    finding('NOT_A_CODE', { source: 'elsewhere', severity: 'fatal', impact: 'x' }),
+    { code: 'AI_NOTE', source: 'ai', severity: 'info', impact: 0, params: {}, message: REASON_CODES.AI_NOTE },
+    'unknown code, source and severity'
+  );
+  expectEqual(
+    aiFinding({ code: 'math_mismatch', severity: 'issue', message: 'Total is wrong' }),
+    { code: 'MATH_MISMATCH', source: 'ai', severity: 'issue', impact: 0, params: {}, message: 'Total is wrong' },
+    'structured model reason'
+  );
+  expectEqual(['The date is in the future.', 'Date is not in the future.', 'Looks fine'].map((r) => aiFinding(r).code), ['FUTURE_DATE', 'AI_NOTE', 'AI_NOTE'], 'prose reasons');
+
+  // every reason of an analysis is a known code, and reasons are their messages
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-reasons-'));
+  try {
+    const gemini = new GeminiService(new LocalProvider(dir));
+    const fake = await gemini.analyzeReceipt(fraudulentReceipt);
+    expect(fake.findings.every((f) => REASON_CODES[f.code] && f.code !== 'AI_NOTE'), `codes: ${fake.findings.map((f) => f.code)}`);
+    expectEqual(fake.reasons, fake.findings.map((f) => f.message), 'reasons');
+    expect(fake.validation.findings.some((f) => f.code === 'MATH_MISMATCH' && f.source === 'local'), 'local math finding missing');
+
+    // a model that calls a past date "future" is corrected locally
+    const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).png().toBuffer();
+    const sha256 = crypto.createHash('sha256').update(image).digest('hex');
+    fs.writeFileSync(path.join(dir, `${sha256}.json`), JSON.stringify({ ...testReceipt, verdict: 'SUSPICIOUS', fraud_score: 45, reasons: ['Date appears to be in the future'] }));
+    const corrected = await gemini.analyzeReceipt(image.toString('base64'));
+    expectEqual(corrected.findings.map((f) => f.code), ['DATE_CORRECTED'], 'corrected findings');
+    expect(corrected.score_breakdown, 'no score breakdown');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return 'Findings carry known codes, sources and severities; prose becomes AI notes unless it claims a future date';
+}
+
+async function testTrustScore() {
+  const { computeTrustScore, resolveFinalRisk } = require('./utils/trustScore');
+  const now = '2026-02-10T12:00:00Z';
+  const trust = (fields) => computeTrustScore({ ...testReceipt, ...fields }, { now });
+  const check = (fields, name) => trust(fields).checks.find((c) => c.name === name);
+
+  expectEqual(trust({}).score, 100, 'clean receipt');
+  expectEqual(trust({ total: 14.12 }).score, 100, 'a cent of rounding');
+  expectEqual(check({ total: 14.21 }, 'Math consistency').description, 'Total is off by 0.10 CAD (possible rounding / entry error).', 'ten cents off');
+  expectEqual(check({ total: 15.11 }, 'Math consistency').status, 'fail', 'a dollar off');
+  expectEqual(trust({ tip: 2, total: 16.11 }).score, 100, 'tip counted');
+  expectEqual(trust({ receipt_type: 'refund', subtotal: -12.49, tax: -1.62, total: -14.11 }).score, 100, 'refund on magnitudes');
+
+  // tolerances follow the currency: yen and fils, not cents
+  const yen = { currency: 'JPY', subtotal: 1200, tax: 120 };
+  expectEqual(check({ ...yen, total: 1321 }, 'Math consistency').status, 'pass', 'one yen off');
+  expectEqual(check({ ...yen, total: 1330 }, 'Math consistency').description, 'Total is off by 10 JPY (possible rounding / entry error).', 'ten yen off');
+  expectEqual(check({ currency: 'BHD', subtotal: 10, tax: 1, total: 11.01 }, 'Math consistency').status, 'warn', 'ten fils off');
+  expectEqual([check({ currency: 'KWD' }, 'Currency').status, check({ currency: 'XYZ' }, 'Currency').description], ['pass', 'Unknown currency code: XYZ'], 'currency codes');
+
+  expectEqual(check({ date: '2026-02-11' }, 'Date').status, 'fail', 'future date');
+  expectEqual(check({ date: '2024-12-01' }, 'Date').impact, 10, 'receipt over a year old');
+  expectEqual(check({ tax: 0, total: 12.49 }, 'Tax rate').status, 'warn', 'no tax');
+  expectEqual(check({ tax: 5, total: 17.49 }, 'Tax rate').status, 'fail', 'implausible CAD tax rate');
+
+  // final decision: hard math failures and AI fakes win, then the score
+  const level = (verdict, fields) => resolveFinalRisk({ verdict, reasons: [] }, trust(fields)).level;
+  expectEqual(
+    [level('LIKELY_REAL', {}), level('SUSPICIOUS', {}), level('LIKELY_FAKE', {}), level('LIKELY_REAL', { total: 20 }), level('LIKELY_REAL', { merchant: '', date: '' })],
+    ['good', 'warning', 'bad', 'bad', 'warning'],
+    'final risk levels'
+  );
+  return 'Trust checks scale to the currency; final risk follows math, AI verdict and score';
+}
+
+async function testScoringModel() {
+  const { DEFAULT_SCORING, validateScoringConfig, loadScoringConfig, saveScoringConfig, getScoringConfig, scoreAnalysis, fitScoringModel } = require('./services/scoringModel');
+  const statusOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error.status;
+    }
+    return null;
+  };
+
+  expectEqual(validateScoringConfig({}), { ...DEFAULT_SCORING, tenants: {} }, 'empty document');
+  expectEqual(
+    [
+      statusOf(() => validateScoringConfig({ thresholds: { likelyReal: 50, suspicious: 40 } })),
+      statusOf(() => validateScoringConfig({ codeWeights: { NOT_A_CODE: 10 } })),
+      statusOf(() => validateScoringConfig({ combine: 'avg' })),
+    ],
+    [400, 400, 400],
+    'bad documents'
+  );
+
+  // findings add their weights on top of the AI score; AI findings are already in it
+  const local = (code, severity) => ({ code, source: 'local', severity });
+  const findings = () => [local('MATH_MISMATCH', 'issue'), local('TAX_RATE_UNREALISTIC', 'warning'), local('LARGE_TOTAL', 'warning'), { ...local('MATH_MISMATCH', 'issue'), source: 'ai' }];
+  const maxed = scoreAnalysis({ aiScore: 20, aiVerdict: 'LIKELY_REAL', findings: findings() }, DEFAULT_SCORING);
+  expectEqual([maxed.score, maxed.verdict], [60, 'SUSPICIOUS'], 'max combine');
+  const summed = scoreAnalysis({ aiScore: 20, aiVerdict: 'LIKELY_REAL', findings: findings() }, { ...DEFAULT_SCORING, combine: 'sum' });
+  expectEqual([summed.score, summed.verdict], [70, 'LIKELY_FAKE'], 'sum combine');
+  expectEqual(scoreAnalysis({ aiScore: 45, aiVerdict: 'SUSPICIOUS', findings: [local('DATE_CORRECTED', 'info')] }, DEFAULT_SCORING).verdict, 'LIKELY_REAL', 'corrected date');
+  const capped = scoreAnalysis({ aiScore: 60, aiVerdict: 'SUSPICIOUS', clean: true }, DEFAULT_SCORING);
+  expectEqual([capped.score, capped.verdict, capped.capped.cap], [25, 'LIKELY_REAL', 25], 'clean cap');
+  expectEqual(scoreAnalysis({ aiScore: 30, aiVerdict: 'SUSPICIOUS' }, DEFAULT_SCORING).verdict, 'SUSPICIOUS', 'AI verdict between thresholds');
+
+  // tenant overrides merge over the base model
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vericeipt-test-scoring-'));
+  try {
+    saveScoringConfig({ thresholds: { likelyFake: 80 }, tenants: { acme: { combine: 'sum', thresholds: { suspicious: 35 } } } }, path.join(dir, 'scoring.json'));
+    expectEqual(loadScoringConfig(path.join(dir, 'scoring.json')).source, 'scoring.json', 'source');
+    const acme = getScoringConfig('acme');
+    expectEqual([acme.tenantId, acme.combine, acme.thresholds], ['acme', 'sum', { likelyFake: 80, suspicious: 35, likelyReal: 25 }], 'tenant override');
+    expectEqual([getScoringConfig('beta').tenantId, getScoringConfig('beta').combine], [null, 'max'], 'tenant without override');
+  } finally {
+    loadScoringConfig(path.join(dir, 'missing.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  expectEqual(getScoringConfig('acme').source, 'default', 'defaults restored');
+
+  // calibration: fraud has higher AI scores and math mismatches
+  const samples = [];
+  for (let i = 0; i < 15; i++) {
+    samples.push({ aiScore: 20 + i * 3, codes: i % 3 ? ['MATH_MISMATCH'] : ['MATH_MISMATCH', 'MERCHANT_GENERIC'], label: 1 });
+    samples.push({ aiScore: 5 + i * 3, codes: i % 4 ? [] : ['MERCHANT_GENERIC'], label: 0 });
+  }
+  const { model, report } = fitScoringModel(samples, DEFAULT_SCORING);
+  const { likelyReal, suspicious, likelyFake } = model.thresholds;
+  expect(likelyReal < suspicious && suspicious <= likelyFake, `thresholds ${JSON.stringify(model.thresholds)}`);
+  expect(model.codeWeights.MATH_MISMATCH > model.codeWeights.MERCHANT_GENERIC, `weights ${JSON.stringify(model.codeWeights)}`);
+  expectEqual([model.combine, model.codeWeights.DATE_CORRECTED], ['sum', -35], 'fitted model');
+  expectEqual([report.samples, report.fraud, report.legitimate, report.accuracy], [30, 15, 15, 1], 'report');
+  expectEqual(
+    [statusOf(() => fitScoringModel(samples.slice(0, 10), DEFAULT_SCORING)), statusOf(() => fitScoringModel(samples.filter((s) => s.label), DEFAULT_SCORING, { minSamples: 5 }))],
+    [422, 422],
+    'too few samples / one label'
+  );
+  return 'Findings score on top of the AI score; tenants override thresholds; calibration orders thresholds';
+}
+
+async function testMediaDetection() {
+  const sharp = require('sharp');
+  const { detectMediaType, isBase64Payload, prepareReceiptMedia } = require('./utils/receiptMedia');
+  const bytes = (...parts) => Buffer.concat(parts.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'latin1'))));
+  const ftyp = (major, ...compatible) => {
+    const box = bytes('\0\0\0\0', 'ftyp', major, '\0\0\0\0', ...compatible);
+    box.writeUInt32BE(box.length, 0);
+    return bytes(box, '\0\0\0\0');
+  };
+
+  const cases = [
+    [Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]), 'image/jpeg'],
+    [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]), 'image/png'],
+    [bytes('RIFF\0\0\0\0WEBPVP8 '), 'image/webp'],
+    [bytes('%PDF-1.7\n'), 'application/pdf'],
+    [bytes('GIF89a\x01\0'), 'image/gif'],
+    [bytes('II*\0\x08\0\0\0'), 'image/tiff'],
+    [bytes('BM\0\0\0\0'), 'image/bmp'],
+    [ftyp('heic', 'mif1', 'heic'), 'image/heic'],
+    [ftyp('mif1', 'mif1', 'heic'), 'image/heic'],
+    [ftyp('mif1', 'mif1'), 'image/heif'],
+    [ftyp('avif', 'mif1'), 'image/avif'],
+    [ftyp('isom', 'isom', 'mp41'), null],
+    [bytes('hello world'), null],
+    [Buffer.from([0xff, 0xd8]), null]
+  ];
+  cases.forEach(([buffer, type], i) => expectEqual(detectMediaType(buffer), type, `case ${i + 1}`));
+
+  // native types pass through, GIF is converted, the rest is refused
+  const image = (format) => sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } })[format]().toBuffer();
+  const png = await prepareReceiptMedia(`data:image/png;base64,${(await image('png')).toString('base64')}`);
+  expectEqual([png.mimeType, png.convertedFrom], ['image/png', null], 'PNG upload');
+  const gif = await prepareReceiptMedia((await image('gif')).toString('base64'));
+  expectEqual([gif.mimeType, gif.convertedFrom], ['image/png', 'image/gif'], 'GIF upload');
+
+  const status = (upload) => prepareReceiptMedia(upload).then(() => null, (error) => error.status);
+  expectEqual(await status(bytes('BM\0\0\0\0').toString('base64')), 415, 'BMP upload');
+  expectEqual(await status(bytes('%PDF-1.7\n1 0 obj').toString('base64')), 422, 'truncated PDF');
+  expectEqual(await status((await image('png')).subarray(0, 40).toString('base64')), 422, 'truncated PNG');
+
+  // what /analyze accepts as imageBase64 before decoding it
+  expectEqual(isBase64Payload('data:image/png;base64,iVBORw0KGgo='), true, 'data: URL');
+  expectEqual(isBase64Payload('not base64!'), false, 'invalid base64');
+  expectEqual(isBase64Payload(''), false, 'empty upload');
+  expectEqual(isBase64Payload(12345), false, 'non-string upload');
+  return `${cases.length} file signatures detected; uploads are passed through, converted or refused by type`;
+}
+
+async function testCsvExport() {
+  const { toCsv, parseCsv } = require('./utils/csv');
+  const csv = toCsv(
+    ['merchant', 'note', 'total', 'refund'],
+    [['=HYPERLINK("http://x")', '@SUM(A1)', 14.11, -3.5], ['Campus Mart, Inc.', '-', null, 0]]
+  );
+
+  // text starting with a formula character is neutralized, numbers are left alone
+  expectEqual(parseCsv(csv), [
+    ['merchant', 'note', 'total', 'refund'],
+    ['\'=HYPERLINK("http://x")', '\'@SUM(A1)', '14.11', '-3.5'],
+    ['Campus Mart, Inc.', '\'-', '', '0']
+  ], 'exported cells');
+  return 'Formula text is neutralized; numbers, commas and quotes survive the round trip';
+}
+
+async function testKv1Normalization() {
+  const VericeiptController = require('./controllers/vericeipt.controller');
+  const normalize = (text) => VericeiptController.prototype._normalizeCanonicalText.call(null, text);
+
+  // kv1 texts and what the first release normalized them to before hashing
+  const certified = [
+    [
+      'merchant=Campus Mart\ndate=2026-02-07 14:30\ncurrency=CAD\nsubtotal=12.49\ntax=1.62\ntotal=14.11',
+      'merchant=campus mart\ndate=2026-02-07 14:30\ncurrency=CAD\nsubtotal=12.49\ntax=1.62\ntotal=14.11'
+    ],
+    [
+      'merchant=Café Rouge\ndate=2026-02-07 12:05\ncurrency=cad\nsubtotal=9\ntax=1.17\ntotal=10.17\nitems=Croissant:2.25:2|Latte:4.50:1',
+      'merchant=café rouge\ndate=2026-02-07 12:05\ncurrency=CAD\nsubtotal=9.00\ntax=1.17\ntotal=10.17\nitems=Croissant:2.25:2|Latte:4.50:1'
+    ],
+    [
+      'merchant=Bistro\ndate=07/02/2026\ncurrency=CAD\nsubtotal=40\ntax=5.20\ntotal=47.20\nitems=Steak:40.00:1\ntip=2',
+      'merchant=bistro\ndate=07/02/2026\ncurrency=CAD\nsubtotal=40.00\ntax=5.20\ntotal=47.20\nitems=Steak:40.00:1\ntip=2'
+    ],
+    [
+      'merchant=Bistro\ndate=2026-02-07\ncurrency=CAD\nsubtotal=40\ntax=5.20\ntotal=45.20\ntype=sale',
+      'merchant=bistro\ndate=2026-02-07\ncurrency=CAD\nsubtotal=40.00\ntax=5.20\ntotal=45.20\ntype=sale'
+    ],
+    [
+      'merchant=Shop\ndate=2026-02-07\ncurrency=CAD\nsubtotal=10\ntax=1.30\ntotal=11.30\ntaxes=GST:5:0.50|PST:8:0.80',
+      'merchant=shop\ndate=2026-02-07\ncurrency=CAD\nsubtotal=10.00\ntax=1.30\ntotal=11.30\ntaxes=GST:5:0.50|PST:8:0.80'
+    ],
+    [
+      'total=9.95\nmerchant=Shop\ndate=2026-02-07\ncurrency=CAD\nsubtotal=10\ntax=0\nrounding=-0.05\ndiscount=0.5\ndeposit=0.10\ntype=Refund',
+      'merchant=shop\ndate=2026-02-07\ncurrency=CAD\nsubtotal=10.00\ntax=0.00\ntotal=9.95\ndeposit=0.10\ndiscount=0.5\nrounding=-0.05\ntype=Refund'
+    ]
+  ];
+  certified.forEach(([text, expected], i) => {
+    expectEqual(normalize(text), expected, `kv1 text ${i + 1}`);
+    expectEqual(normalize(expected), expected, `kv1 text ${i + 1} normalized twice`);
+  });
+
+  // kv2 texts are still normalized in full
+  expectEqual(
+    normalize('format=kv2\nmerchant=Shop\ndate=07/02/2026\ncurrency=CAD\nsubtotal=10\ntax=1.30\ntotal=11.30\ntype=sale\ntip=2\ntaxes=GST:5:0.50|PST:8:0.80'),
+    'format=kv2\nmerchant=shop\ndate=2026-07-02\ncurrency=CAD\nsubtotal=10.00\ntax=1.30\ntotal=11.30\ntip=2.00\ntaxes=GST:0.05:0.50|PST:0.08:0.80',
+    'kv2 text'
+  );
+  return `${certified.length} baseline-certified kv1 texts normalize exactly as they did when certified`;
+}
+
+const MODULE_TESTS = [
+  ['Merkle Inclusion Proofs', testMerkleInclusion],
+  ['Local Ledger Tamper Detection', testLocalLedger],
+  ['Local Extraction Provider', testLocalProvider],
+  ['Proof Listing Pages and Filters', testProofPagination],
+  ['Tenant Isolation', testTenantIsolation],
+  ['Review Workflow Transitions', testReviewTransitions],
+  ['Similar Receipts and Split Claims', testSimilarity],
+  ['Perceptual Image Hashes', testImageHashes],
+  ['Line Items', testLineItems],
+  ['Tax Components and Regional Rates', testTaxRates],
+  ['kv1 Canonical Text Normalization', testKv1Normalization],
+  ['Adjustments and Cash Rounding', testAdjustments],
+  ['Refunds and Sale Linking', testRefunds],
+  ['Currency Minor Units (kv1 / kv2)', testCurrencyMinorUnits],
+  ['FX Rate Lookups', testFxLookups],
+  ['CSV Export Cells', testCsvExport],
+  ['Receipt Date Parsing', testDateParsing],
+  ['v2 Canonical JSON', testCanonicalJson],
+  ['Merchant Alias Registry', testMerchantRegistry],
+  ['Merchant Allow / Block Lists', testMerchantPolicy],
+  ['Expense Policy Rules', testPolicyRules],
+  ['Trust Score and Final Risk', testTrustScore],
+  ['Reason Codes', testReasonCodes],
+  ['Scoring Model and Calibration', testScoringModel],
+  ['Receipt File Types', testMediaDetection],
+];
+
 // Main test runner
 async function runAllTests() {
   log('\n╔═══════════════════════════════════════════════════════════════╗', 'blue');
@@ -263,9 +1375,13 @@ async function runAllTests() {
   const results = {
     passed: 0,
     failed: 0,
-    total: 7
+    total: 8 + MODULE_TESTS.length
   };
 
+  for (const [i, [title, fn]] of MODULE_TESTS.entries()) {
+    (await runModuleTest(i + 1, title, fn)) ? results.passed++ : results.failed++;
+  }
+
   // Test 1: Health Check
   const healthOk = await testHealthCheck();
   healthOk ? results.passed++ : results.failed++;
@@ -317,6 +1433,10 @@ async function runAllTests() {
   const combinedOk = await testAnalyzeAndCertify();
   combinedOk ? results.passed++ : results.failed++;
 
+  // Test 8: Baseline kv1 receipt keeps its hash
+  const kv1Ok = await testCertifyBaselineKv1Receipt();
+  kv1Ok ? results.passed++ : results.failed++;
+
   // Print summary
   log('\n╔═══════════════════════════════════════════════════════════════╗', 'blue');
   log('║                        TEST SUMMARY                           ║', 'blue');
@@ -0,0 +1,47 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ *
+ * Serializes JSON so equal data always gives the same bytes: object members
+ * sorted by their UTF-16 code units, no whitespace, numbers and strings in the
+ * ECMAScript JSON form. Used for v2 canonical receipts.
+ */
+
+function serialize(value, path) {
+  if (value === null || typeof value === 'boolean') return JSON.stringify(value);
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Cannot canonicalize ${value} at ${path}`);
+    // JSON.stringify writes the shortest round-trip form RFC 8785 asks for (and -0 as 0)
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'string') return JSON.stringify(value);
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item, i) => serialize(item === undefined ? null : item, `${path}[${i}]`)).join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    // default sort compares UTF-16 code units, as the RFC requires
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${serialize(value[key], `${path}.${key}`)}`).join(',')}}`;
+  }
+
+  throw new Error(`Cannot canonicalize a ${typeof value} at ${path}`);
+}
+
+/**
+ * Canonical JSON text of a value
+ *
+ * @param {*} value - JSON-compatible data (undefined members are left out, like JSON.stringify)
+ * @returns {string}
+ */
+function canonicalize(value) {
+  return serialize(value, '$');
+}
+
+module.exports = {
+  canonicalize,
+};
@@ -0,0 +1,78 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, "" escapes, CRLF or LF)
+ */
+
+// spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parses CSV text into rows of strings
+ *
+ * @param {string} text
+ * @returns {string[][]} Rows (blank lines skipped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((v) => v.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((v) => v.trim() !== '')) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * One CSV cell. Text that a spreadsheet would read as a formula ("=HYPERLINK(...)",
+ * "@SUM(...)") gets a leading ' so it stays text; numbers (negative refunds) are written as-is.
+ */
+function escapeField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV with a header line
+ *
+ * @param {string[]} header - Column names
+ * @param {Array<Array>} rows - Values in header order (null/undefined = empty)
+ * @returns {string}
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
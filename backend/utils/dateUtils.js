@@ -0,0 +1,216 @@
+/**
+ * Receipt date parsing and normalization
+ *
+ * Receipts print dates every which way ("2026-02-07 14:12", "07/02/2026",
+ * "Feb 7, 2026 2:12 PM", "7 févr. 2026 14h12"). parseReceiptDate reads the
+ * common forms; formatReceiptDate writes the single form used in canonical text:
+ *
+ *   YYYY-MM-DD[ HH:mm][ ±HH:MM]
+ *
+ * All-numeric dates whose first two parts are both <= 12 are ambiguous. The
+ * day/month order then comes from the locale, the region, or the currency
+ * (MM/DD for the US, the Philippines and Canada, DD/MM elsewhere).
+ */
+
+const MONTHS = {
+  // English
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+  july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+  november: 11, nov: 11, december: 12, dec: 12,
+  // French
+  janvier: 1, janv: 1, fevrier: 2, fevr: 2, fev: 2, mars: 3, avril: 4, avr: 4, mai: 5, juin: 6,
+  juillet: 7, juil: 7, aout: 8, septembre: 9, octobre: 10, novembre: 11, decembre: 12,
+  // German
+  januar: 1, janner: 1, februar: 2, marz: 3, juni: 6, juli: 7, oktober: 10, okt: 10, dezember: 12, dez: 12,
+  // Spanish
+  enero: 1, ene: 1, febrero: 2, marzo: 3, abril: 4, abr: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, ago: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12, dic: 12,
+};
+
+const WEEKDAYS = new Set([
+  'monday', 'mon', 'tuesday', 'tue', 'tues', 'wednesday', 'wed', 'thursday', 'thu', 'thur', 'thurs',
+  'friday', 'fri', 'saturday', 'sat', 'sunday', 'sun',
+]);
+
+// fixed-offset abbreviations printed on receipts (ambiguous ones like IST are left out)
+const TIMEZONE_OFFSETS = {
+  UTC: 0, GMT: 0, Z: 0, WET: 0, BST: 60, WEST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180,
+  NST: -210, NDT: -150, AST: -240, ADT: -180, EST: -300, EDT: -240, CST: -360, CDT: -300,
+  MST: -420, MDT: -360, PST: -480, PDT: -420, AKST: -540, AKDT: -480, HST: -600,
+  JST: 540, AEST: 600, AEDT: 660,
+};
+
+// where MM/DD/YYYY is the usual numeric order
+const MONTH_FIRST_REGIONS = ['US', 'PH', 'CA'];
+const MONTH_FIRST_CURRENCIES = { USD: 'US', PHP: 'PH', CAD: 'CA' };
+
+function foldWord(word) {
+  return String(word)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '')
+    .toLowerCase();
+}
+
+/**
+ * Usual numeric day/month order for a locale ("en-US"), region ("US", "CA-ON") or currency
+ *
+ * @param {Object} options - { locale, region, currency }
+ * @returns {string} 'MDY' or 'DMY'
+ */
+function preferredDayOrder({ locale, region, currency } = {}) {
+  const fromLocale = String(locale || '').split(/[-_]/)[1];
+  const country =
+    (fromLocale && fromLocale.toUpperCase()) ||
+    String(region || '').trim().toUpperCase().slice(0, 2) ||
+    MONTH_FIRST_CURRENCIES[String(currency || '').trim().toUpperCase()] ||
+    '';
+  return MONTH_FIRST_REGIONS.includes(country) ? 'MDY' : 'DMY';
+}
+
+// "+05:30", "-0500", "UTC+2", "EST" at the end of the string -> minutes east of UTC
+function _extractTimezone(text) {
+  const numeric = text.match(/(?:\s|(?<=\d))(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (numeric && (numeric[0].match(/UTC|GMT/i) || numeric[0].includes(':') || numeric[3])) {
+    const minutes = Number(numeric[2]) * 60 + Number(numeric[3] || 0);
+    if (minutes <= 14 * 60) {
+      return { offset: numeric[1] === '-' ? -minutes : minutes, rest: text.slice(0, numeric.index) };
+    }
+  }
+
+  const named = text.match(/(?:\s|(?<=\d))([A-Za-z]{1,4})$/);
+  if (named && Object.prototype.hasOwnProperty.call(TIMEZONE_OFFSETS, named[1].toUpperCase())) {
+    return { offset: TIMEZONE_OFFSETS[named[1].toUpperCase()], rest: text.slice(0, named.index) };
+  }
+
+  return { offset: null, rest: text };
+}
+
+// "14:12", "14:12:33", "2:12 PM", "14h12", "2 pm" -> { hour, minute }
+function _extractTime(text) {
+  const m =
+    text.match(/(?:^|[\sT,])(\d{1,2})(?::|h)(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap])?\.?\s*(?:m\.?)?(?=\s|$)/i) ||
+    text.match(/(?:^|[\s,])(\d{1,2})()\s*([ap])\.?\s*m\.?(?=\s|$)/i);
+  if (!m) return { hour: null, minute: null, rest: text };
+
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  const meridiem = m[3] ? m[3].toLowerCase() : null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return { hour: null, minute: null, rest: text, invalid: true };
+    if (meridiem === 'p' && hour !== 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+  }
+  if (hour > 23 || minute > 59) return { hour: null, minute: null, rest: text, invalid: true };
+
+  return { hour, minute, rest: text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length) };
+}
+
+function _fullYear(y) {
+  // two-digit years on receipts are this century
+  return y < 100 ? 2000 + y : y;
+}
+
+function _isValidDay(year, month, day) {
+  if (year < 1900 || year > 2199 || month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Parses a receipt date/time in any of the common printed forms
+ *
+ * @param {string} value - e.g. "07/02/2026", "Feb 7, 2026 2:12 PM", "2026-02-07T14:12-05:00"
+ * @param {Object} options - { locale, region, currency } to settle DD/MM vs MM/DD
+ * @returns {Object|null} { year, month, day, hour, minute, offset, order, ambiguous } or null
+ */
+function parseReceiptDate(value, options = {}) {
+  let text = String(value || '').trim();
+  if (!text) return null;
+
+  const tz = _extractTimezone(text);
+  const time = _extractTime(tz.rest.trim());
+  if (time.invalid) return null;
+  text = time.rest.replace(/T$/, '').trim().replace(/[,\s]+$/, '');
+
+  let year;
+  let month;
+  let day;
+  let order;
+  let ambiguous = false;
+
+  let m;
+  if ((m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/)) || (m = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    order = 'YMD';
+  } else if ((m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    year = _fullYear(Number(m[3]));
+    if (a > 12 && b > 12) return null;
+    if (a > 12) order = 'DMY';
+    else if (b > 12) order = 'MDY';
+    else {
+      order = preferredDayOrder(options);
+      ambiguous = a !== b;
+    }
+    [month, day] = order === 'MDY' ? [a, b] : [b, a];
+  } else {
+    // month names: "Feb 7, 2026", "7 Feb 2026", "07-Feb-26", "Sat, 7 févr. 2026"
+    const tokens = text.split(/[\s,/\-]+/).filter((t) => t && !WEEKDAYS.has(foldWord(t)));
+    const monthIdx = tokens.findIndex((t) => MONTHS[foldWord(t)]);
+    if (monthIdx === -1) return null;
+    const numbers = tokens.filter((_, i) => i !== monthIdx).map((t) => t.replace(/(st|nd|rd|th|er)$/i, ''));
+    if (numbers.length !== 2 || !numbers.every((t) => /^\d{1,4}$/.test(t))) return null;
+
+    month = MONTHS[foldWord(tokens[monthIdx])];
+    const yearIdx = numbers.findIndex((t) => t.length === 4);
+    if (yearIdx === -1) {
+      // "07-Feb-26": day before year
+      [day, year] = [Number(numbers[0]), _fullYear(Number(numbers[1]))];
+    } else {
+      year = Number(numbers[yearIdx]);
+      day = Number(numbers[1 - yearIdx]);
+    }
+    order = 'named';
+  }
+
+  if (!_isValidDay(year, month, day)) return null;
+  return { year, month, day, hour: time.hour, minute: time.minute, offset: tz.offset, order, ambiguous };
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Writes parsed parts in the canonical form: YYYY-MM-DD[ HH:mm][ ±HH:MM]
+ */
+function formatReceiptDate(parts) {
+  let out = `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+  if (parts.hour != null) out += ` ${pad(parts.hour)}:${pad(parts.minute)}`;
+  if (parts.offset != null) {
+    const abs = Math.abs(parts.offset);
+    out += ` ${parts.offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+  }
+  return out;
+}
+
+/**
+ * Parses and re-formats a receipt date
+ *
+ * @param {string} value
+ * @param {Object} options - { locale, region, currency }
+ * @returns {Object|null} { normalized, order, ambiguous } or null if the date can't be read
+ */
+function normalizeReceiptDate(value, options = {}) {
+  const parts = parseReceiptDate(value, options);
+  if (!parts) return null;
+  return { normalized: formatReceiptDate(parts), order: parts.order, ambiguous: parts.ambiguous };
+}
+
+module.exports = {
+  preferredDayOrder,
+  parseReceiptDate,
+  formatReceiptDate,
+  normalizeReceiptDate,
+};
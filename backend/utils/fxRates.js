@@ -0,0 +1,183 @@
+/**
+ * Reporting-currency conversion from a local FX rate table
+ *
+ * The table is a file finance maintains (data/fxRates.csv, override with FX_RATES_PATH),
+ * one daily rate per line, rate = units of quote per 1 base:
+ *
+ *   date,base,quote,rate,source
+ *   2026-02-06,USD,CAD,1.3641,Bank of Canada
+ *
+ * JSON works too: [{ "date", "base", "quote", "rate", "source" }] or { "source", "rates": [...] }.
+ *
+ * A receipt is converted at the rate of its date, or the latest earlier one
+ * (weekends, holidays) up to maxAgeDays back. Inverse pairs and crosses through
+ * a shared currency are used when the direct pair isn't listed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { normalizeCurrencyCode, minorUnits, roundTo } = require('./currencies');
+
+const DEFAULT_FX_RATES_PATH = path.join(__dirname, '..', 'data', 'fxRates.csv');
+const DEFAULT_MAX_AGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let fxTable = null;
+
+function fxError(message) {
+  return new Error(`FX rate table: ${message}`);
+}
+
+function _parseRows(filePath, text) {
+  if (/\.json$/i.test(filePath)) {
+    const parsed = JSON.parse(text);
+    const rates = Array.isArray(parsed) ? parsed : parsed?.rates;
+    if (!Array.isArray(rates)) throw fxError(`${filePath} must be an array or { "rates": [...] }`);
+    return rates.map((r) => ({ ...r, source: r.source || parsed.source }));
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((h) => h.trim().toLowerCase());
+  for (const required of ['date', 'base', 'quote', 'rate']) {
+    if (!columns.includes(required)) throw fxError(`${filePath} has no "${required}" column`);
+  }
+  return lines.map((line) => Object.fromEntries(columns.map((c, i) => [c, line[i]])));
+}
+
+/**
+ * Loads the rate table. Called once at startup; otherwise data/fxRates.csv
+ * is used when it exists. Bad lines fail loudly - a silently skipped rate
+ * would convert receipts with a stale one.
+ *
+ * @param {string} filePath - .csv or .json
+ * @returns {Object} { path, count, pairs }
+ */
+function loadFxRates(filePath = DEFAULT_FX_RATES_PATH) {
+  const file = filePath || DEFAULT_FX_RATES_PATH;
+  const rows = _parseRows(file, fs.readFileSync(file, 'utf8'));
+  const defaultSource = path.basename(file);
+
+  const pairs = new Map();
+  rows.forEach((row, i) => {
+    const date = String(row.date || '').trim();
+    const base = normalizeCurrencyCode(row.base);
+    const quote = normalizeCurrencyCode(row.quote);
+    const rate = Number.parseFloat(row.rate);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
+      throw fxError(`entry ${i + 1} needs a YYYY-MM-DD date and 3-letter base / quote codes`);
+    }
+    if (!Number.isFinite(rate) || rate <= 0) throw fxError(`entry ${i + 1} has an invalid rate "${row.rate}"`);
+
+    const key = `${base}/${quote}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push({ date, rate, source: String(row.source || '').trim() || defaultSource });
+  });
+
+  for (const entries of pairs.values()) entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  fxTable = { path: file, count: rows.length, pairs };
+  return fxTable;
+}
+
+function getFxRates() {
+  if (!fxTable) {
+    if (fs.existsSync(DEFAULT_FX_RATES_PATH)) return loadFxRates();
+    fxTable = { path: null, count: 0, pairs: new Map() };
+  }
+  return fxTable;
+}
+
+function _daysBefore(later, earlier) {
+  return (Date.parse(`${later}T00:00:00Z`) - Date.parse(`${earlier}T00:00:00Z`)) / DAY_MS;
+}
+
+// latest listed rate on or before date (direct or inverted), within maxAgeDays
+function _pairRate(pairs, from, to, date, maxAgeDays) {
+  const candidates = [];
+  for (const [key, invert] of [[`${from}/${to}`, false], [`${to}/${from}`, true]]) {
+    const entries = pairs.get(key) || [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].date > date) continue;
+      if (_daysBefore(date, entries[i].date) <= maxAgeDays) {
+        const { rate, source } = entries[i];
+        candidates.push({ rate: invert ? 1 / rate : rate, rateDate: entries[i].date, source });
+      }
+      break;
+    }
+  }
+  // prefer the fresher quote; the listed direction wins a tie
+  return candidates.sort((a, b) => (a.rateDate < b.rateDate ? 1 : a.rateDate > b.rateDate ? -1 : 0))[0] || null;
+}
+
+/**
+ * Rate to convert from -> to on a date
+ *
+ * @param {string} from - Receipt currency
+ * @param {string} to - Reporting currency
+ * @param {string} date - Receipt date (YYYY-MM-DD, a time part is ignored)
+ * @param {Object} options - { maxAgeDays }
+ * @returns {Object|null} { rate, rateDate, source, via } or null if the table has no usable rate
+ */
+function findRate(from, to, date, options = {}) {
+  const base = normalizeCurrencyCode(from);
+  const quote = normalizeCurrencyCode(to);
+  const day = String(date || '').trim().slice(0, 10);
+  if (!base || !quote || !/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+  if (base === quote) return { rate: 1, rateDate: day, source: 'same currency', via: null };
+
+  const maxAgeDays = options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS;
+  const { pairs } = getFxRates();
+
+  const direct = _pairRate(pairs, base, quote, day, maxAgeDays);
+  if (direct) return { ...direct, via: null };
+
+  // cross through a currency both are quoted against (EUR -> CAD -> USD)
+  const pivots = new Set([...pairs.keys()].flatMap((key) => key.split('/')));
+  for (const pivot of [...pivots].sort()) {
+    if (pivot === base || pivot === quote) continue;
+    const first = _pairRate(pairs, base, pivot, day, maxAgeDays);
+    const second = first && _pairRate(pairs, pivot, quote, day, maxAgeDays);
+    if (!second) continue;
+    return {
+      rate: first.rate * second.rate,
+      rateDate: first.rateDate < second.rateDate ? first.rateDate : second.rateDate,
+      source: first.source === second.source ? first.source : `${first.source} / ${second.source}`,
+      via: pivot,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Converts an amount into the reporting currency
+ *
+ * @returns {Object|null} { currency, amount, rate, rateDate, source, via } or null if no rate is available
+ */
+function convertAmount(amount, from, to, date, options = {}) {
+  const n = Number.parseFloat(amount);
+  if (!Number.isFinite(n)) return null;
+  const found = findRate(from, to, date, options);
+  if (!found) return null;
+
+  const currency = normalizeCurrencyCode(to);
+  return {
+    currency,
+    amount: roundTo(n * found.rate, minorUnits(currency)),
+    rate: roundTo(found.rate, 8),
+    rateDate: found.rateDate,
+    source: found.source,
+    via: found.via,
+  };
+}
+
+module.exports = {
+  DEFAULT_FX_RATES_PATH,
+  DEFAULT_MAX_AGE_DAYS,
+  loadFxRates,
+  getFxRates,
+  findRate,
+  convertAmount,
+};
@@ -0,0 +1,71 @@
+/**
+ * Perceptual image hashing (dHash)
+ *
+ * The image is shrunk to 9x8 grayscale and each bit records whether a pixel is
+ * brighter than its right neighbour. Re-photographing, re-cropping slightly or
+ * re-compressing the same receipt changes only a few of the 64 bits, so the
+ * Hamming distance between two hashes measures how alike two images look.
+ */
+
+const sharp = require('sharp');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Decodes an imageBase64 request field (with or without a data: URL prefix)
+ */
+function decodeImageBase64(imageBase64) {
+  const base64Data = String(imageBase64 || '').replace(/^data:[^;]+;base64,/, '');
+  return Buffer.from(base64Data, 'base64');
+}
+
+/**
+ * Computes a 64-bit difference hash
+ *
+ * @param {Buffer} imageBuffer - Encoded image (JPEG, PNG, WebP, ...)
+ * @returns {Promise<string>} 16-char hex hash
+ */
+async function computeDHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .rotate() // respect EXIF orientation so a rotated re-upload hashes the same
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      bits = (bits << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return bits.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two dHashes (0 = identical, 64 = opposite)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+function isImageHash(value) {
+  return typeof value === 'string' && /^[a-f0-9]{16}$/i.test(value);
+}
+
+module.exports = {
+  decodeImageBase64,
+  computeDHash,
+  hammingDistance,
+  isImageHash,
+};
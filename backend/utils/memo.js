@@ -0,0 +1,54 @@
+/**
+ * Vericeipt memo format helpers
+ *
+ * VERICEIPT:v1:HASH:<sha256>   single receipt (v2: hash of v2 canonical JSON, see utils/receiptUtils.js)
+ * VERICEIPT:v1:ROOT:<sha256>   Merkle root of a certification batch (v2: a batch of v2 receipts)
+ * VERICEIPT:v1:DECISION:<sha256>   expense review decision (see services/reviewWorkflow.js)
+ */
+
+const MEMO_RX = /VERICEIPT:(v\d+):(HASH|ROOT|DECISION):([a-f0-9]{64})/i;
+
+// versions this build can verify
+const MEMO_VERSIONS = ['v1', 'v2'];
+
+/**
+ * @param {string} hash - Receipt hash
+ * @param {string} version - Canonical version the hash was computed from ('v1' or 'v2')
+ */
+function formatHashMemo(hash, version = 'v1') {
+  if (!MEMO_VERSIONS.includes(version)) throw new Error(`Unsupported memo version "${version}"`);
+  return `VERICEIPT:${version}:HASH:${hash.toLowerCase()}`;
+}
+
+/**
+ * @param {string} root - Merkle root of a batch
+ * @param {string} version - Canonical version shared by every receipt in the batch
+ */
+function formatRootMemo(root, version = 'v1') {
+  if (!MEMO_VERSIONS.includes(version)) throw new Error(`Unsupported memo version "${version}"`);
+  return `VERICEIPT:${version}:ROOT:${root.toLowerCase()}`;
+}
+
+function formatDecisionMemo(decisionHash) {
+  return `VERICEIPT:v1:DECISION:${decisionHash.toLowerCase()}`;
+}
+
+/**
+ * Parses a memo string
+ *
+ * @param {string} memoData
+ * @returns {Object|null} { version, kind: 'HASH'|'ROOT'|'DECISION', value } or null if not a Vericeipt memo
+ */
+function parseMemo(memoData) {
+  const m = String(memoData || '').match(MEMO_RX);
+  if (!m) return null;
+  return { version: m[1].toLowerCase(), kind: m[2].toUpperCase(), value: m[3].toLowerCase() };
+}
+
+module.exports = {
+  MEMO_VERSIONS,
+  formatHashMemo,
+  formatRootMemo,
+  formatDecisionMemo,
+  parseMemo,
+};
@@ -0,0 +1,55 @@
+/**
+ * Merchant name normalization
+ *
+ * foldMerchantName: the form hashed in v2 canonical text and compared everywhere -
+ * NFKC (full-width letters, ligatures), lowercase, accents folded, whitespace collapsed.
+ * "Café  Olé" and "CAFE OLE" both fold to "cafe ole".
+ *
+ * merchantKey: a looser form for the alias registry - store numbers and
+ * punctuation dropped too, so "WAL-MART #3021" and "Walmart" both key to "walmart".
+ */
+
+// letters that have no decomposition to strip an accent from
+const EXTRA_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+/**
+ * @param {string} name - Merchant name as printed or typed
+ * @returns {string} Folded name ('' if empty)
+ */
+function foldMerchantName(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæœøłđðþı]/g, (ch) => EXTRA_FOLDS[ch])
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Folded name without store numbers and punctuation ('' if nothing is left)
+ */
+function merchantKey(name) {
+  return foldMerchantName(name)
+    .replace(/#\s*\d+/g, ' ') // "#3021"
+    .replace(/\b(?:store|str|no|unit)\.?\s*\d+\b/g, ' ') // "store 12", "no. 4"
+    .replace(/['’.\-]/g, '') // "wal-mart", "mcdonald's", "a.b.c."
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Merchant ID for a name with no registry entry: its key with dashes ("cafe-ole")
+ */
+function merchantSlug(name) {
+  return merchantKey(name).replace(/ /g, '-');
+}
+
+module.exports = {
+  foldMerchantName,
+  merchantKey,
+  merchantSlug,
+};
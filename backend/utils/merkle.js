@@ -0,0 +1,138 @@
+/**
+ * Merkle tree helpers for batched certification
+ * One memo anchors the root; each receipt keeps its own inclusion path.
+ *
+ * Leaves and inner nodes are domain-separated (0x00 / 0x01 prefix, RFC 6962 style)
+ * so an inner node can never be passed off as a receipt hash.
+ * An unpaired node at the end of a level is carried up unchanged.
+ */
+
+const crypto = require('crypto');
+
+const HASH_RX = /^[a-f0-9]{64}$/i;
+
+function sha256Hex(...buffers) {
+  const h = crypto.createHash('sha256');
+  for (const b of buffers) h.update(b);
+  return h.digest('hex');
+}
+
+/**
+ * Hashes a receipt hash into a leaf node
+ *
+ * @param {string} receiptHash - 64-char hex SHA-256 of the canonical text
+ * @returns {string} Leaf node hash (hex)
+ */
+function hashLeaf(receiptHash) {
+  return sha256Hex(Buffer.from([0x00]), Buffer.from(receiptHash.toLowerCase(), 'hex'));
+}
+
+/**
+ * Hashes two child nodes into their parent
+ *
+ * @param {string} left - Left child (hex)
+ * @param {string} right - Right child (hex)
+ * @returns {string} Parent node hash (hex)
+ */
+function hashNode(left, right) {
+  return sha256Hex(Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+/**
+ * Builds a Merkle tree over receipt hashes (order is preserved)
+ *
+ * @param {string[]} receiptHashes - 64-char hex hashes
+ * @returns {Object} { root, levels } where levels[0] are the leaf nodes
+ */
+function buildMerkleTree(receiptHashes) {
+  if (!Array.isArray(receiptHashes) || receiptHashes.length === 0) {
+    throw new Error('At least one hash is required to build a Merkle tree');
+  }
+  for (const h of receiptHashes) {
+    if (!HASH_RX.test(String(h))) {
+      throw new Error('Invalid hash format - must be 64-character hex string');
+    }
+  }
+
+  const levels = [receiptHashes.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? hashNode(prev[i], prev[i + 1]) : prev[i]);
+    }
+    levels.push(next);
+  }
+
+  return { root: levels[levels.length - 1][0], levels };
+}
+
+/**
+ * Inclusion path for one leaf, bottom-up
+ *
+ * @param {string[][]} levels - From buildMerkleTree
+ * @param {number} leafIndex
+ * @returns {Array<{position: string, hash: string}>} Siblings; position is the sibling's side
+ */
+function getInclusionPath(levels, leafIndex) {
+  const path = [];
+  let index = leafIndex;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const isRight = index % 2 === 1;
+    const siblingIndex = isRight ? index - 1 : index + 1;
+
+    // Carried-up node has no sibling at this level
+    if (siblingIndex < level.length) {
+      path.push({ position: isRight ? 'left' : 'right', hash: level[siblingIndex] });
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return path;
+}
+
+/**
+ * Recomputes the root from a receipt hash and its inclusion path
+ *
+ * @param {string} receiptHash
+ * @param {Array<{position: string, hash: string}>} path
+ * @returns {string|null} Root (hex) or null if the path is malformed
+ */
+function computeRootFromPath(receiptHash, path) {
+  if (!HASH_RX.test(String(receiptHash || '')) || !Array.isArray(path)) return null;
+
+  let node = hashLeaf(receiptHash);
+  for (const step of path) {
+    if (!step || !HASH_RX.test(String(step.hash || ''))) return null;
+    const sibling = step.hash.toLowerCase();
+    if (step.position === 'left') node = hashNode(sibling, node);
+    else if (step.position === 'right') node = hashNode(node, sibling);
+    else return null;
+  }
+  return node;
+}
+
+/**
+ * Checks that a receipt hash is included under the given root
+ *
+ * @param {string} receiptHash
+ * @param {Object} merkleProof - { root, path }
+ * @param {string} expectedRoot - Root read from the chain
+ * @returns {boolean}
+ */
+function verifyInclusionProof(receiptHash, merkleProof, expectedRoot) {
+  if (!merkleProof || !expectedRoot) return false;
+  const computed = computeRootFromPath(receiptHash, merkleProof.path);
+  return !!computed && computed === String(expectedRoot).toLowerCase();
+}
+
+module.exports = {
+  hashLeaf,
+  hashNode,
+  buildMerkleTree,
+  getInclusionPath,
+  computeRootFromPath,
+  verifyInclusionProof,
+};
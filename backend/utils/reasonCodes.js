@@ -0,0 +1,107 @@
+/**
+ * Structured analysis findings
+ *
+ * Every reason behind a verdict is a finding:
+ *
+ *   { code: 'MATH_MISMATCH', source: 'local', severity: 'issue', impact: 30,
+ *     params: { expected: 14.11, actual: 19.11 }, message: 'Math error: ...' }
+ *
+ * code is stable (clients filter, count and localize on it; message is the
+ * English fallback), source says who raised it (ai = extraction provider,
+ * local = our validators, policy = tenant rules) and impact is the points it
+ * added to (or, negative, took off) fraud_score.
+ */
+
+const REASON_SOURCES = ['ai', 'local', 'policy'];
+const REASON_SEVERITIES = ['info', 'warning', 'issue'];
+
+// code -> what it means (also the list the extraction prompt offers)
+const REASON_CODES = {
+  AI_NOTE: 'Free-text observation from the extraction model',
+  UNREADABLE: 'Fields could not be extracted reliably',
+  RECEIPT_TYPE: 'Receipt is not a plain sale',
+  MERCHANT_OK: 'Merchant name is specific',
+  MERCHANT_MISSING: 'Merchant name is missing',
+  MERCHANT_TOO_SHORT: 'Merchant name is too short',
+  MERCHANT_SUSPICIOUS: 'Merchant name is one repeated character',
+  MERCHANT_GENERIC: 'Merchant name is generic ("Store", "Shop")',
+  MERCHANT_BLOCKED: 'Merchant is on the tenant blocklist',
+  MERCHANT_NOT_APPROVED: 'Merchant is not an approved supplier',
+  DATE_OK: 'Date is plausible',
+  DATE_MISSING: 'Date is missing',
+  DATE_INVALID: 'Date could not be read',
+  FUTURE_DATE: 'Date is in the future',
+  DATE_TOO_OLD: 'Date is more than 10 years ago',
+  DATE_CORRECTED: 'A future-date claim by the model was checked locally and dropped',
+  CURRENCY_UNKNOWN: 'Currency is not an ISO 4217 code',
+  CURRENCY_PRECISION: 'Amounts have more decimals than the currency uses',
+  MATH_OK: 'Subtotal, tax and adjustments add up to the total',
+  MATH_MISMATCH: 'Subtotal, tax and adjustments do not add up to the total',
+  LINE_ITEM_MISMATCH: 'A line item is not quantity × unit price',
+  ITEMS_OK: 'Line items add up to the subtotal',
+  ITEMS_BELOW_SUBTOTAL: 'Line items add up to less than the subtotal (padded receipt)',
+  ITEMS_ABOVE_SUBTOTAL: 'Line items add up to more than the subtotal',
+  TAX_COMPONENTS_MISMATCH: 'Tax lines do not add up to the tax',
+  TAX_RATE_TOO_HIGH: 'Effective tax rate is above any rate in the region',
+  TAX_RATE_UNREALISTIC: 'Tax rate is below 0% or above 20%',
+  TAX_NOT_IN_REGION: 'A tax line is not charged in the region',
+  TAX_RATE_MISMATCH: "A tax line's rate does not match the region",
+  TAX_AMOUNT_MISMATCH: "A tax line's amount is not its rate of the base",
+  NEGATIVE_ON_SALE: 'Negative amounts on a sale',
+  REFUND_MIXED_SIGNS: 'Refund mixes positive and negative amounts',
+  EXCHANGE_OPPOSITE_SIGNS: 'Exchange subtotal and total have opposite signs',
+  ROUNDED_AMOUNTS: 'Every amount is a round number',
+  LARGE_TOTAL: 'Total exceeds 10,000 CAD',
+  CLEAN_SCORE_CAP: 'Local checks found nothing, so the fraud score was capped',
+};
+
+/**
+ * @param {string} code - One of REASON_CODES (unknown codes become AI_NOTE)
+ * @param {Object} fields - { source, severity, impact, params, message }
+ * @returns {Object} { code, source, severity, impact, params, message }
+ */
+function finding(code, { source = 'local', severity = 'info', impact = 0, params = {}, message } = {}) {
+  const known = REASON_CODES[code] ? code : 'AI_NOTE';
+  return {
+    code: known,
+    source: REASON_SOURCES.includes(source) ? source : 'ai',
+    severity: REASON_SEVERITIES.includes(severity) ? severity : 'info',
+    impact: Number.isFinite(Number(impact)) ? Number(impact) : 0,
+    params: params && typeof params === 'object' ? params : {},
+    message: String(message || REASON_CODES[known]),
+  };
+}
+
+/**
+ * Finding for one entry of a model's reasons array: a string, or
+ * { code, severity, message } when the model followed the prompt.
+ * Prose only gets a code when it plainly claims a future date.
+ */
+function aiFinding(reason) {
+  if (reason && typeof reason === 'object') {
+    const code = String(reason.code || '').trim().toUpperCase();
+    return finding(code, {
+      source: 'ai',
+      severity: reason.severity || (code === 'AI_NOTE' ? 'info' : 'warning'),
+      impact: reason.impact,
+      params: reason.params,
+      message: reason.message || reason.text,
+    });
+  }
+
+  const text = String(reason || '').trim();
+  const claimsFuture = /\bfuture\b/i.test(text) && !/\bnot\b[^.]*\bfuture\b/i.test(text);
+  return finding(claimsFuture ? 'FUTURE_DATE' : 'AI_NOTE', {
+    source: 'ai',
+    severity: claimsFuture ? 'warning' : 'info',
+    message: text,
+  });
+}
+
+module.exports = {
+  REASON_SOURCES,
+  REASON_SEVERITIES,
+  REASON_CODES,
+  finding,
+  aiFinding,
+};
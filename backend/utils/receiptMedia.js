@@ -0,0 +1,191 @@
+/**
+ * Receipt upload media types
+ *
+ * imageBase64 may carry a photo, a screenshot or a PDF e-receipt. The type is
+ * read from the file's magic bytes (a data: URL prefix is ignored), then:
+ *
+ * - JPEG, PNG, WebP, HEIC/HEIF and PDF go to the extraction model as they are
+ * - GIF, TIFF and AVIF are converted to PNG first (multi-page TIFF scans are
+ *   stacked into one tall image)
+ * - anything else is rejected with 415, a file that doesn't decode with 422
+ *
+ * A multi-page PDF is one receipt: its pages are sent together.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_PDF_PAGES = 10;
+
+// sent to the model unchanged
+const NATIVE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
+// decoded by sharp and re-encoded as PNG
+const CONVERTED_TYPES = ['image/gif', 'image/tiff', 'image/avif'];
+// what sharp can fully decode here (HEVC-coded HEIC is not among them)
+const DECODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', ...CONVERTED_TYPES];
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+function mediaError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Media type from a file's first bytes
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when the signature is not recognized
+ */
+function detectMediaType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+  if (ascii(0, 2) === 'BM') return 'image/bmp';
+
+  // ISO base media (HEIF family): [size]ftyp<major brand><minor version><compatible brands...>
+  if (buffer.length >= 16 && ascii(4, 8) === 'ftyp') {
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(8, 12)];
+    for (let i = 16; i + 4 <= boxEnd; i += 4) brands.push(ascii(i, i + 4));
+    if (AVIF_BRANDS.includes(brands[0])) return 'image/avif';
+    if (brands.some((b) => HEIC_BRANDS.includes(b))) return 'image/heic';
+    if (brands.some((b) => AVIF_BRANDS.includes(b))) return 'image/avif';
+    if (brands.some((b) => HEIF_BRANDS.includes(b))) return 'image/heif';
+  }
+  return null;
+}
+
+/**
+ * Whether sharp can decode this type (perceptual hashing, conversion)
+ */
+function isDecodableImage(mimeType) {
+  return DECODABLE_TYPES.includes(mimeType);
+}
+
+/**
+ * Structural checks on a PDF and its page count
+ *
+ * Pages are counted from /Type /Page objects, else the page tree's /Count;
+ * PDFs that keep both inside compressed object streams report pages: null.
+ */
+function inspectPdf(buffer) {
+  const tail = buffer.toString('latin1', Math.max(0, buffer.length - 2048));
+  if (!tail.includes('%%EOF')) throw mediaError('PDF is truncated or corrupt (no end-of-file marker)', 422);
+
+  const text = buffer.toString('latin1');
+  if (/\/Encrypt\b/.test(text)) throw mediaError('Password-protected PDFs are not supported', 422);
+
+  const pageObjects = (text.match(/\/Type\s*\/Page(?![A-Za-z])/g) || []).length;
+  const counts = [...text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)]
+    .map((m) => Number(m[1] || m[2]));
+  const pages = pageObjects || (counts.length ? Math.max(...counts) : null);
+
+  if (pages === 0) throw mediaError('PDF has no pages', 422);
+  if (pages > MAX_PDF_PAGES) {
+    throw mediaError(`PDF has ${pages} pages; a receipt may have at most ${MAX_PDF_PAGES}`, 422);
+  }
+  return { pages };
+}
+
+const BASE64_RX = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+// file contents of an upload without a data: URL prefix or whitespace
+function _base64Data(imageBase64) {
+  return String(imageBase64 || '').replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+}
+
+/**
+ * Whether an upload is non-empty base64 (optionally a data: URL) - its contents are not checked
+ */
+function isBase64Payload(imageBase64) {
+  if (typeof imageBase64 !== 'string') return false;
+  const base64Data = _base64Data(imageBase64);
+  return !!base64Data && BASE64_RX.test(base64Data);
+}
+
+async function _checkImage(buffer, mimeType) {
+  try {
+    if (isDecodableImage(mimeType)) {
+      // full decode: truncated or damaged pixel data fails here, not in the model
+      await sharp(buffer, { failOn: 'error' }).resize(64, 64, { fit: 'inside' }).raw().toBuffer();
+    } else {
+      await sharp(buffer).metadata();
+    }
+  } catch (error) {
+    throw mediaError(`${mimeType} file is corrupt or truncated: ${error.message}`, 422);
+  }
+}
+
+async function _toPng(buffer, mimeType) {
+  const convert = (options) => sharp(buffer, { failOn: 'error', ...options }).rotate().png().toBuffer();
+  try {
+    if (mimeType !== 'image/tiff') return await convert({});
+    // every page of a scan, stacked; pages of different sizes can't stack, so fall back to the first
+    return await convert({ pages: -1 }).catch(() => convert({}));
+  } catch (error) {
+    throw mediaError(`Could not convert ${mimeType} to PNG: ${error.message}`, 422);
+  }
+}
+
+/**
+ * Validates an uploaded receipt and gets it into a type the extraction model accepts
+ *
+ * @param {string} imageBase64 - Base64 file contents, optionally a data: URL
+ * @returns {Promise<Object>} { data (base64), mimeType (what is sent), detectedType, convertedFrom, pages, sha256 (of the upload) }
+ * @throws {Error} status 415 for unsupported types, 422 for invalid / corrupt files
+ */
+async function prepareReceiptMedia(imageBase64) {
+  const base64Data = _base64Data(imageBase64);
+  if (!base64Data) throw mediaError('imageBase64 is empty', 422);
+  if (!BASE64_RX.test(base64Data)) throw mediaError('imageBase64 is not valid base64', 422);
+
+  const buffer = Buffer.from(base64Data, 'base64');
+  const detectedType = detectMediaType(buffer);
+  if (!detectedType || (!NATIVE_TYPES.includes(detectedType) && !CONVERTED_TYPES.includes(detectedType))) {
+    throw mediaError(
+      `Unsupported receipt file type${detectedType ? ` (${detectedType})` : ''}; send JPEG, PNG, WebP, HEIC or PDF`,
+      415
+    );
+  }
+
+  const media = {
+    data: base64Data,
+    mimeType: detectedType,
+    detectedType,
+    convertedFrom: null,
+    pages: 1,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+  };
+
+  if (detectedType === 'application/pdf') return { ...media, ...inspectPdf(buffer) };
+
+  await _checkImage(buffer, detectedType);
+  if (CONVERTED_TYPES.includes(detectedType)) {
+    const png = await _toPng(buffer, detectedType);
+    return { ...media, data: png.toString('base64'), mimeType: 'image/png', convertedFrom: detectedType };
+  }
+  return media;
+}
+
+module.exports = {
+  MAX_PDF_PAGES,
+  NATIVE_TYPES,
+  CONVERTED_TYPES,
+  detectMediaType,
+  isDecodableImage,
+  isBase64Payload,
+  inspectPdf,
+  prepareReceiptMedia,
+};
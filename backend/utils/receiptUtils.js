@@ -4,15 +4,119 @@
  */
 
 const crypto = require('crypto');
+const { normalizeTaxComponents, formatCanonicalTaxes, validateTaxes } = require('./taxUtils');
+const {
+  isKnownCurrency,
+  normalizeCurrencyCode,
+  minorUnits,
+  cashRoundingIncrement,
+  roundTo,
+  formatAmount,
+  hasExcessPrecision
+} = require('./currencies');
+const { parseReceiptDate, normalizeReceiptDate } = require('./dateUtils');
+const { convertAmount } = require('./fxRates');
+const { canonicalize } = require('./canonicalJson');
+const { foldMerchantName } = require('./merchantUtils');
+const { finding } = require('./reasonCodes');
+
+/**
+ * Canonical text formats:
+ * - kv1: no format line, every amount with 2 decimals (proofs certified before kv2)
+ * - kv2: first line "format=kv2", amounts with the currency's ISO 4217 minor units
+ */
+const CANONICAL_FORMATS = ['kv1', 'kv2'];
+const CANONICAL_FORMAT = 'kv2';
+
+/**
+ * Canonical versions, also tagged in the anchor memo (VERICEIPT:v1:... / VERICEIPT:v2:...):
+ * - v1: key=value text (kv1 or kv2 above)
+ * - v2: RFC 8785 canonical JSON document, see createCanonicalDocument
+ */
+const CANONICAL_VERSIONS = ['v1', 'v2'];
+const CANONICAL_VERSION = 'v2';
+
+/**
+ * Amounts between subtotal + tax and the total:
+ * tip and deposit add, discount subtracts, rounding is signed (cash rounding to the nickel)
+ */
+const ADJUSTMENT_FIELDS = ['tip', 'discount', 'deposit', 'rounding'];
+
+/**
+ * sale: normal purchase, refund: money back (amounts negative),
+ * exchange: net difference of a swap (either sign), void: cancelled transaction
+ */
+const RECEIPT_TYPES = ['sale', 'refund', 'exchange', 'void'];
+
+// totals above this (in LARGE_TOTAL_CURRENCY, other currencies converted) get a LARGE_TOTAL warning
+const LARGE_TOTAL_LIMIT = 10000;
+const LARGE_TOTAL_CURRENCY = 'CAD';
+
+const RECEIPT_TYPE_ALIASES = { return: 'refund', credit: 'refund', 'credit note': 'refund', purchase: 'sale' };
+
+function normalizeReceiptType(value) {
+  const type = String(value || '').trim().toLowerCase();
+  if (RECEIPT_TYPES.includes(type)) return type;
+  return RECEIPT_TYPE_ALIASES[type] || 'sale';
+}
+
+/**
+ * Refund slips print amounts either as "-12.34" or "12.34 REFUND".
+ * Stores them one way: negative subtotal / tax / total (and tip, deposit,
+ * tax components, line prices) so the same refund always hashes the same.
+ * Receipts that already mix signs are left alone for validation to flag.
+ *
+ * @param {Object} receipt - Extraction with receipt_type set
+ * @returns {Object} Copy with refund amounts made negative
+ */
+function applyReceiptTypeSigns(receipt) {
+  if (receipt.receipt_type !== 'refund') return receipt;
+  const amounts = [receipt.subtotal, receipt.tax, receipt.total].map((v) => Number.parseFloat(v) || 0);
+  if (amounts.some((v) => v < 0)) return receipt;
+
+  const neg = (v) => (v ? -Math.abs(v) : v);
+  return {
+    ...receipt,
+    subtotal: neg(receipt.subtotal),
+    tax: neg(receipt.tax),
+    total: neg(receipt.total),
+    tip: neg(receipt.tip),
+    deposit: neg(receipt.deposit),
+    taxes: (receipt.taxes || []).map((t) => ({ ...t, amount: neg(t.amount), base: t.base == null ? t.base : neg(t.base) })),
+    items: (receipt.items || []).map((item) => ({
+      ...item,
+      unit_price: neg(item.unit_price),
+      line_total: neg(item.line_total),
+    })),
+  };
+}
+
+/**
+ * Reads the adjustment fields off a receipt (missing = 0, discount as a positive amount)
+ *
+ * @param {Object} receiptData
+ * @param {number} digits - Decimals to round to (the currency's minor units)
+ * @returns {Object} { tip, discount, deposit, rounding }
+ */
+function normalizeAdjustments(receiptData = {}, digits = 2) {
+  const out = {};
+  for (const field of ADJUSTMENT_FIELDS) {
+    const n = Number.parseFloat(receiptData[field] ?? 0);
+    out[field] = Number.isFinite(n) ? roundTo(n, digits) : 0;
+  }
+  out.discount = Math.abs(out.discount);
+  return out;
+}
 
 /**
  * Creates a canonical text representation of receipt data
  * This ensures consistent hashing regardless of JSON key ordering
  * 
  * @param {Object} receiptData - Receipt data object
+ * @param {string} format - kv2 (default) or kv1, see CANONICAL_FORMATS
  * @returns {string} Canonical text representation
  */
-function createCanonicalText(receiptData) {
+function createCanonicalText(receiptData, format = CANONICAL_FORMAT) {
   const {
     merchant = '',
     date = '',
@@ -20,39 +124,278 @@ function createCanonicalText(receiptData) {
     subtotal = 0,
     tax = 0,
     total = 0,
+    taxes = [],
     items = []
   } = receiptData;
 
-  // Format numbers to 2 decimal places for consistency
+  // kv1 always used 2 decimals; kv2 uses the currency's minor units (0 for JPY, 3 for KWD)
+  const isKv2 = format === 'kv2';
+  const digits = isKv2 ? minorUnits(currency) : 2;
+
+  // Format numbers to a fixed number of decimal places for consistency
   const formatNumber = (num) => {
     if (typeof num === 'string') {
       num = parseFloat(num);
     }
-    return isNaN(num) ? '0.00' : num.toFixed(2);
+    return (isNaN(num) ? 0 : num).toFixed(digits);
   };
 
+  // kv2 writes the date in one form (YYYY-MM-DD[ HH:mm][ ±HH:MM]) however it was printed or typed
+  const canonicalDate = isKv2
+    ? normalizeReceiptDate(date, { currency, region: receiptData.region })?.normalized || date.trim()
+    : date.trim();
+
   // Build canonical text with strict ordering
-  let canonical = '';
+  let canonical = isKv2 ? 'format=kv2\n' : '';
   canonical += `merchant=${merchant.trim()}\n`;
-  canonical += `date=${date.trim()}\n`;
+  canonical += `date=${canonicalDate}\n`;
   canonical += `currency=${currency.toUpperCase()}\n`;
   canonical += `subtotal=${formatNumber(subtotal)}\n`;
   canonical += `tax=${formatNumber(tax)}\n`;
   canonical += `total=${formatNumber(total)}`;
 
-  // Optional: include line items if present
-  if (items && items.length > 0) {
-    canonical += '\nitems=';
-    const sortedItems = items
-      .map(item => `${item.name}:${formatNumber(item.price)}:${item.quantity || 1}`)
-      .sort()
-      .join('|');
-    canonical += sortedItems;
+  // Optional: receipt type, only for non-sales so sales hash as before
+  const receiptType = normalizeReceiptType(receiptData.receipt_type);
+  if (receiptType !== 'sale') canonical += `\ntype=${receiptType}`;
+
+  // Optional: adjustments, only when present so receipts without them hash as before
+  const adjustments = normalizeAdjustments(receiptData, digits);
+  for (const field of ADJUSTMENT_FIELDS) {
+    if (adjustments[field] !== 0) canonical += `\n${field}=${formatNumber(adjustments[field])}`;
+  }
+
+  // Optional: include named tax components (GST, PST, VAT, ...) if present
+  const taxComponents = normalizeTaxComponents(taxes, digits);
+  if (taxComponents.length > 0) {
+    canonical += `\ntaxes=${formatCanonicalTaxes(taxComponents, digits)}`;
+  }
+
+  // Optional: include line items if present (kv1 keeps its original name:price:qty entries)
+  if (!isKv2) {
+    if (Array.isArray(items) && items.length > 0) canonical += `\nitems=${_formatKv1Items(items, formatNumber)}`;
+    return canonical;
+  }
+  const lineItems = normalizeLineItems(items, digits);
+  if (lineItems.length > 0) {
+    canonical += `\nitems=${formatCanonicalItems(lineItems, digits)}`;
   }
 
   return canonical;
 }
 
+// kv1 items= value as first certified: "name:price:qty" entries, names as given, sorted
+function _formatKv1Items(items, formatNumber) {
+  return items
+    .map((item) => `${item.name}:${formatNumber(item.price ?? item.unit_price)}:${item.quantity || 1}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * v2 canonical document: every field always present, amounts as strings with
+ * the currency's minor units ("12.50", "1500" for JPY) so no float formatting
+ * is involved, tax components and line items sorted. The merchant is folded
+ * (NFKC, accents, case, whitespace) so "Café  Olé" and "CAFE OLE" hash the same.
+ * Free text (merchant, item names) may hold "=", ":" or newlines.
+ *
+ * @param {Object} receiptData - Analysis result, manual fields, or a parsed v2 document
+ * @returns {Object} Document for canonicalJson.canonicalize
+ */
+function createCanonicalDocument(receiptData) {
+  const currency = normalizeCurrencyCode(receiptData.currency || 'CAD');
+  const digits = minorUnits(currency);
+  const amount = (v) => formatAmount(v ?? 0, currency);
+  const date = String(receiptData.date || '').trim();
+  const adjustments = normalizeAdjustments(receiptData, digits);
+  const bySerialized = (a, b) => {
+    const [x, y] = [canonicalize(a), canonicalize(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  };
+
+  return {
+    v: 2,
+    merchant: foldMerchantName(receiptData.merchant),
+    date: normalizeReceiptDate(date, { currency, region: receiptData.region })?.normalized || date,
+    currency,
+    receipt_type: normalizeReceiptType(receiptData.receipt_type),
+    subtotal: amount(receiptData.subtotal),
+    tax: amount(receiptData.tax),
+    ...Object.fromEntries(ADJUSTMENT_FIELDS.map((field) => [field, amount(adjustments[field])])),
+    total: amount(receiptData.total),
+    taxes: normalizeTaxComponents(receiptData.taxes, digits)
+      .map((t) => ({ name: t.name, rate: t.rate, amount: amount(t.amount) }))
+      .sort(bySerialized),
+    items: normalizeLineItems(receiptData.items, digits)
+      .map((item) => ({
+        name: item.name.toLowerCase(),
+        quantity: item.quantity,
+        unit_price: amount(item.unit_price),
+        line_total: amount(item.line_total),
+      }))
+      .sort(bySerialized),
+  };
+}
+
+/**
+ * v2 canonical text: the RFC 8785 serialization of createCanonicalDocument
+ */
+function createCanonicalJson(receiptData) {
+  return canonicalize(createCanonicalDocument(receiptData));
+}
+
+/**
+ * v2 texts are JSON objects, anything else is v1 key=value text
+ */
+function canonicalVersionOf(canonicalText) {
+  return /^\s*\{/.test(String(canonicalText || '')) ? 'v2' : 'v1';
+}
+
+/**
+ * Re-canonicalizes v2 text however it was formatted (key order, whitespace, number forms)
+ *
+ * @param {string} canonicalText - JSON object text
+ * @returns {string} Canonical v2 text
+ * @throws {SyntaxError} If the text isn't a JSON object
+ */
+function normalizeCanonicalJson(canonicalText) {
+  const doc = JSON.parse(canonicalText);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw new SyntaxError('v2 canonical text must be a JSON object');
+  return createCanonicalJson(doc);
+}
+
+/**
+ * Normalizes extracted line items to { name, quantity, unit_price, line_total }.
+ * Accepts camelCase / short aliases, fills a missing unit price or line total
+ * from the other, and drops entries without a name or any amount.
+ *
+ * @param {Array} items - Raw items from the model or the request
+ * @param {number} digits - Decimals prices are rounded to (the currency's minor units)
+ * @returns {Array} Normalized items
+ */
+function normalizeLineItems(items, digits = 2) {
+  if (!Array.isArray(items)) return [];
+
+  const num = (v) => {
+    const n = Number.parseFloat(typeof v === 'string' ? v.replace(/[^0-9.\-]/g, '') : v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  return items
+    .map((item) => {
+      if (!item || typeof item !== 'object') return null;
+
+      // ":", "|" and newlines are separators in the canonical text
+      const name = String(item.name ?? item.description ?? '')
+        .replace(/[:|=\r\n]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (!name) return null;
+
+      let quantity = num(item.quantity ?? item.qty);
+      if (quantity == null || quantity === 0) quantity = 1;
+
+      let unitPrice = num(item.unit_price ?? item.unitPrice ?? item.price);
+      let lineTotal = num(item.line_total ?? item.lineTotal ?? item.total);
+      if (unitPrice == null && lineTotal == null) return null;
+      if (unitPrice == null) unitPrice = lineTotal / quantity;
+      if (lineTotal == null) lineTotal = unitPrice * quantity;
+
+      return {
+        name,
+        quantity: Math.round(quantity * 1000) / 1000,
+        unit_price: roundTo(unitPrice, digits),
+        line_total: roundTo(lineTotal, digits),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * items= value of the canonical text: "name:qty:unitPrice:lineTotal" entries,
+ * names lowercased, sorted and joined with "|"
+ */
+function formatCanonicalItems(items, digits = 2) {
+  return items
+    .map(
+      (item) =>
+        `${item.name.toLowerCase()}:${item.quantity}:${item.unit_price.toFixed(digits)}:${item.line_total.toFixed(digits)}`
+    )
+    .sort()
+    .join('|');
+}
+
+/**
+ * Parses a kv2 items= value back into normalized line items
+ * (kv1 entries are name:price:qty and are never re-parsed)
+ */
+function parseCanonicalItems(value, digits = 2) {
+  const items = String(value || '')
+    .split('|')
+    .map((entry) => {
+      const [name, quantity, unitPrice, lineTotal] = entry.split(':');
+      return { name, quantity, unit_price: unitPrice, line_total: lineTotal };
+    });
+  return normalizeLineItems(items, digits);
+}
+
+/**
+ * Checks that each line item is internally consistent and that the items add up to the subtotal.
+ * Items summing to less than the subtotal is the classic padded receipt.
+ *
+ * @param {Array} items - Normalized line items
+ * @param {number} subtotal
+ * @param {string} currency - Tolerances and amounts are in its minor units (2 decimals when missing)
+ * @returns {Object} { isValid, issues, findings, itemsTotal } (findings: the issues with reason codes)
+ */
+function validateLineItems(items, subtotal, currency = null) {
+  const digits = minorUnits(currency);
+  const unit = 10 ** -digits;
+  const fmt = (n) => n.toFixed(digits);
+  const result = { isValid: true, issues: [], findings: [], itemsTotal: 0 };
+  const fail = (code, message, params) => {
+    result.isValid = false;
+    result.issues.push(message);
+    result.findings.push(finding(code, { severity: 'issue', params, message }));
+  };
+  if (!Array.isArray(items) || items.length === 0) return result;
+
+  for (const item of items) {
+    const expected = roundTo(item.quantity * item.unit_price, digits);
+    // float products (3 × 0.1) land a hair past an exact tolerance
+    if (Math.abs(expected - item.line_total) > 2 * unit + 1e-9) {
+      fail(
+        'LINE_ITEM_MISMATCH',
+        `Line item "${item.name}": ${item.quantity} × ${fmt(item.unit_price)} = ${fmt(expected)}, not ${fmt(item.line_total)}`,
+        { name: item.name, quantity: item.quantity, unitPrice: item.unit_price, expected, lineTotal: item.line_total }
+      );
+    }
+  }
+
+  result.itemsTotal = roundTo(items.reduce((sum, item) => sum + item.line_total, 0), digits);
+  const sub = Number.parseFloat(subtotal) || 0;
+  const difference = roundTo(result.itemsTotal - sub, digits);
+
+  // a cent (yen, fils) of rounding per line is normal
+  if (Math.abs(difference) > Math.max(2, items.length) * unit + 1e-9) {
+    const params = { itemsTotal: result.itemsTotal, subtotal: sub };
+    if (difference < 0) {
+      fail(
+        'ITEMS_BELOW_SUBTOTAL',
+        `Line items add up to ${fmt(result.itemsTotal)} but subtotal is ${fmt(sub)} (possible padded receipt)`,
+        params
+      );
+    } else {
+      fail(
+        'ITEMS_ABOVE_SUBTOTAL',
+        `Line items add up to ${fmt(result.itemsTotal)}, more than the subtotal of ${fmt(sub)}`,
+        params
+      );
+    }
+  }
+
+  return result;
+}
+
 /**
  * Computes SHA-256 hash of canonical text
  * 
@@ -67,51 +410,122 @@ function computeHash(canonicalText) {
 }
 
 /**
- * Validates arithmetic consistency of receipt
+ * Validates arithmetic consistency of receipt:
+ * subtotal + tax + tip + deposit - discount + rounding = total
  * 
  * @param {number} subtotal 
  * @param {number} tax 
  * @param {number} total 
- * @returns {Object} { isValid: boolean, difference: number }
+ * @param {Object} adjustments - { tip, discount, deposit, rounding } (optional)
+ * @param {string} currency - Tolerance and amounts are in its minor units (2 decimals when missing)
+ * @returns {Object} { isValid, difference, expected, actual, adjustments, applied, explanation }
  */
-function validateArithmetic(subtotal, tax, total) {
-  const expectedTotal = parseFloat(subtotal) + parseFloat(tax);
+function validateArithmetic(subtotal, tax, total, adjustments = {}, currency = null) {
+  const digits = minorUnits(currency);
+  const fmt = (n) => n.toFixed(digits);
+  const adj = normalizeAdjustments(adjustments, digits);
+  const sub = parseFloat(subtotal) || 0;
+  const taxAmount = parseFloat(tax) || 0;
+  const expectedTotal = sub + taxAmount + adj.tip + adj.deposit - adj.discount + adj.rounding;
   const actualTotal = parseFloat(total);
   const difference = Math.abs(expectedTotal - actualTotal);
   
-  // Allow 0.02 tolerance for rounding
-  const isValid = difference <= 0.02;
+  // Allow 2 of the currency's smallest units for rounding (1e-9: float sums land a hair past it)
+  const isValid = difference <= 2 * 10 ** -digits + 1e-9;
+
+  const applied = [];
+  if (adj.tip) applied.push(`tip +${fmt(adj.tip)}`);
+  if (adj.deposit) applied.push(`deposit +${fmt(adj.deposit)}`);
+  if (adj.discount) applied.push(`discount -${fmt(adj.discount)}`);
+  if (adj.rounding) applied.push(`rounding ${adj.rounding > 0 ? '+' : ''}${fmt(adj.rounding)}`);
+
+  // cash totals in CAD, AUD, CHF... land on the smallest coin (0 or 5 cents in Canada);
+  // a leftover unit or two there is the cash rounding (no currency: CAD, as everywhere else)
+  let reconciledTotal = expectedTotal;
+  const increment = cashRoundingIncrement(currency || 'CAD');
+  const minor = Math.round(actualTotal * 10 ** digits);
+  if (increment && !adj.rounding && isValid && difference >= 0.5 * 10 ** -digits && minor % increment === 0) {
+    const inferred = actualTotal - expectedTotal;
+    applied.push(`cash rounding ${inferred > 0 ? '+' : ''}${fmt(inferred)} (inferred)`);
+    reconciledTotal = actualTotal;
+  }
+
+  const base = `${fmt(sub)} + ${fmt(taxAmount)} tax`;
+  const explanation = applied.length
+    ? `${base}, ${applied.join(', ')} = ${fmt(reconciledTotal)}`
+    : `${base} = ${fmt(reconciledTotal)}`;
   
   return {
     isValid,
-    difference: parseFloat(difference.toFixed(2)),
-    expected: parseFloat(expectedTotal.toFixed(2)),
-    actual: actualTotal
+    difference: parseFloat(difference.toFixed(digits)),
+    expected: parseFloat(expectedTotal.toFixed(digits)),
+    actual: actualTotal,
+    adjustments: adj,
+    applied,
+    explanation
   };
 }
 
+/**
+ * Parses a receipt date (any form utils/dateUtils.js reads) as local time
+ * (avoids the UTC shift of new Date("YYYY-MM-DD"); a printed timezone is ignored)
+ *
+ * @param {string} dateStr
+ * @param {Object} options - { locale, region, currency } for DD/MM vs MM/DD
+ * @returns {Date|null}
+ */
+function parseReceiptDateToLocal(dateStr, options = {}) {
+  const parts = parseReceiptDate(dateStr, options);
+  if (!parts) return null;
+
+  // Local time to avoid UTC shifting issues
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, 0, 0);
+}
+
+/**
+ * Safe "future date" check: tomorrow is still allowed (timezone/processing edge cases)
+ *
+ * @param {string} dateStr
+ * @param {Object} options - { locale, region, currency } for DD/MM vs MM/DD
+ * @returns {boolean}
+ */
+function isFutureReceiptDate(dateStr, options = {}) {
+  const receiptDate = parseReceiptDateToLocal(dateStr, options);
+  if (!receiptDate) return false;
+
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  // Allow tomorrow (timezone/processing edge cases)
+  const tomorrow = new Date(today);
+  tomorrow.setDate(today.getDate() + 1);
+
+  return receiptDate > tomorrow;
+}
+
 /**
  * Validates date format and plausibility
  * 
  * @param {string} dateStr 
- * @returns {Object} { isValid: boolean, reason: string }
+ * @param {Object} options - { locale, region, currency } for DD/MM vs MM/DD
+ * @returns {Object} { isValid: boolean, code: string, reason: string }
  */
-function validateDate(dateStr) {
-  if (!dateStr || dateStr.trim().length === 0) {
-    return { isValid: false, reason: 'Date is missing' };
+function validateDate(dateStr, options = {}) {
+  if (!dateStr || String(dateStr).trim().length === 0) {
+    return { isValid: false, code: 'DATE_MISSING', reason: 'Date is missing' };
   }
 
   // Try to parse the date
-  const date = new Date(dateStr);
+  const date = parseReceiptDateToLocal(dateStr, options);
   
-  if (isNaN(date.getTime())) {
-    return { isValid: false, reason: 'Date format is invalid' };
+  if (!date) {
+    return { isValid: false, code: 'DATE_INVALID', reason: 'Date format is invalid' };
   }
 
   // Check if date is in the future
   const now = new Date();
   if (date > now) {
-    return { isValid: false, reason: 'Date is in the future' };
+    return { isValid: false, code: 'FUTURE_DATE', reason: 'Date is in the future' };
   }
 
   // Check if date is unreasonably old (10 years)
@@ -119,54 +533,69 @@ function validateDate(dateStr) {
   tenYearsAgo.setFullYear(now.getFullYear() - 10);
   
   if (date < tenYearsAgo) {
-    return { isValid: false, reason: 'Date is too old (>10 years)' };
+    return { isValid: false, code: 'DATE_TOO_OLD', reason: 'Date is too old (>10 years)' };
   }
 
-  return { isValid: true, reason: 'Date is plausible' };
+  return { isValid: true, code: 'DATE_OK', reason: 'Date is plausible' };
 }
 
 /**
  * Validates merchant name
  * 
  * @param {string} merchant 
- * @returns {Object} { isValid: boolean, reason: string }
+ * @returns {Object} { isValid: boolean, code: string, reason: string }
  */
 function validateMerchant(merchant) {
   if (!merchant || merchant.trim().length === 0) {
-    return { isValid: false, reason: 'Merchant name is missing' };
+    return { isValid: false, code: 'MERCHANT_MISSING', reason: 'Merchant name is missing' };
   }
 
   if (merchant.trim().length < 2) {
-    return { isValid: false, reason: 'Merchant name is too short' };
+    return { isValid: false, code: 'MERCHANT_TOO_SHORT', reason: 'Merchant name is too short' };
   }
 
   // Check for suspicious patterns (all caps, repeated characters)
   const hasOnlyRepeated = /^(.)\1+$/.test(merchant.trim());
   if (hasOnlyRepeated) {
-    return { isValid: false, reason: 'Merchant name appears suspicious' };
+    return { isValid: false, code: 'MERCHANT_SUSPICIOUS', reason: 'Merchant name appears suspicious' };
   }
 
-  return { isValid: true, reason: 'Merchant name is valid' };
+  return { isValid: true, code: 'MERCHANT_OK', reason: 'Merchant name is valid' };
 }
 
 /**
  * Validates currency code
  * 
  * @param {string} currency 
- * @returns {Object} { isValid: boolean, reason: string }
+ * @returns {Object} { isValid: boolean, code: string|null, reason: string }
  */
 function validateCurrency(currency) {
-  const validCurrencies = ['CAD', 'USD', 'EUR', 'GBP', 'JPY', 'AUD'];
-  
   if (!currency || currency.trim().length === 0) {
-    return { isValid: true, reason: 'Currency defaults to CAD' }; // Default
+    return { isValid: true, code: null, reason: 'Currency defaults to CAD' }; // Default
   }
 
-  if (!validCurrencies.includes(currency.toUpperCase())) {
-    return { isValid: false, reason: `Currency ${currency} not recognized` };
+  if (!isKnownCurrency(currency)) {
+    return { isValid: false, code: 'CURRENCY_UNKNOWN', reason: `Currency ${currency} is not an ISO 4217 code` };
   }
 
-  return { isValid: true, reason: 'Currency is valid' };
+  return { isValid: true, code: null, reason: 'Currency is valid' };
+}
+
+/**
+ * Converted total when it is over LARGE_TOTAL_LIMIT, null otherwise (and when the
+ * FX table has no rate for the receipt's currency and date - it can't be compared)
+ */
+function _exceedsLargeTotal(receiptData) {
+  const total = Math.abs(Number.parseFloat(receiptData.total));
+  if (!Number.isFinite(total)) return null;
+  const currency = normalizeCurrencyCode(receiptData.currency) || LARGE_TOTAL_CURRENCY;
+  const date = normalizeReceiptDate(receiptData.date, { currency, region: receiptData.region })?.normalized;
+  const converted =
+    currency === LARGE_TOTAL_CURRENCY
+      ? { amount: total }
+      : convertAmount(total, currency, LARGE_TOTAL_CURRENCY, date);
+  if (!converted || converted.amount <= LARGE_TOTAL_LIMIT) return null;
+  return { convertedTotal: converted.amount, convertedCurrency: LARGE_TOTAL_CURRENCY };
 }
 
 /**
@@ -180,51 +609,108 @@ function validateReceipt(receiptData) {
   const results = {
     isValid: true,
     issues: [],
-    warnings: []
+    warnings: [],
+    // issues and warnings again, with reason codes (utils/reasonCodes.js)
+    findings: []
+  };
+  const flag = (severity, code, message, params = {}) => {
+    if (severity === 'issue') {
+      results.isValid = false;
+      results.issues.push(message);
+    } else {
+      results.warnings.push(message);
+    }
+    results.findings.push(finding(code, { severity, params, message }));
   };
 
   // Validate merchant
   const merchantCheck = validateMerchant(receiptData.merchant);
   if (!merchantCheck.isValid) {
-    results.isValid = false;
-    results.issues.push(merchantCheck.reason);
+    flag('issue', merchantCheck.code, merchantCheck.reason, { merchant: receiptData.merchant || '' });
   }
 
   // Validate date
-  const dateCheck = validateDate(receiptData.date);
+  const dateCheck = validateDate(receiptData.date, { currency: receiptData.currency, region: receiptData.region });
   if (!dateCheck.isValid) {
-    results.warnings.push(dateCheck.reason);
+    flag('warning', dateCheck.code, dateCheck.reason, { date: receiptData.date || '' });
   }
 
   // Validate currency
   const currencyCheck = validateCurrency(receiptData.currency);
   if (!currencyCheck.isValid) {
-    results.warnings.push(currencyCheck.reason);
+    flag('warning', currencyCheck.code, currencyCheck.reason, { currency: receiptData.currency });
+  } else if (receiptData.currency) {
+    // 1234.56 JPY or 12.3456 USD is a misread (or made up) amount
+    const digits = minorUnits(receiptData.currency);
+    const precise = ['subtotal', 'tax', 'total'].filter((field) => hasExcessPrecision(receiptData[field], receiptData.currency));
+    if (precise.length > 0) {
+      flag(
+        'warning',
+        'CURRENCY_PRECISION',
+        `${String(receiptData.currency).toUpperCase()} amounts have ${digits} decimal${digits === 1 ? '' : 's'}, but ${precise.join(', ')} ${precise.length === 1 ? 'has' : 'have'} more`,
+        { currency: String(receiptData.currency).toUpperCase(), digits, fields: precise }
+      );
+    }
   }
 
-  // Validate arithmetic
-  const arithmeticCheck = validateArithmetic(
-    receiptData.subtotal,
-    receiptData.tax,
-    receiptData.total
-  );
+  // Validate arithmetic (refunds on magnitudes: -10.00 - 1.30 tax = -11.30)
+  const receiptType = normalizeReceiptType(receiptData.receipt_type);
+  const isRefund = receiptType === 'refund';
+  const abs = (v) => Math.abs(Number.parseFloat(v) || 0);
+  const arithmeticCheck = isRefund
+    ? validateArithmetic(abs(receiptData.subtotal), abs(receiptData.tax), abs(receiptData.total), {
+        tip: abs(receiptData.tip),
+        discount: abs(receiptData.discount),
+        deposit: abs(receiptData.deposit),
+        rounding: -(Number.parseFloat(receiptData.rounding) || 0)
+      }, receiptData.currency)
+    : validateArithmetic(receiptData.subtotal, receiptData.tax, receiptData.total, receiptData, receiptData.currency);
+  results.arithmetic = {
+    expected: arithmeticCheck.expected,
+    actual: arithmeticCheck.actual,
+    applied: arithmeticCheck.applied,
+    explanation: arithmeticCheck.explanation
+  };
   
   if (!arithmeticCheck.isValid) {
-    results.isValid = false;
-    results.issues.push(
-      `Math error: ${arithmeticCheck.expected} expected but got ${arithmeticCheck.actual}`
+    flag(
+      'issue',
+      'MATH_MISMATCH',
+      `Math error: ${arithmeticCheck.expected} expected but got ${arithmeticCheck.actual} (${arithmeticCheck.explanation})`,
+      { expected: arithmeticCheck.expected, actual: arithmeticCheck.actual, difference: arithmeticCheck.difference }
     );
   }
 
-  // Check for negative values
-  if (receiptData.subtotal < 0 || receiptData.tax < 0 || receiptData.total < 0) {
-    results.isValid = false;
-    results.issues.push('Negative values detected');
+  // Validate line items against the subtotal
+  const itemsCheck = validateLineItems(receiptData.items, receiptData.subtotal, receiptData.currency);
+  for (const f of itemsCheck.findings) flag('issue', f.code, f.message, f.params);
+
+  // Validate tax components against the region's rates
+  const taxCheck = validateTaxes(receiptData);
+  results.tax = { region: taxCheck.region, regionName: taxCheck.regionName, effectiveRate: taxCheck.effectiveRate };
+  for (const f of taxCheck.findings) flag('warning', f.code, f.message, f.params);
+
+  // Check signs against the receipt type
+  const amounts = [receiptData.subtotal, receiptData.tax, receiptData.total].map((v) => Number.parseFloat(v) || 0);
+  results.receiptType = receiptType;
+  if (receiptType === 'sale' && amounts.some((v) => v < 0)) {
+    flag('issue', 'NEGATIVE_ON_SALE', 'Negative values detected on a sale (if this is a return, set receipt_type to refund)');
+  } else if (isRefund && amounts.some((v) => v > 0)) {
+    flag('issue', 'REFUND_MIXED_SIGNS', 'Refund mixes positive and negative amounts');
+  } else if (receiptType === 'exchange' && amounts[0] * amounts[2] < 0) {
+    flag('issue', 'EXCHANGE_OPPOSITE_SIGNS', 'Exchange subtotal and total have opposite signs');
   }
 
-  // Check for unreasonably large values (>$10,000)
-  if (receiptData.total > 10000) {
-    results.warnings.push('Total exceeds $10,000 - please verify');
+  // Check for unreasonably large values (over 10,000 CAD at the receipt date's rate)
+  const largeTotal = _exceedsLargeTotal(receiptData);
+  if (largeTotal) {
+    const currency = normalizeCurrencyCode(receiptData.currency) || LARGE_TOTAL_CURRENCY;
+    flag(
+      'warning',
+      'LARGE_TOTAL',
+      `Total of ${formatAmount(receiptData.total, currency)} ${currency} exceeds ${LARGE_TOTAL_LIMIT.toLocaleString('en-CA')} ${LARGE_TOTAL_CURRENCY} - please verify`,
+      { total: Number.parseFloat(receiptData.total), currency, ...largeTotal }
+    );
   }
 
   return results;
@@ -238,21 +724,41 @@ function validateReceipt(receiptData) {
  * @returns {string}
  */
 function formatCurrency(amount, currency = 'CAD') {
+  const digits = minorUnits(currency);
   const formatter = new Intl.NumberFormat('en-CA', {
     style: 'currency',
     currency: currency,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
   });
   
   return formatter.format(amount);
 }
 
 module.exports = {
+  CANONICAL_FORMATS,
+  CANONICAL_FORMAT,
+  CANONICAL_VERSIONS,
+  CANONICAL_VERSION,
+  RECEIPT_TYPES,
+  normalizeReceiptType,
+  applyReceiptTypeSigns,
+  ADJUSTMENT_FIELDS,
+  normalizeAdjustments,
   createCanonicalText,
+  createCanonicalDocument,
+  createCanonicalJson,
+  canonicalVersionOf,
+  normalizeCanonicalJson,
   computeHash,
+  normalizeLineItems,
+  formatCanonicalItems,
+  parseCanonicalItems,
+  validateLineItems,
   validateArithmetic,
   validateDate,
+  parseReceiptDateToLocal,
+  isFutureReceiptDate,
   validateMerchant,
   validateCurrency,
   validateReceipt,
@@ -0,0 +1,295 @@
+/**
+ * Multi-component tax model
+ *
+ * Receipts carry tax as named components (GST + PST, HST, GST + QST, one or
+ * more VAT rates). Each component is checked against a per-jurisdiction rate
+ * table (data/taxRates.json, override with TAX_RATES_PATH):
+ *
+ *   "CA-BC": { "name": "British Columbia", "currency": "CAD", "components": { "GST": [0.05], "PST": [0.07] } }
+ *   "US":    { ..., "components": { "SALES_TAX": { "min": 0, "max": 0.1025 } } }
+ *
+ * A component lists its allowed rates, or a { min, max } range where rates vary locally.
+ * "maxCombinedRate" caps the total rate where components are alternatives rather than stacked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { finding } = require('./reasonCodes');
+
+const DEFAULT_TAX_RATES_PATH = path.join(__dirname, '..', 'data', 'taxRates.json');
+
+// names printed on receipts -> the component codes used in the rate table
+const COMPONENT_ALIASES = {
+  TPS: 'GST',
+  TVQ: 'QST',
+  TVH: 'HST',
+  SALES: 'SALES_TAX',
+  SALESTAX: 'SALES_TAX',
+  TAX: 'SALES_TAX',
+  TVA: 'VAT',
+  IVA: 'VAT',
+  MWST: 'VAT',
+  UST: 'VAT',
+  BTW: 'VAT',
+};
+
+// first letter of a Canadian postal code -> province
+const POSTAL_PREFIX_REGIONS = {
+  A: 'CA-NL', B: 'CA-NS', C: 'CA-PE', E: 'CA-NB', G: 'CA-QC', H: 'CA-QC', J: 'CA-QC',
+  K: 'CA-ON', L: 'CA-ON', M: 'CA-ON', N: 'CA-ON', P: 'CA-ON', R: 'CA-MB', S: 'CA-SK',
+  T: 'CA-AB', V: 'CA-BC', Y: 'CA-YT',
+};
+
+const COUNTRY_NAMES = {
+  GB: ['united kingdom', 'england', 'scotland', 'wales'],
+  DE: ['germany', 'deutschland'],
+  FR: ['france'],
+  ES: ['spain', 'españa', 'espana'],
+  IT: ['italy', 'italia'],
+  NL: ['netherlands', 'nederland'],
+  IE: ['ireland', 'éire'],
+  AU: ['australia'],
+  JP: ['japan'],
+  US: ['united states', 'usa'],
+};
+
+const CURRENCY_REGIONS = { CAD: 'CA', USD: 'US', GBP: 'GB', EUR: 'EU', AUD: 'AU', JPY: 'JP' };
+
+let taxRates = null;
+
+/**
+ * Loads the jurisdiction rate table. Called once at startup; otherwise the
+ * bundled data/taxRates.json is used.
+ */
+function loadTaxRates(filePath = DEFAULT_TAX_RATES_PATH) {
+  const parsed = JSON.parse(fs.readFileSync(filePath || DEFAULT_TAX_RATES_PATH, 'utf8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Tax rate table at ${filePath} must be a JSON object`);
+  }
+  taxRates = parsed;
+  return taxRates;
+}
+
+function getTaxRates() {
+  return taxRates || loadTaxRates();
+}
+
+function normalizeComponentName(name) {
+  const key = String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z_ ]/g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+  return COMPONENT_ALIASES[key.replace(/_/g, '')] || COMPONENT_ALIASES[key] || key;
+}
+
+/**
+ * Normalizes tax components to { name, rate, amount, base }.
+ * rate is a fraction (13 or "13%" becomes 0.13), null when not printed.
+ *
+ * @param {Array} taxes - Raw components from the model or the request
+ * @param {number} digits - Decimals amounts are rounded to (the currency's minor units)
+ * @returns {Array} Normalized components
+ */
+function normalizeTaxComponents(taxes, digits = 2) {
+  if (!Array.isArray(taxes)) return [];
+
+  const num = (v) => {
+    if (v == null || v === '') return null;
+    const n = Number.parseFloat(typeof v === 'string' ? v.replace(/[^0-9.\-]/g, '') : v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  const factor = 10 ** digits;
+  return taxes
+    .map((component) => {
+      if (!component || typeof component !== 'object') return null;
+
+      const name = normalizeComponentName(component.name ?? component.type);
+      const amount = num(component.amount);
+      if (!name || amount == null) return null;
+
+      let rate = num(component.rate);
+      if (rate != null && rate > 1) rate /= 100;
+
+      const base = num(component.base ?? component.taxable);
+
+      return {
+        name,
+        rate: rate == null ? null : Math.round(rate * 100000) / 100000,
+        amount: Math.round(amount * factor) / factor,
+        base: base == null ? null : Math.round(base * factor) / factor,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * taxes= value of the canonical text: "NAME:rate:amount" entries, sorted and joined with "|"
+ */
+function formatCanonicalTaxes(taxes, digits = 2) {
+  return taxes
+    .map((t) => `${t.name}:${t.rate == null ? '' : t.rate}:${t.amount.toFixed(digits)}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Parses a taxes= value back into normalized components
+ */
+function parseCanonicalTaxes(value, digits = 2) {
+  const taxes = String(value || '')
+    .split('|')
+    .map((entry) => {
+      const [name, rate, amount] = entry.split(':');
+      return { name, rate, amount };
+    });
+  return normalizeTaxComponents(taxes, digits);
+}
+
+/**
+ * Infers the tax jurisdiction: explicit region, then the merchant address
+ * (Canadian postal code / province, country name), then the currency.
+ *
+ * @param {Object} receipt - { region, merchant_address, currency }
+ * @returns {string|null} Region code from the rate table
+ */
+function inferTaxRegion(receipt = {}) {
+  const table = getTaxRates();
+
+  const explicit = String(receipt.region || '').trim().toUpperCase();
+  if (explicit && table[explicit]) return explicit;
+
+  const address = String(receipt.merchant_address || receipt.merchantAddress || '');
+  if (address) {
+    const postal = address.toUpperCase().match(/\b([ABCEGHJ-NPRSTVXY])\d[A-Z]\s?\d[A-Z]\d\b/);
+    if (postal && POSTAL_PREFIX_REGIONS[postal[1]]) return POSTAL_PREFIX_REGIONS[postal[1]];
+
+    const province = address.match(/\b(AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)\b/);
+    if (province && table[`CA-${province[1]}`]) return `CA-${province[1]}`;
+
+    const lower = address.toLowerCase();
+    for (const [code, entry] of Object.entries(table)) {
+      if (code.startsWith('CA-') && lower.includes(String(entry.name).toLowerCase())) return code;
+    }
+    for (const [code, names] of Object.entries(COUNTRY_NAMES)) {
+      if (table[code] && names.some((n) => lower.includes(n))) return code;
+    }
+  }
+
+  const byCurrency = CURRENCY_REGIONS[String(receipt.currency || '').trim().toUpperCase()];
+  return byCurrency && table[byCurrency] ? byCurrency : null;
+}
+
+function _rateMatches(rate, allowed, tolerance) {
+  if (Array.isArray(allowed)) return allowed.some((r) => Math.abs(r - rate) <= tolerance);
+  return rate >= (allowed.min ?? 0) - tolerance && rate <= (allowed.max ?? 1) + tolerance;
+}
+
+function _describeRates(allowed) {
+  const pct = (r) => `${Math.round(r * 100000) / 1000}%`;
+  if (Array.isArray(allowed)) return allowed.map(pct).join(' or ');
+  return `${pct(allowed.min ?? 0)}-${pct(allowed.max ?? 1)}`;
+}
+
+function _maxRate(allowed) {
+  return Array.isArray(allowed) ? Math.max(...allowed) : allowed.max ?? 1;
+}
+
+/**
+ * Checks tax components (or the single tax figure) against the region's rate table
+ *
+ * @param {Object} receipt - { subtotal, tax, taxes, region, merchant_address, currency }
+ * @returns {Object} { region, regionName, effectiveRate, warnings, findings } (findings: the warnings with reason codes)
+ */
+function validateTaxes(receipt = {}) {
+  const table = getTaxRates();
+  const region = inferTaxRegion(receipt);
+  const jurisdiction = region ? table[region] : null;
+  const subtotal = Number.parseFloat(receipt.subtotal) || 0;
+  const tax = Number.parseFloat(receipt.tax) || 0;
+  const taxes = normalizeTaxComponents(receipt.taxes);
+
+  const result = {
+    region,
+    regionName: jurisdiction?.name || null,
+    effectiveRate: subtotal > 0 ? Math.round((tax / subtotal) * 10000) / 10000 : null,
+    warnings: [],
+    findings: [],
+  };
+  const warn = (code, message, params) => {
+    result.warnings.push(message);
+    result.findings.push(finding(code, { severity: 'warning', params, message }));
+  };
+
+  if (taxes.length > 0) {
+    const sum = taxes.reduce((acc, t) => acc + t.amount, 0);
+    if (Math.abs(sum - tax) > 0.02) {
+      warn('TAX_COMPONENTS_MISMATCH', `Tax components add up to ${sum.toFixed(2)} but tax is ${tax.toFixed(2)}`, {
+        componentsTotal: Math.round(sum * 100) / 100,
+        tax,
+      });
+    }
+  }
+
+  if (!jurisdiction) return result;
+  const components = jurisdiction.components || {};
+
+  if (taxes.length === 0) {
+    // one tax figure: mixed baskets (exempt items, reduced rates) can only pull the rate down
+    const maxRate =
+      jurisdiction.maxCombinedRate ??
+      Object.values(components).reduce((acc, allowed) => acc + _maxRate(allowed), 0);
+    if (result.effectiveRate != null && result.effectiveRate > maxRate + 0.005) {
+      warn(
+        'TAX_RATE_TOO_HIGH',
+        `Effective tax rate ${(result.effectiveRate * 100).toFixed(2)}% is higher than any rate in ${jurisdiction.name} (max ${(maxRate * 100).toFixed(3).replace(/\.?0+$/, '')}%)`,
+        { rate: result.effectiveRate, maxRate, region }
+      );
+    }
+    return result;
+  }
+
+  for (const t of taxes) {
+    const allowed = components[t.name];
+    if (!allowed) {
+      warn('TAX_NOT_IN_REGION', `${t.name} is not charged in ${jurisdiction.name}`, { tax: t.name, region });
+      continue;
+    }
+
+    // stacked Canadian taxes and single-rate receipts apply to the whole subtotal
+    const base = t.base ?? (taxes.length === 1 || !Array.isArray(allowed) || allowed.length === 1 ? subtotal : null);
+    const computedRate = base > 0 ? t.amount / base : null;
+    const rate = t.rate ?? computedRate;
+    if (rate == null) continue;
+
+    // amounts are rounded to the cent, so derived rates on small bases are fuzzy
+    const tolerance = Math.max(0.0025, base > 0 ? 0.01 / base : 0);
+    if (!_rateMatches(rate, allowed, tolerance)) {
+      warn(
+        'TAX_RATE_MISMATCH',
+        `${t.name} at ${(rate * 100).toFixed(2)}% doesn't match ${jurisdiction.name} (${_describeRates(allowed)})`,
+        { tax: t.name, rate, region }
+      );
+    } else if (t.rate != null && computedRate != null && Math.abs(t.rate * base - t.amount) > 0.02) {
+      warn(
+        'TAX_AMOUNT_MISMATCH',
+        `${t.name} amount ${t.amount.toFixed(2)} is not ${(t.rate * 100).toFixed(3).replace(/\.?0+$/, '')}% of ${base.toFixed(2)}`,
+        { tax: t.name, amount: t.amount, rate: t.rate, base }
+      );
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_TAX_RATES_PATH,
+  loadTaxRates,
+  getTaxRates,
+  normalizeTaxComponents,
+  formatCanonicalTaxes,
+  parseCanonicalTaxes,
+  inferTaxRegion,
+  validateTaxes,
+};
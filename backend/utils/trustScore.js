@@ -0,0 +1,173 @@
+/**
+ * Deterministic, explainable trust score
+ *
+ * Server port of mobile/lib/utils/trust_score.dart, so every client gets the
+ * same check list. Not AI: the same receipt always gives the same checks.
+ * The score starts at 100 and each check deducts its impact.
+ */
+
+const { normalizeReceiptType, validateArithmetic } = require('./receiptUtils');
+const { parseReceiptDate } = require('./dateUtils');
+const { isKnownCurrency, minorUnits, formatAmount } = require('./currencies');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function check(name, status, impact, description) {
+  return { name, status, impact, description };
+}
+
+function _merchantCheck(merchant) {
+  const m = String(merchant || '').trim();
+  if (!m) return check('Merchant present', 'fail', 25, 'Merchant is missing.');
+  if (m.length < 3) return check('Merchant present', 'warn', 8, 'Merchant looks unusually short.');
+  return check('Merchant present', 'pass', 0, 'Merchant field looks okay.');
+}
+
+// tip / discount / deposit / rounding counted; refunds on magnitudes, like validateReceipt.
+// Tolerances are in the currency's smallest unit: 2 and 25 cents, 2 and 25 yen, 2 and 25 fils.
+function _mathCheck(receipt, isRefund, currency) {
+  const abs = (v) => Math.abs(Number.parseFloat(v) || 0);
+  const math = isRefund
+    ? validateArithmetic(abs(receipt.subtotal), abs(receipt.tax), abs(receipt.total), {
+        tip: abs(receipt.tip),
+        discount: abs(receipt.discount),
+        deposit: abs(receipt.deposit),
+        rounding: -(Number.parseFloat(receipt.rounding) || 0),
+      }, currency)
+    : validateArithmetic(receipt.subtotal, receipt.tax, receipt.total, receipt, currency);
+  const diff = Number.isFinite(math.difference) ? math.difference : Infinity;
+  const unit = 10 ** -minorUnits(currency);
+  // float sums (0.1 + 0.2) land a hair past an exact tolerance
+  const within = (units) => diff <= units * unit + 1e-9;
+
+  if (within(2)) return check('Math consistency', 'pass', 0, 'Subtotal + tax matches total.');
+  const off = Number.isFinite(diff) ? `${formatAmount(diff, currency)}${currency ? ` ${currency}` : ''}` : 'an unknown amount';
+  if (within(25)) {
+    return check('Math consistency', 'warn', 10, `Total is off by ${off} (possible rounding / entry error).`);
+  }
+  return check('Math consistency', 'fail', 25, `Total is off by ${off} (high risk).`);
+}
+
+function _currencyCheck(currency) {
+  const c = String(currency || '').trim().toUpperCase();
+  if (!c) return check('Currency', 'warn', 6, 'Currency missing.');
+  if (!isKnownCurrency(c)) return check('Currency', 'warn', 6, `Unknown currency code: ${c}`);
+  return check('Currency', 'pass', 0, 'Currency looks normal.');
+}
+
+function _taxRateCheck(subtotal, tax, currency) {
+  const rate = tax / subtotal;
+  const pct = `${(rate * 100).toFixed(1)}%`;
+  if (tax === 0) return check('Tax rate', 'warn', 8, 'Tax is 0 (could be valid, but unusual).');
+
+  if (currency === 'CAD') {
+    if (rate >= 0.02 && rate <= 0.2) return check('Tax rate', 'pass', 0, `Tax rate ${pct} looks plausible.`);
+    if (rate > 0.2 && rate <= 0.35) return check('Tax rate', 'warn', 10, `Tax rate ${pct} is high.`);
+    return check('Tax rate', 'fail', 22, `Tax rate ${pct} is implausible.`);
+  }
+  // other currencies: lighter heuristic
+  if (rate >= 0 && rate <= 0.35) return check('Tax rate', 'pass', 0, `Tax rate ${pct} looks plausible.`);
+  return check('Tax rate', 'warn', 10, `Tax rate ${pct} seems unusual.`);
+}
+
+function _dateCheck(receipt, now) {
+  const raw = String(receipt.date || '').trim();
+  if (!raw) return check('Date', 'warn', 8, 'Date missing.');
+
+  const parts = parseReceiptDate(raw, { currency: receipt.currency, region: receipt.region });
+  if (!parts) return check('Date', 'warn', 8, 'Date format should be YYYY-MM-DD.');
+
+  const day = Date.UTC(parts.year, parts.month - 1, parts.day);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  const datePart = raw.split(' ')[0];
+
+  if (day > today) return check('Date', 'fail', 25, `Date is in the future (${datePart}).`);
+  const daysOld = Math.floor((today - day) / DAY_MS);
+  if (daysOld > 365) return check('Date', 'warn', 10, `Receipt is ${daysOld} days old (older than 1 year).`);
+  return check('Date', 'pass', 0, `Date looks valid (${datePart}).`);
+}
+
+/**
+ * Runs the trust checks on an extracted receipt
+ *
+ * @param {Object} receipt - merchant, date, currency, subtotal, tax, total (+ adjustments, receipt_type)
+ * @param {Object} options - { now } (default: the current time)
+ * @returns {Object} { score: 0..100, checks: [{ name, status: 'pass'|'warn'|'fail', impact, description }] }
+ */
+function computeTrustScore(receipt, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const isRefund = normalizeReceiptType(receipt.receipt_type) === 'refund';
+  // refunds are stored negative; their checks run on magnitudes
+  const amount = (v) => {
+    const n = Number.parseFloat(v) || 0;
+    return isRefund ? Math.abs(n) : n;
+  };
+  const subtotal = amount(receipt.subtotal);
+  const tax = amount(receipt.tax);
+  const total = amount(receipt.total);
+  const currency = String(receipt.currency || '').trim().toUpperCase();
+
+  const checks = [_merchantCheck(receipt.merchant), _mathCheck(receipt, isRefund, currency), _currencyCheck(currency)];
+
+  checks.push(
+    subtotal <= 0 || total <= 0
+      ? check('Amounts positive', 'fail', 25, 'Subtotal/total must be greater than 0.')
+      : check('Amounts positive', 'pass', 0, 'Amounts are positive.')
+  );
+  if (subtotal > 0) checks.push(_taxRateCheck(subtotal, tax, currency));
+  checks.push(_dateCheck(receipt, now));
+
+  const score = checks.reduce((s, c) => s - c.impact, 100);
+  return { score: Math.max(0, Math.min(100, score)), checks };
+}
+
+/**
+ * Single decision from the AI verdict and the trust score
+ * (server port of mobile/lib/utils/final_risk.dart)
+ *
+ * @param {Object} analysis - { verdict, reasons }
+ * @param {Object} trust - computeTrustScore result
+ * @returns {Object} { level: 'good'|'warning'|'bad', badge, summary, explanation }
+ */
+function resolveFinalRisk(analysis, trust) {
+  // hard fails override everything
+  const mathFail = trust.checks.some((c) => c.name === 'Math consistency' && c.status === 'fail');
+  const aiSaysFake = analysis.verdict === 'LIKELY_FAKE';
+  const aiSaysSuspicious = analysis.verdict === 'SUSPICIOUS';
+  const lowTrust = trust.score < 50;
+
+  if (mathFail || aiSaysFake || lowTrust) {
+    let explanation;
+    if (mathFail) {
+      explanation = 'Total does not match subtotal + tax. This is a critical inconsistency.';
+    } else if (aiSaysFake) {
+      explanation = `AI flagged as likely fake. ${(analysis.reasons || [])[0] || ''}`.trim();
+    } else {
+      explanation = `Low trust score (${trust.score}/100). Multiple red flags detected.`;
+    }
+    return { level: 'bad', badge: 'HIGH RISK', summary: 'Do not reimburse without further review', explanation };
+  }
+
+  if (aiSaysSuspicious || trust.score < 70) {
+    const reasons = [];
+    if (aiSaysSuspicious) reasons.push('AI flagged as suspicious');
+    if (trust.score < 70) reasons.push(`Trust score ${trust.score}/100`);
+    return {
+      level: 'warning',
+      badge: 'REVIEW NEEDED',
+      summary: 'Some inconsistencies detected',
+      explanation: `${reasons.join('; ')}. Manual review recommended.`,
+    };
+  }
+
+  return {
+    level: 'good',
+    badge: 'LOW RISK',
+    summary: 'Receipt appears legitimate',
+    explanation: 'All checks passed. No significant red flags detected.',
+  };
+}
+
+module.exports = {
+  computeTrustScore,
+  resolveFinalRisk,
+};
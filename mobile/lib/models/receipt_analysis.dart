@@ -1,5 +1,8 @@
 // lib/models/receipt_analysis.dart
 
+import '../utils/final_risk.dart';
+import '../utils/trust_score.dart';
+
 /// The structured result returned by Gemini.
 /// Keep this model stable: it becomes the contract between AI + UI + proof logic.
 class ReceiptAnalysis {
@@ -25,6 +28,10 @@ class ReceiptAnalysis {
   /// Optional: set later when you compute the canonical hash for proof.
   final String? canonicalHash;
 
+  /// Backend trust checks and risk badge; null when the analysis didn't come from /analyze
+  final TrustScore? trustScore;
+  final FinalRisk? finalRisk;
+
   const ReceiptAnalysis({
     required this.merchant,
     required this.date,
@@ -37,6 +44,8 @@ class ReceiptAnalysis {
     required this.reasons,
     required this.confidence,
     this.canonicalHash,
+    this.trustScore,
+    this.finalRisk,
   });
 
   /// UI helper: big badge text (judge-friendly)
@@ -99,6 +108,8 @@ class ReceiptAnalysis {
       reasons: _toStringList(json['reasons']),
       confidence: _toDouble(json['confidence']).clamp(0.0, 1.0),
       canonicalHash: json['canonical_hash']?.toString(),
+      trustScore: TrustScore.fromJson(json),
+      finalRisk: FinalRisk.fromJson(json['final_risk']),
     );
   }
 
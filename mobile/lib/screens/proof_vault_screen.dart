@@ -1,3 +1,5 @@
+import 'dart:convert';
+
 import 'package:flutter/material.dart';
 import 'package:intl/intl.dart';
 import '../services/api_service.dart';
@@ -12,7 +14,10 @@ class ProofVaultScreen extends StatefulWidget {
 class _ProofVaultScreenState extends State<ProofVaultScreen> {
   List<Map<String, dynamic>> _proofs = [];
   bool _loading = true;
+  bool _loadingMore = false;
   String? _error;
+  String? _nextCursor;
+  int _total = 0;
 
   @override
   void initState() {
@@ -33,6 +38,8 @@ class _ProofVaultScreenState extends State<ProofVaultScreen> {
       final proofs = (response['proofs'] as List?)?.cast<Map<String, dynamic>>() ?? [];
       setState(() {
         _proofs = proofs;
+        _nextCursor = response['nextCursor'] as String?;
+        _total = response['total'] as int? ?? proofs.length;
         _loading = false;
       });
     } catch (e) {
@@ -44,11 +51,33 @@ class _ProofVaultScreenState extends State<ProofVaultScreen> {
     }
   }
 
+  Future<void> _loadMore() async {
+    if (_nextCursor == null || _loadingMore) return;
+    setState(() => _loadingMore = true);
+
+    try {
+      final response = await ApiService.getProofs(cursor: _nextCursor);
+      if (!mounted) return;
+
+      final proofs = (response['proofs'] as List?)?.cast<Map<String, dynamic>>() ?? [];
+      setState(() {
+        _proofs = [..._proofs, ...proofs];
+        _nextCursor = response['nextCursor'] as String?;
+        _total = response['total'] as int? ?? _total;
+        _loadingMore = false;
+      });
+    } catch (e) {
+      if (!mounted) return;
+      setState(() => _loadingMore = false);
+      ScaffoldMessenger.of(context).showSnackBar(SnackBar(content: Text('Could not load more proofs: $e')));
+    }
+  }
+
   @override
   Widget build(BuildContext context) {
     return Scaffold(
       appBar: AppBar(
-        title: const Text('Proof Vault'),
+        title: Text(_loading ? 'Proof Vault' : 'Proof Vault ($_total)'),
         actions: [
           IconButton(
             icon: const Icon(Icons.refresh),
@@ -91,12 +120,26 @@ class _ProofVaultScreenState extends State<ProofVaultScreen> {
                     )
                   : ListView.builder(
                       padding: const EdgeInsets.all(16),
-                      itemCount: _proofs.length,
-                      itemBuilder: (_, i) => _proofCard(_proofs[i]),
+                      itemCount: _proofs.length + (_nextCursor != null ? 1 : 0),
+                      itemBuilder: (_, i) => i < _proofs.length ? _proofCard(_proofs[i]) : _loadMoreButton(),
                     ),
     );
   }
 
+  Widget _loadMoreButton() {
+    return Padding(
+      padding: const EdgeInsets.symmetric(vertical: 8),
+      child: Center(
+        child: _loadingMore
+            ? const CircularProgressIndicator()
+            : OutlinedButton(
+                onPressed: _loadMore,
+                child: Text('Load more (${_proofs.length} of $_total)'),
+              ),
+      ),
+    );
+  }
+
   Widget _proofCard(Map<String, dynamic> proof) {
     final tx = proof['txSignature']?.toString() ?? '';
     final canonical = proof['canonicalText']?.toString() ?? '';
@@ -177,6 +220,15 @@ class _ProofVaultScreenState extends State<ProofVaultScreen> {
   }
 
   String _extractField(String canonical, String field) {
+    // v2 canonical text is a JSON document
+    if (canonical.trimLeft().startsWith('{')) {
+      try {
+        final doc = jsonDecode(canonical);
+        if (doc is Map && doc[field] != null) return doc[field].toString();
+      } catch (_) {}
+      return '';
+    }
+
     final lines = canonical.split('\n');
     for (final line in lines) {
       if (line.startsWith('$field=')) {
@@ -24,7 +24,8 @@ class _ResultScreenState extends State<ResultScreen> {
   @override
   void initState() {
     super.initState();
-    _trustScore = TrustScore.compute(
+    // the backend's checks win, so every client shows the same decision
+    _trustScore = widget.analysis.trustScore ?? TrustScore.compute(
       merchant: widget.analysis.merchant,
       date: widget.analysis.date,
       currency: widget.analysis.currency,
@@ -33,10 +34,11 @@ class _ResultScreenState extends State<ResultScreen> {
       total: widget.analysis.total,
     );
 
-    _finalRisk = FinalRisk.resolve(
-      analysis: widget.analysis,
-      trustScore: _trustScore,
-    );
+    _finalRisk = widget.analysis.finalRisk ??
+        FinalRisk.resolve(
+          analysis: widget.analysis,
+          trustScore: _trustScore,
+        );
   }
 
   String _buildCanonicalText(ReceiptAnalysis a) {
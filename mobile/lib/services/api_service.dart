@@ -11,7 +11,13 @@ class ApiService {
     return 'http://localhost:3000';
   }
 
-  static const Map<String, String> _headers = {'Content-Type': 'application/json'};
+  // Build with --dart-define=API_KEY=... when the backend has API_KEYS set
+  static const String _apiKey = String.fromEnvironment('API_KEY');
+
+  static Map<String, String> get _headers => {
+        'Content-Type': 'application/json',
+        if (_apiKey.isNotEmpty) 'x-api-key': _apiKey,
+      };
 
   static Exception _prettyError(String title, http.Response r) {
     try {
@@ -80,8 +86,19 @@ class ApiService {
     throw _prettyError('Proof lookup failed', response);
   }
 
-  static Future<Map<String, dynamic>> getProofs() async {
-    final response = await http.get(Uri.parse('$baseUrl/proofs'), headers: _headers);
+  /// One page of the Proof Vault. Pass the previous page's `nextCursor` to continue;
+  /// [filters] maps straight to /proofs query params (merchant, currency, verdict, q, ...).
+  static Future<Map<String, dynamic>> getProofs({
+    String? cursor,
+    int limit = 25,
+    Map<String, String> filters = const {},
+  }) async {
+    final uri = Uri.parse('$baseUrl/proofs').replace(queryParameters: {
+      ...filters,
+      'limit': '$limit',
+      if (cursor != null) 'cursor': cursor,
+    });
+    final response = await http.get(uri, headers: _headers);
     if (response.statusCode == 200) {
       final decoded = jsonDecode(response.body);
       if (decoded is Map<String, dynamic>) return decoded;
@@ -16,13 +16,28 @@ class FinalRisk {
     required this.explanation,
   });
 
+  /// final_risk as computed by the backend (same rules as [resolve])
+  static FinalRisk? fromJson(dynamic json) {
+    if (json is! Map) return null;
+    final level = RiskLevel.values.firstWhere(
+      (l) => l.name == json['level'],
+      orElse: () => RiskLevel.warning,
+    );
+    return FinalRisk(
+      level: level,
+      badge: (json['badge'] ?? '').toString(),
+      summary: (json['summary'] ?? '').toString(),
+      explanation: (json['explanation'] ?? '').toString(),
+    );
+  }
+
   // Deterministic resolver: AI + TrustScore → single decision
   static FinalRisk resolve({
     required ReceiptAnalysis analysis,
     required TrustScore trustScore,
   }) {
     // Hard fails override everything
-    final mathFail = trustScore.checks.any((c) => c.name == 'Math Consistency' && c.status == 'fail');
+    final mathFail = trustScore.checks.any((c) => c.name == 'Math consistency' && c.status == 'fail');
     final aiSaysFake = analysis.verdict == 'LIKELY_FAKE';
     final aiSaysSuspicious = analysis.verdict == 'SUSPICIOUS';
     final lowTrust = trustScore.score < 50;
@@ -15,6 +15,13 @@ class TrustCheck {
     required this.impact,
     required this.description,
   });
+
+  factory TrustCheck.fromJson(Map<String, dynamic> json) => TrustCheck(
+        name: (json['name'] ?? '').toString(),
+        status: (json['status'] ?? 'warn').toString(),
+        impact: (json['impact'] as num?)?.round() ?? 0,
+        description: (json['description'] ?? '').toString(),
+      );
 }
 
 class TrustScore {
@@ -23,6 +30,17 @@ class TrustScore {
 
   const TrustScore({required this.score, required this.checks});
 
+  /// trust_score + trust_checks as computed by the backend (same checks as [compute])
+  static TrustScore? fromJson(Map<String, dynamic> json) {
+    final score = json['trust_score'];
+    final checks = json['trust_checks'];
+    if (score is! num || checks is! List) return null;
+    return TrustScore(
+      score: score.round(),
+      checks: checks.whereType<Map>().map((c) => TrustCheck.fromJson(Map<String, dynamic>.from(c))).toList(),
+    );
+  }
+
   static TrustScore compute({
     required String merchant,
     required String date,